@@ -1,13 +1,81 @@
+// Tokens each chain settles in, keyed by asset. Identifiers are the UMA settlement
+// asset identifiers (the Spark address stands in for spark's). Assets marked default
+// are offered to users whose domain has not opted into specific tokens.
+// contract (ERC-20) / mint (SPL) and confirmations are what the chain watcher needs
+// to detect deposits: blocks (slots on solana) before a transfer counts as paid.
 const chainMapping = {
-  spark: { layer: 'spark', asset: 'BTC' },
-  lightning: { layer: 'ln', asset: 'BTC' },
-  ethereum: { layer: 'ethereum', asset: 'USDT', chainId : 1 },
-  polygon: { layer: 'polygon', asset: 'USDT', chainId : 137 },
-  arbitrum: { layer: 'arbitrum', asset: 'USDT', chainId : 42161 },
-  optimism: { layer: 'optimism', asset: 'USDT', chainId : 10},
-  base: { layer: 'base', asset: 'USDT', chainId : 8453 },
-  solana: { layer: 'solana', asset: 'USDT' },
-  plasma: { layer: 'plasma', asset: 'USDT' }
+  spark: {
+    layer: 'spark',
+    assets: {
+      BTC: { identifier: null, default: true }
+    }
+  },
+  lightning: {
+    layer: 'ln',
+    assets: {
+      BTC: { identifier: 'BTC_LN', default: true }
+    }
+  },
+  ethereum: {
+    layer: 'ethereum',
+    chainId: 1,
+    confirmations: 12,
+    assets: {
+      USDT: { identifier: 'USDT_ETHEREUM', default: true, contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7' },
+      USDC: { identifier: 'USDC_ETHEREUM', contract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' }
+    }
+  },
+  polygon: {
+    layer: 'polygon',
+    chainId: 137,
+    confirmations: 64,
+    assets: {
+      USDT: { identifier: 'USDT_POLYGON', default: true, contract: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F' },
+      USDC: { identifier: 'USDC_POLYGON', contract: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359' },
+      DAI: { identifier: 'DAI_POLYGON', contract: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063' }
+    }
+  },
+  arbitrum: {
+    layer: 'arbitrum',
+    chainId: 42161,
+    confirmations: 20,
+    assets: {
+      USDT: { identifier: 'USDT_ARBITRUM', default: true, contract: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9' },
+      USDC: { identifier: 'USDC_ARBITRUM', contract: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831' }
+    }
+  },
+  optimism: {
+    layer: 'optimism',
+    chainId: 10,
+    confirmations: 12,
+    assets: {
+      USDT: { identifier: 'USDT_OPTIMISM', default: true, contract: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58' },
+      USDC: { identifier: 'USDC_OPTIMISM', contract: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85' }
+    }
+  },
+  base: {
+    layer: 'base',
+    chainId: 8453,
+    confirmations: 12,
+    assets: {
+      USDT: { identifier: 'USDT_BASE', default: true, contract: '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2' },
+      USDC: { identifier: 'USDC_BASE', contract: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' }
+    }
+  },
+  solana: {
+    layer: 'solana',
+    confirmations: 32,
+    assets: {
+      USDT: { identifier: 'USDT_SOLANA', default: true, mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' },
+      USDC: { identifier: 'USDC_SOLANA', mint: 'EPjFWdd5AufqSSqeM2qSxekFVUDb6pGYH7uSYzPTbAxq' }
+    }
+  },
+  plasma: {
+    layer: 'plasma',
+    assets: {
+      USDT: { identifier: 'USDT_PLASMA', default: true }
+    }
+  }
 }
 
 module.exports = chainMapping
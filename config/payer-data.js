@@ -0,0 +1,15 @@
+// Payer data fields (LUD-18 / UMA) a receiving domain can require from senders
+const PAYER_DATA_FIELDS = ['name', 'email', 'identifier', 'compliance']
+
+// Nothing is mandatory unless the domain or the user asks for it
+const DEFAULT_PAYER_DATA_REQUIREMENTS = {
+  name: false,
+  email: false,
+  identifier: false,
+  compliance: false
+}
+
+module.exports = {
+  PAYER_DATA_FIELDS,
+  DEFAULT_PAYER_DATA_REQUIREMENTS
+}
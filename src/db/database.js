@@ -1,6 +1,7 @@
 require('dotenv').config()
-const { MongoClient } = require('mongodb')
+const { MongoClient, ObjectId } = require('mongodb')
 const crypto = require('crypto')
+const { InvalidInputError } = require('../errors')
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/uma-service'
@@ -72,6 +73,40 @@ async function initializeDatabase () {
     console.log('Created payment_requests collection with indexes')
   }
 
+  // Indexes added since, createIndex is a no-op once they exist
+  await database.collection('payment_requests').createIndex({ invoice_or_address: 1, created_at: -1 })
+  await database.collection('payment_requests').createIndex({ payment_hash: 1 })
+  await database.collection('payment_requests').createIndex({ user_id: 1, address_tag: 1 })
+  await database.collection('payment_requests').createIndex({ status: 1, expires_at: 1 })
+  await database.collection('payment_requests').createIndex({ settlement_layer: 1, status: 1 })
+  await database.collection('payment_requests').createIndex({ 'deposit.tx_id': 1 })
+  await database.collection('payment_requests').createIndex({ domain_id: 1, created_at: -1, _id: -1 })
+
+  // Payment requests stored before they had a domain_id take their user's domain, once:
+  // only requests without the field are touched, so this finds nothing on later boots
+  const legacyUserIds = await database.collection('payment_requests').distinct('user_id', { domain_id: { $exists: false } })
+  if (legacyUserIds.length > 0) {
+    const users = await database.collection('users')
+      .find({ _id: { $in: legacyUserIds } }, { projection: { domain_id: 1 } })
+      .toArray()
+
+    // Users created through the admin routes store the domain ID as a string
+    const userIdsByDomain = new Map()
+    for (const user of users) {
+      if (ObjectId.isValid(user.domain_id)) {
+        const domainId = user.domain_id.toString()
+        userIdsByDomain.set(domainId, [...(userIdsByDomain.get(domainId) || []), user._id])
+      }
+    }
+
+    for (const [domainId, userIds] of userIdsByDomain) {
+      await database.collection('payment_requests').updateMany(
+        { user_id: { $in: userIds }, domain_id: { $exists: false } },
+        { $set: { domain_id: new ObjectId(domainId) } }
+      )
+    }
+  }
+
   // Audit log collection
   if (!collectionNames.includes('audit_log')) {
     await database.createCollection('audit_log')
@@ -81,6 +116,44 @@ async function initializeDatabase () {
     console.log('Created audit_log collection with indexes')
   }
 
+  // UMA nonces collection (replay protection for signed requests)
+  if (!collectionNames.includes('uma_nonces')) {
+    await database.createCollection('uma_nonces')
+    await database.collection('uma_nonces').createIndex({ nonce: 1 }, { unique: true })
+    await database.collection('uma_nonces').createIndex({ created_at: 1 }, { expireAfterSeconds: 86400 })
+    console.log('Created uma_nonces collection with indexes')
+  }
+
+  // Compliance screenings collection (one decision per pay request)
+  if (!collectionNames.includes('compliance_screenings')) {
+    await database.createCollection('compliance_screenings')
+    await database.collection('compliance_screenings').createIndex({ nonce: 1 })
+    await database.collection('compliance_screenings').createIndex({ domain_id: 1, created_at: -1 })
+    await database.collection('compliance_screenings').createIndex({ decision: 1 })
+    console.log('Created compliance_screenings collection with indexes')
+  }
+
+  // Chain watcher cursors (where each chain's deposit scan resumes)
+  if (!collectionNames.includes('chain_watcher_cursors')) {
+    await database.createCollection('chain_watcher_cursors')
+    await database.collection('chain_watcher_cursors').createIndex({ chain: 1 }, { unique: true })
+    console.log('Created chain_watcher_cursors collection with indexes')
+  }
+
+  // Webhook endpoints registered by domains, and their delivery log
+  if (!collectionNames.includes('webhook_endpoints')) {
+    await database.createCollection('webhook_endpoints')
+    await database.collection('webhook_endpoints').createIndex({ domain_id: 1, is_active: 1, events: 1 })
+    console.log('Created webhook_endpoints collection with indexes')
+  }
+
+  if (!collectionNames.includes('webhook_deliveries')) {
+    await database.createCollection('webhook_deliveries')
+    await database.collection('webhook_deliveries').createIndex({ endpoint_id: 1, created_at: -1 })
+    await database.collection('webhook_deliveries').createIndex({ status: 1, next_attempt_at: 1 })
+    console.log('Created webhook_deliveries collection with indexes')
+  }
+
   // Note: No default domain is created automatically.
   // All domains must be registered through the Super Admin API.
 
@@ -106,6 +179,17 @@ async function closeDatabase () {
   }
 }
 
+// ObjectId of an id from a URL or a cursor
+function toObjectId (id) {
+  if (id instanceof ObjectId) {
+    return id
+  }
+  if (!ObjectId.isValid(id)) {
+    throw new InvalidInputError(`Invalid id "${id}"`)
+  }
+  return new ObjectId(id)
+}
+
 // Log audit event
 async function logAuditEvent (auditData) {
   const db = await getDatabase()
@@ -123,5 +207,6 @@ module.exports = {
   initializeDatabase,
   generateApiKey,
   generateVerificationToken,
-  logAuditEvent
+  logAuditEvent,
+  toObjectId
 }
@@ -0,0 +1,142 @@
+const { UmaError, ErrorCode } = require('@uma-sdk/core')
+
+/**
+ * Base class for errors raised by the services.
+ *
+ * Extends the SDK's UmaError, so every error carries an UMA error code and an
+ * HTTP status and serializes to the spec error body
+ * ({ status: 'ERROR', reason, code }) like SDK protocol errors do.
+ */
+class ServiceError extends UmaError {
+  /**
+   * @param {string} message
+   * @param {{ code: string, httpStatusCode: number }} errorCode - Entry of ErrorCode
+   * @param {number} [httpStatusCode] - Overrides the status of the UMA error code
+   */
+  constructor (message, errorCode, httpStatusCode) {
+    super(message, errorCode)
+    this.name = this.constructor.name
+    if (httpStatusCode) {
+      this.httpStatusCode = httpStatusCode
+    }
+  }
+}
+
+class UserNotFoundError extends ServiceError {
+  constructor (message = 'User not found') {
+    super(message, ErrorCode.USER_NOT_FOUND)
+  }
+}
+
+class DomainNotFoundError extends ServiceError {
+  constructor (domain) {
+    super(domain ? `Domain ${domain} not found` : 'Domain not found', ErrorCode.USER_NOT_FOUND)
+  }
+}
+
+class UserAlreadyExistsError extends ServiceError {
+  constructor (username) {
+    super(`User "${username}" already exists in this domain`, ErrorCode.INVALID_INPUT, 409)
+  }
+}
+
+// The user exists but is not set up to receive the requested payment
+class UserNotReadyError extends ServiceError {
+  constructor (message) {
+    super(message, ErrorCode.USER_NOT_READY)
+  }
+}
+
+class InvalidInputError extends ServiceError {
+  constructor (message) {
+    super(message, ErrorCode.INVALID_INPUT)
+  }
+}
+
+class InvalidSettlementLayerError extends ServiceError {
+  constructor (settlementLayer) {
+    super(
+      `Unsupported or invalid settlement layer: ${settlementLayer}. Check available settlement options from the lookup endpoint.`,
+      ErrorCode.INVALID_INPUT
+    )
+    this.settlementLayer = settlementLayer
+  }
+}
+
+// The asset is not one of those offered on the settlement layer
+class InvalidSettlementAssetError extends ServiceError {
+  constructor (assetIdentifier, settlementLayer) {
+    super(
+      `Unsupported or invalid asset ${assetIdentifier} on settlement layer ${settlementLayer}. Check available settlement options from the lookup endpoint.`,
+      ErrorCode.INVALID_INPUT
+    )
+    this.assetIdentifier = assetIdentifier
+    this.settlementLayer = settlementLayer
+  }
+}
+
+class InvalidCurrencyError extends ServiceError {
+  constructor (currency) {
+    super(`Unsupported currency: ${currency}`, ErrorCode.INVALID_CURRENCY)
+  }
+}
+
+// Kept at 409 Conflict, as the callback route always answered duplicates
+class DuplicateNonceError extends ServiceError {
+  constructor (nonce) {
+    super('Duplicate payment request. This nonce has already been used.', ErrorCode.INVALID_NONCE, 409)
+    this.nonce = nonce
+  }
+}
+
+// The payment request's lifecycle does not allow the status change
+class InvalidPaymentTransitionError extends ServiceError {
+  constructor (from, to) {
+    super(`Payment request can't go from ${from} to ${to}`, ErrorCode.INVALID_INPUT, 409)
+    this.from = from
+    this.to = to
+  }
+}
+
+class PaymentNotFoundError extends ServiceError {
+  constructor (message = 'Payment request not found') {
+    super(message, ErrorCode.REQUEST_NOT_FOUND)
+  }
+}
+
+class UmaKeyNotFoundError extends ServiceError {
+  constructor (message = 'UMA key not found or already retired') {
+    super(message, ErrorCode.REQUEST_NOT_FOUND)
+  }
+}
+
+class WebhookNotFoundError extends ServiceError {
+  constructor (message = 'Webhook endpoint not found') {
+    super(message, ErrorCode.REQUEST_NOT_FOUND)
+  }
+}
+
+// The domain's keys don't allow the operation (already generated, nothing to rotate)
+class UmaKeyConflictError extends ServiceError {
+  constructor (message) {
+    super(message, ErrorCode.INVALID_INPUT, 409)
+  }
+}
+
+module.exports = {
+  ServiceError,
+  UserNotFoundError,
+  DomainNotFoundError,
+  UserAlreadyExistsError,
+  UserNotReadyError,
+  InvalidInputError,
+  InvalidSettlementLayerError,
+  InvalidSettlementAssetError,
+  InvalidCurrencyError,
+  DuplicateNonceError,
+  InvalidPaymentTransitionError,
+  PaymentNotFoundError,
+  UmaKeyNotFoundError,
+  UmaKeyConflictError,
+  WebhookNotFoundError
+}
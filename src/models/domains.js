@@ -57,6 +57,16 @@ class DomainModel {
     )
   }
 
+  // Reserve the next deposit address index, returns the document as it was before
+  async incrementDepositIndex (id) {
+    const db = await getDatabase()
+    return await db.collection('domains').findOneAndUpdate(
+      { _id: id, deposit_wallet: { $ne: null } },
+      { $inc: { 'deposit_wallet.next_index': 1 } },
+      { returnDocument: 'before' }
+    )
+  }
+
   async softDelete (id) {
     const db = await getDatabase()
     return await db.collection('domains').updateOne(
@@ -97,6 +107,19 @@ class DomainModel {
       }
     )
   }
+
+  async setUmaKeys (id, keys) {
+    const db = await getDatabase()
+    return await db.collection('domains').updateOne(
+      { _id: id, is_deleted: { $ne: true } },
+      {
+        $set: {
+          uma_keys: keys,
+          updated_at: new Date()
+        }
+      }
+    )
+  }
 }
 
 const domainModel = new DomainModel()
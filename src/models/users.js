@@ -61,6 +61,16 @@ class UserModel {
     )
   }
 
+  // Reserve the next deposit address index, returns the document as it was before
+  async incrementDepositIndex (id) {
+    const db = await getDatabase()
+    return await db.collection('users').findOneAndUpdate(
+      { _id: id, deposit_wallet: { $ne: null } },
+      { $inc: { 'deposit_wallet.next_index': 1 } },
+      { returnDocument: 'before' }
+    )
+  }
+
   async softDelete (userId) {
     const db = await getDatabase()
     return await db.collection('users').updateOne(
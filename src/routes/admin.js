@@ -1,5 +1,13 @@
 const { domainService } = require('../services/domains')
 const { userService } = require('../services/users')
+const { paymentService, PAYMENT_STATUSES } = require('../services/payments')
+const { feeService } = require('../services/fees')
+const { depositAddressService } = require('../services/deposit-addresses')
+const { webhookService, WEBHOOK_EVENTS } = require('../services/webhooks')
+const { toObjectId } = require('../db/database')
+const { ServiceError, DomainNotFoundError, UserNotFoundError } = require('../errors')
+const { STATUS_CODES } = require('http')
+const { Readable } = require('stream')
 
 async function adminRoutes (fastify, options) {
   // Authentication required - Bearer token with API key
@@ -362,6 +370,14 @@ async function adminRoutes (fastify, options) {
     } catch (error) {
       console.error('Error creating user:', error)
 
+      // Typed service errors (invalid username, user already exists, ...)
+      if (error instanceof ServiceError) {
+        return reply.status(error.httpStatusCode).send({
+          error: STATUS_CODES[error.httpStatusCode],
+          message: error.message
+        })
+      }
+
       if (error.message.includes('duplicate')) {
         return reply.status(409).send({
           error: 'Conflict',
@@ -480,6 +496,13 @@ async function adminRoutes (fastify, options) {
           displayName: domain.display_name,
           isActive: domain.is_active,
           isDefault: domain.is_default,
+          payerDataRequirements: domain.payer_data_requirements,
+          commentAllowed: domainService.getCommentAllowed(domain),
+          successAction: domain.success_action ?? null,
+          nostrPubkey: domain.nostr_public_key || null,
+          settlementAssets: domain.settlement_assets ?? null,
+          feeSchedules: feeService.formatSchedules(domain.fee_schedules),
+          depositWallet: depositAddressService.formatWallet(domain.deposit_wallet),
           createdAt: domain.created_at
         }
       })
@@ -610,6 +633,1753 @@ async function adminRoutes (fastify, options) {
     }
   })
 
+  // Public view of a domain's UMA keys (private keys never leave the service)
+  function formatUmaKeys (domain) {
+    return (domain.uma_keys || []).map(key => ({
+      keyId: key.key_id,
+      status: domainService.getUmaKeyStatus(key),
+      signingPubKey: key.signing_public_key,
+      encryptionPubKey: key.encryption_public_key,
+      createdAt: key.created_at,
+      activatesAt: key.activates_at,
+      expiresAt: key.expires_at,
+      retiredAt: key.retired_at
+    }))
+  }
+
+  const umaKeysResponseSchema = {
+    description: 'UMA keys for the domain',
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      keys: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            keyId: { type: 'string' },
+            status: { type: 'string', enum: ['active', 'pending', 'expired', 'retired'] },
+            signingPubKey: { type: 'string' },
+            encryptionPubKey: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            activatesAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            retiredAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        }
+      },
+      message: { type: 'string' }
+    }
+  }
+
+  const errorResponseSchema = {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  }
+
+  // Typed service errors carry their HTTP status, anything else is a 500
+  function sendServiceError (reply, error) {
+    if (error instanceof ServiceError) {
+      return reply.status(error.httpStatusCode).send({
+        error: STATUS_CODES[error.httpStatusCode],
+        message: error.message
+      })
+    }
+
+    reply.status(500).send({
+      error: 'Internal Server Error',
+      message: error.message
+    })
+  }
+
+  const payerDataRequirementsSchema = {
+    type: 'object',
+    description: 'Payer data fields to require from senders (true = mandatory)',
+    properties: {
+      name: { type: 'boolean' },
+      email: { type: 'boolean' },
+      identifier: { type: 'boolean' },
+      compliance: { type: 'boolean' }
+    }
+  }
+
+  /**
+   * PATCH /api/admin/domain/:domainId/payer-data
+   * Configure which payer data fields senders must provide
+   */
+  fastify.patch('/domain/:domainId/payer-data', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Configure mandatory payer data (name, email, identifier, compliance) for pay requests to a domain',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: payerDataRequirementsSchema,
+      response: {
+        200: {
+          description: 'Payer data requirements updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            payerDataRequirements: payerDataRequirementsSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updatePayerDataRequirements(toObjectId(domainId), req.body)
+
+      reply.send({
+        success: true,
+        payerDataRequirements: updatedDomain.payer_data_requirements,
+        message: 'Payer data requirements updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating payer data requirements:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/users/:domainId/:username/payer-data
+   * Override the domain's payer data requirements for a single user
+   */
+  fastify.patch('/users/:domainId/:username/payer-data', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Override payer data requirements for a user. null falls back to the domain setting.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          username: { type: 'string', description: 'Username' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'boolean', nullable: true },
+          email: { type: 'boolean', nullable: true },
+          identifier: { type: 'boolean', nullable: true },
+          compliance: { type: 'boolean', nullable: true }
+        }
+      },
+      response: {
+        200: {
+          description: 'User payer data requirements updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            payerDataRequirements: {
+              ...payerDataRequirementsSchema,
+              description: 'User overrides of the domain requirements'
+            },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, username } = req.params
+
+      const user = await userService.getUserByUsernameAndDomain(username, domainId)
+
+      if (!user) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'User not found'
+        })
+      }
+
+      const updatedUser = await userService.updateUser(user._id, { payerDataRequirements: req.body })
+
+      reply.send({
+        success: true,
+        payerDataRequirements: updatedUser.payer_data_requirements,
+        message: 'User payer data requirements updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating user payer data requirements:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/domain/:domainId/comments
+   * Set the max payer comment length (LUD-12) accepted by the domain
+   */
+  fastify.patch('/domain/:domainId/comments', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Set the max payer comment length (LUD-12) for a domain. 0 disables comments.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['commentAllowed'],
+        properties: {
+          commentAllowed: { type: 'integer', minimum: 0, description: 'Max comment length in characters' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Comment settings updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            commentAllowed: { type: 'integer' },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updateCommentAllowed(toObjectId(domainId), req.body.commentAllowed)
+
+      reply.send({
+        success: true,
+        commentAllowed: updatedDomain.comment_allowed,
+        message: 'Comment settings updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating comment settings:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/domain/:domainId/zaps
+   * Enable or disable nostr zaps (NIP-57) for the Lightning addresses of a domain
+   */
+  fastify.patch('/domain/:domainId/zaps', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Enable or disable nostr zaps (NIP-57) for a domain. Enabling generates the nostr key zap receipts are signed with.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['enabled'],
+        properties: {
+          enabled: { type: 'boolean' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Zap settings updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            allowsNostr: { type: 'boolean' },
+            nostrPubkey: { type: 'string', nullable: true, description: 'Hex x-only public key advertised in lookups' },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updateZaps(toObjectId(domainId), req.body.enabled)
+
+      reply.send({
+        success: true,
+        allowsNostr: Boolean(updatedDomain.nostr_public_key),
+        nostrPubkey: updatedDomain.nostr_public_key || null,
+        message: 'Zap settings updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating zap settings:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  const successActionSchema = {
+    type: 'object',
+    nullable: true,
+    description: 'LUD-09 / LUD-10 success action. Placeholders: {reference}, {paymentId}, {username}, {domain}',
+    required: ['tag'],
+    properties: {
+      tag: { type: 'string', enum: ['message', 'url', 'aes'] },
+      message: { description: 'message: template, or templates by language ({ "en": "...", "es": "..." })' },
+      url: { type: 'string', description: 'url: https URL template on the domain itself' },
+      description: { type: 'string', description: 'url / aes: text shown to the sender' },
+      plaintext: { type: 'string', description: 'aes: secret encrypted with the payment preimage' }
+    }
+  }
+
+  /**
+   * PATCH /api/admin/domain/:domainId/success-action
+   * Set the success action returned to senders after paying any user of the domain
+   */
+  fastify.patch('/domain/:domainId/success-action', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Set the success action (message, url or aes) for pay responses of a domain. null restores the default message.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['successAction'],
+        properties: {
+          successAction: successActionSchema
+        }
+      },
+      response: {
+        200: {
+          description: 'Success action updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            successAction: successActionSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updateSuccessAction(toObjectId(domainId), req.body.successAction)
+
+      reply.send({
+        success: true,
+        successAction: updatedDomain.success_action,
+        message: 'Success action updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating success action:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/users/:domainId/:username/success-action
+   * Override the domain's success action for a single user
+   */
+  fastify.patch('/users/:domainId/:username/success-action', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Override the success action for a user. null falls back to the domain setting.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          username: { type: 'string', description: 'Username' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['successAction'],
+        properties: {
+          successAction: successActionSchema
+        }
+      },
+      response: {
+        200: {
+          description: 'User success action updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            successAction: successActionSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, username } = req.params
+
+      const user = await userService.getUserByUsernameAndDomain(username, domainId)
+
+      if (!user) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'User not found'
+        })
+      }
+
+      const updatedUser = await userService.updateUser(user._id, { successAction: req.body.successAction })
+
+      reply.send({
+        success: true,
+        successAction: updatedUser.success_action ?? null,
+        message: 'User success action updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating user success action:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  const settlementAssetsSchema = {
+    type: 'array',
+    nullable: true,
+    description: 'Token identifiers offered as settlement options (USDT_POLYGON, USDC_POLYGON, DAI_POLYGON, USDC_SOLANA, ...). BTC is always offered.',
+    items: { type: 'string' }
+  }
+
+  /**
+   * PATCH /api/admin/domain/:domainId/settlement-assets
+   * Opt the users of a domain into settlement tokens
+   */
+  fastify.patch('/domain/:domainId/settlement-assets', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Set the tokens offered as settlement options to users of a domain. null restores the default token of each chain (USDT).',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['settlementAssets'],
+        properties: {
+          settlementAssets: settlementAssetsSchema
+        }
+      },
+      response: {
+        200: {
+          description: 'Settlement assets updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            settlementAssets: settlementAssetsSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updateSettlementAssets(toObjectId(domainId), req.body.settlementAssets)
+
+      reply.send({
+        success: true,
+        settlementAssets: updatedDomain.settlement_assets ?? null,
+        message: 'Settlement assets updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating settlement assets:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/users/:domainId/:username/settlement-assets
+   * Override the domain's settlement tokens for a single user
+   */
+  fastify.patch('/users/:domainId/:username/settlement-assets', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Override the tokens offered as settlement options for a user. null falls back to the domain setting.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          username: { type: 'string', description: 'Username' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['settlementAssets'],
+        properties: {
+          settlementAssets: settlementAssetsSchema
+        }
+      },
+      response: {
+        200: {
+          description: 'User settlement assets updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            settlementAssets: settlementAssetsSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, username } = req.params
+
+      const user = await userService.getUserByUsernameAndDomain(username, domainId)
+
+      if (!user) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'User not found'
+        })
+      }
+
+      const updatedUser = await userService.updateUser(user._id, { settlementAssets: req.body.settlementAssets })
+
+      reply.send({
+        success: true,
+        settlementAssets: updatedUser.settlement_assets ?? null,
+        message: 'User settlement assets updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating user settlement assets:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  const feeScheduleSchema = {
+    type: 'object',
+    properties: {
+      settlementLayer: { type: 'string', nullable: true, description: 'ln, spark, polygon, ... null matches any layer' },
+      currency: { type: 'string', nullable: true, description: 'Receiving currency, null matches any currency' },
+      fixed: { type: 'integer', description: 'Fixed fee, in the smallest unit of the receiving currency' },
+      percentage: { type: 'number', description: 'Percentage of the receiving amount, e.g. 1.5' },
+      min: { type: 'integer', description: 'Minimum fee, in the smallest unit of the receiving currency' },
+      max: { type: 'integer', nullable: true, description: 'Maximum fee, in the smallest unit of the receiving currency' }
+    }
+  }
+
+  /**
+   * PATCH /api/admin/domain/:domainId/fee-schedules
+   * Replace the receiver fee schedules of a domain
+   */
+  fastify.patch('/domain/:domainId/fee-schedules', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Replace the receiver fee schedules of a domain. The most specific schedule for the settlement layer and currency of a payment applies. null or [] removes all fees.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['feeSchedules'],
+        properties: {
+          feeSchedules: { type: 'array', nullable: true, items: feeScheduleSchema }
+        }
+      },
+      response: {
+        200: {
+          description: 'Fee schedules updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            feeSchedules: { type: 'array', items: feeScheduleSchema },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updateFeeSchedules(toObjectId(domainId), req.body.feeSchedules)
+
+      reply.send({
+        success: true,
+        feeSchedules: feeService.formatSchedules(updatedDomain.fee_schedules),
+        message: 'Fee schedules updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating fee schedules:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  const depositWalletSchema = {
+    type: 'object',
+    nullable: true,
+    properties: {
+      xpub: { type: 'string', description: 'Extended public key (xpub / tpub), usually the account key m/44\'/60\'/0\'' },
+      path: { type: 'string', description: 'Non-hardened path from the xpub, {index} is the payment counter. Default 0/{index}' },
+      layers: { type: 'array', nullable: true, items: { type: 'string' }, description: 'EVM settlement layers to derive addresses for, null for all' },
+      nextIndex: { type: 'integer', description: 'Index of the next derived address (read only)' }
+    }
+  }
+
+  /**
+   * PATCH /api/admin/domain/:domainId/deposit-wallet
+   * Derive a fresh deposit address per on-chain payment for the users of a domain
+   */
+  fastify.patch('/domain/:domainId/deposit-wallet', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Register the xpub per-payment EVM deposit addresses are derived from for users of a domain. null goes back to the users\' static addresses.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['depositWallet'],
+        properties: {
+          depositWallet: depositWalletSchema
+        }
+      },
+      response: {
+        200: {
+          description: 'Deposit wallet updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            depositWallet: depositWalletSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId } = req.params
+
+      const updatedDomain = await domainService.updateDepositWallet(toObjectId(domainId), req.body.depositWallet)
+
+      reply.send({
+        success: true,
+        depositWallet: depositAddressService.formatWallet(updatedDomain.deposit_wallet),
+        message: 'Deposit wallet updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating deposit wallet:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/users/:domainId/:username/deposit-wallet
+   * Override the domain's deposit wallet for a single user
+   */
+  fastify.patch('/users/:domainId/:username/deposit-wallet', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Register the xpub per-payment EVM deposit addresses are derived from for a user. It replaces the domain\'s deposit wallet, null falls back to it.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          username: { type: 'string', description: 'Username' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['depositWallet'],
+        properties: {
+          depositWallet: depositWalletSchema
+        }
+      },
+      response: {
+        200: {
+          description: 'User deposit wallet updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            depositWallet: depositWalletSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, username } = req.params
+
+      const user = await userService.getUserByUsernameAndDomain(username, domainId)
+
+      if (!user) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'User not found'
+        })
+      }
+
+      const updatedUser = await userService.updateUser(user._id, { depositWallet: req.body.depositWallet })
+
+      reply.send({
+        success: true,
+        depositWallet: depositAddressService.formatWallet(updatedUser.deposit_wallet),
+        message: 'User deposit wallet updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating user deposit wallet:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  const statusHistoryEntrySchema = {
+    type: 'object',
+    properties: {
+      from: { type: 'string', nullable: true },
+      to: { type: 'string' },
+      at: { type: 'string', format: 'date-time' },
+      actorType: { type: 'string' },
+      reason: { type: 'string', nullable: true }
+    }
+  }
+
+  function formatStatusHistory (payment) {
+    return (payment.status_history || []).map(entry => ({
+      from: entry.from,
+      to: entry.to,
+      at: entry.at,
+      actorType: entry.actor_type,
+      reason: entry.reason
+    }))
+  }
+
+  const paymentSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      nonce: { type: 'string' },
+      userId: { type: 'string' },
+      amount: { type: ['integer', 'string'], description: 'In the smallest unit of asset (msats for BTC), a decimal string for DAI' },
+      asset: { type: 'string', nullable: true, description: 'BTC, USDT, USDC or DAI' },
+      currency: { type: 'string', nullable: true },
+      settlementLayer: { type: 'string', nullable: true },
+      assetIdentifier: { type: 'string', nullable: true },
+      invoiceOrAddress: { type: 'string' },
+      comment: { type: 'string', nullable: true },
+      addressTag: { type: 'string', nullable: true },
+      depositAddress: {
+        type: 'object',
+        nullable: true,
+        description: 'Where invoiceOrAddress was derived from, null for static addresses',
+        properties: {
+          path: { type: 'string' },
+          index: { type: 'integer' },
+          source: { type: 'string', enum: ['user', 'domain'] }
+        }
+      },
+      quote: {
+        type: 'object',
+        nullable: true,
+        description: 'Conversion locked when the pay response was handed out',
+        properties: {
+          source: { type: 'string' },
+          asset: { type: 'string' },
+          currency: { type: 'string' },
+          multiplier: { type: 'number' },
+          fee: { type: ['integer', 'string'], description: 'In the smallest unit of the settlement asset, a decimal string for DAI' },
+          amount: { type: ['integer', 'string'], description: 'In the smallest unit of the settlement asset, a decimal string for DAI' },
+          convertedAmount: { type: 'string', description: 'In the smallest unit of the currency' },
+          quotedAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      status: { type: 'string', enum: PAYMENT_STATUSES },
+      statusHistory: { type: 'array', items: statusHistoryEntrySchema },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      paidAt: { type: 'string', format: 'date-time', nullable: true },
+      settledAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  }
+
+  // API form of a payment request
+  function formatPayment (payment) {
+    return {
+      id: payment._id,
+      nonce: payment.nonce,
+      userId: payment.user_id,
+      amount: payment.amount_msats,
+      asset: paymentService.getAsset(payment),
+      currency: payment.currency,
+      settlementLayer: payment.settlement_layer,
+      assetIdentifier: payment.asset_identifier,
+      invoiceOrAddress: payment.invoice_or_address,
+      comment: payment.comment,
+      addressTag: payment.address_tag ?? null,
+      depositAddress: payment.deposit_address
+        ? {
+            path: payment.deposit_address.path,
+            index: payment.deposit_address.index,
+            source: payment.deposit_address.source
+          }
+        : null,
+      quote: payment.quote
+        ? {
+            source: payment.quote.source,
+            asset: payment.quote.asset,
+            currency: payment.quote.currency,
+            multiplier: payment.quote.multiplier,
+            fee: payment.quote.fee,
+            amount: payment.quote.amount,
+            convertedAmount: payment.quote.converted_amount,
+            quotedAt: payment.quote.quoted_at,
+            expiresAt: payment.quote.expires_at
+          }
+        : null,
+      status: payment.status,
+      statusHistory: formatStatusHistory(payment),
+      createdAt: payment.created_at,
+      expiresAt: payment.expires_at,
+      paidAt: payment.paid_at ?? null,
+      settledAt: payment.settled_at ?? null
+    }
+  }
+
+  /**
+   * GET /api/admin/users/:domainId/:username/payments
+   * List the latest payment requests for a user
+   */
+  fastify.get('/users/:domainId/:username/payments', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'List the latest payment requests for a user, including payer comments and sub-address tags',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          username: { type: 'string', description: 'Username' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          tag: { type: 'string', description: 'Only payments to this sub-address tag (order123 for alice+order123)' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Payment requests retrieved successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            payments: { type: 'array', items: paymentSchema }
+          }
+        },
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, username } = req.params
+
+      const user = await userService.getUserByUsernameAndDomain(username, domainId)
+
+      if (!user) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'User not found'
+        })
+      }
+
+      const payments = await paymentService.getPaymentRequestsByUserId(user._id, {
+        addressTag: req.query.tag?.toLowerCase()
+      })
+
+      reply.send({
+        success: true,
+        payments: payments.map(formatPayment)
+      })
+    } catch (error) {
+      console.error('Error listing payments:', error)
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message
+      })
+    }
+  })
+
+  /**
+   * PATCH /api/admin/users/:domainId/:username/payments/:nonce/status
+   * Move a payment request along its lifecycle, e.g. to record a refund
+   */
+  fastify.patch('/users/:domainId/:username/payments/:nonce/status', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Change the status of a payment request. Allowed: pending -> sent / paid / expired / failed, sent -> paid / failed, expired -> paid, paid -> refunded.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          username: { type: 'string', description: 'Username' },
+          nonce: { type: 'string', description: 'Payment request nonce' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { type: 'string', enum: PAYMENT_STATUSES },
+          reason: { type: 'string', maxLength: 500 }
+        }
+      },
+      response: {
+        200: {
+          description: 'Payment status updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            status: { type: 'string' },
+            statusHistory: { type: 'array', items: statusHistoryEntrySchema },
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        409: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, username, nonce } = req.params
+
+      const user = await userService.getUserByUsernameAndDomain(username, domainId)
+      const payment = user && await paymentService.getPaymentRequestByNonce(nonce)
+
+      if (!payment || payment.user_id.toString() !== user._id.toString()) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: user ? 'Payment request not found' : 'User not found'
+        })
+      }
+
+      const updatedPayment = await paymentService.transitionStatus(payment._id, req.body.status, {
+        actorType: 'admin',
+        reason: req.body.reason
+      })
+
+      reply.send({
+        success: true,
+        status: updatedPayment.status,
+        statusHistory: formatStatusHistory(updatedPayment),
+        message: 'Payment status updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating payment status:', error)
+
+      // Invalid status or transition
+      if (error instanceof ServiceError) {
+        return reply.status(error.httpStatusCode).send({
+          error: STATUS_CODES[error.httpStatusCode],
+          message: error.message
+        })
+      }
+
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message
+      })
+    }
+  })
+
+  const paymentFilterQueryProperties = {
+    username: { type: 'string', description: 'Only payments to this user' },
+    tag: { type: 'string', description: 'Only payments to this sub-address tag (order123 for alice+order123)' },
+    status: { type: 'string', description: `Comma-separated statuses (${PAYMENT_STATUSES.join(', ')})` },
+    settlementLayer: { type: 'string', description: 'e.g. ln, polygon' },
+    assetIdentifier: { type: 'string', description: 'e.g. BTC, USDT_POLYGON' },
+    currency: { type: 'string', description: 'Currency the amount was requested in, e.g. USD' },
+    from: { type: 'string', description: 'Created at or after this ISO 8601 date' },
+    to: { type: 'string', description: 'Created before this ISO 8601 date' }
+  }
+
+  /**
+   * Domain of the domain payments routes and the listing filters of their query
+   */
+  async function getDomainPaymentFilters (domainId, query) {
+    const domain = await domainService.getDomainById(toObjectId(domainId))
+    if (!domain) {
+      throw new DomainNotFoundError(domainId)
+    }
+
+    let userId
+    if (query.username) {
+      const user = await userService.getUserByUsernameAndDomain(query.username, domain._id)
+      if (!user) {
+        throw new UserNotFoundError()
+      }
+      userId = user._id
+    }
+
+    return {
+      domain,
+      filters: {
+        userId,
+        status: query.status?.split(','),
+        settlementLayer: query.settlementLayer,
+        assetIdentifier: query.assetIdentifier,
+        currency: query.currency?.toUpperCase(),
+        addressTag: query.tag?.toLowerCase(),
+        from: query.from,
+        to: query.to
+      }
+    }
+  }
+
+  /**
+   * GET /api/admin/payments/:domainId
+   * List the payment requests of a domain, a page at a time
+   */
+  fastify.get('/payments/:domainId', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'List the payment requests of a domain, newest first. Pass nextCursor as cursor to get the next page.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          ...paymentFilterQueryProperties,
+          limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+          cursor: { type: 'string', description: 'nextCursor of the previous page' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Payment requests retrieved successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            payments: { type: 'array', items: paymentSchema },
+            nextCursor: { type: 'string', nullable: true, description: 'null on the last page' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domain, filters } = await getDomainPaymentFilters(req.params.domainId, req.query)
+
+      const { payments, nextCursor } = await paymentService.listPaymentRequests(domain._id, filters, {
+        limit: req.query.limit,
+        cursor: req.query.cursor
+      })
+
+      reply.send({
+        success: true,
+        payments: payments.map(formatPayment),
+        nextCursor
+      })
+    } catch (error) {
+      console.error('Error listing domain payments:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * GET /api/admin/payments/:domainId/export
+   * Export the payment requests of a domain for accounting
+   */
+  fastify.get('/payments/:domainId/export', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Download the payment requests of a domain matching the filters, newest first, as CSV or NDJSON (one JSON object per line)',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          ...paymentFilterQueryProperties,
+          format: { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' }
+        }
+      },
+      response: {
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domain, filters } = await getDomainPaymentFilters(req.params.domainId, req.query)
+      const { format } = req.query
+
+      const lines = paymentService.exportPaymentRequests(domain._id, filters, format)
+      const filename = `payments-${domain.domain}-${new Date().toISOString().slice(0, 10)}.${format}`
+
+      // Returning reply keeps fastify from ending the response before the stream is sent
+      return reply
+        .header('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson')
+        .header('Content-Disposition', `attachment; filename="${filename}"`)
+        .send(Readable.from(lines))
+    } catch (error) {
+      console.error('Error exporting domain payments:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * GET /api/admin/payments/:domainId/:paymentId
+   * Get a payment request of a domain with its payer data, compliance decision and deposit
+   */
+  fastify.get('/payments/:domainId/:paymentId', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Get a payment request of a domain by ID or nonce, with its payer data, compliance decision and on-chain deposit',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          paymentId: { type: 'string', description: 'Payment request ID or nonce' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Payment request retrieved successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            payment: {
+              type: 'object',
+              properties: {
+                ...paymentSchema.properties,
+                payerData: { type: 'object', nullable: true, additionalProperties: true },
+                compliance: { type: 'object', nullable: true, additionalProperties: true },
+                paymentHash: { type: 'string', nullable: true },
+                deposit: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'On-chain deposit matched to the payment request',
+                  properties: {
+                    txHash: { type: 'string' },
+                    from: { type: 'string' },
+                    amount: { type: 'string', description: 'In the smallest unit of the asset' },
+                    blockNumber: { type: 'integer' },
+                    blockTime: { type: 'string', format: 'date-time' },
+                    confirmations: { type: 'integer' },
+                    requiredConfirmations: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, paymentId } = req.params
+
+      const domain = await domainService.getDomainById(toObjectId(domainId))
+      if (!domain) {
+        throw new DomainNotFoundError(domainId)
+      }
+
+      const payment = await paymentService.getDomainPaymentRequest(domain._id, paymentId)
+
+      reply.send({
+        success: true,
+        payment: {
+          ...formatPayment(payment),
+          payerData: payment.payer_data ?? null,
+          compliance: payment.compliance ?? null,
+          paymentHash: payment.payment_hash ?? null,
+          deposit: payment.deposit
+            ? {
+                txHash: payment.deposit.tx_hash,
+                from: payment.deposit.from,
+                amount: payment.deposit.amount,
+                blockNumber: payment.deposit.block_number,
+                blockTime: payment.deposit.block_time,
+                confirmations: payment.deposit.confirmations,
+                requiredConfirmations: payment.deposit.required_confirmations
+              }
+            : null
+        }
+      })
+    } catch (error) {
+      console.error('Error getting domain payment:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * GET /api/admin/domain/:domainId/uma-keys
+   * List the domain's UMA signing/encryption keys
+   */
+  fastify.get('/domain/:domainId/uma-keys', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'List UMA signing and encryption keys for a domain',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      response: {
+        200: umaKeysResponseSchema,
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const domain = await domainService.getDomainById(toObjectId(req.params.domainId))
+
+      if (!domain) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Domain not found'
+        })
+      }
+
+      reply.send({
+        success: true,
+        keys: formatUmaKeys(domain)
+      })
+    } catch (error) {
+      console.error('Error listing UMA keys:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * POST /api/admin/domain/:domainId/uma-keys
+   * Generate UMA keys for a domain that has none
+   */
+  fastify.post('/domain/:domainId/uma-keys', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Generate UMA signing and encryption keys for a domain without usable keys',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          expiresInSeconds: {
+            type: 'integer',
+            minimum: 60,
+            description: 'Optional key lifetime. Published as expirationTimestamp.'
+          }
+        }
+      },
+      response: {
+        201: umaKeysResponseSchema,
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        409: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { expiresInSeconds } = req.body || {}
+      const domain = await domainService.generateUmaKeys(toObjectId(req.params.domainId), { expiresInSeconds })
+
+      reply.status(201).send({
+        success: true,
+        keys: formatUmaKeys(domain),
+        message: 'UMA keys generated successfully'
+      })
+    } catch (error) {
+      console.error('Error generating UMA keys:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * POST /api/admin/domain/:domainId/uma-keys/rotate
+   * Rotate UMA keys, keeping the current key valid for a grace period
+   */
+  fastify.post('/domain/:domainId/uma-keys/rotate', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Rotate UMA keys. The current key stays published until the grace period ends, then the new key takes over.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          gracePeriodSeconds: {
+            type: 'integer',
+            minimum: 0,
+            default: 86400,
+            description: 'How long the current key keeps being published and used'
+          },
+          expiresInSeconds: {
+            type: 'integer',
+            minimum: 60,
+            description: 'Optional lifetime of the new key, counted from when it takes over'
+          }
+        }
+      },
+      response: {
+        200: umaKeysResponseSchema,
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        409: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { gracePeriodSeconds, expiresInSeconds } = req.body || {}
+      const domain = await domainService.rotateUmaKeys(toObjectId(req.params.domainId), { gracePeriodSeconds, expiresInSeconds })
+
+      reply.send({
+        success: true,
+        keys: formatUmaKeys(domain),
+        message: 'UMA keys rotated successfully'
+      })
+    } catch (error) {
+      console.error('Error rotating UMA keys:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * DELETE /api/admin/domain/:domainId/uma-keys/:keyId
+   * Retire a UMA key immediately
+   */
+  fastify.delete('/domain/:domainId/uma-keys/:keyId', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Retire a UMA key immediately. A pending replacement key takes over if the retired key was active. The domain\'s only usable key can\'t be retired.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          keyId: { type: 'string', description: 'Key ID to retire' }
+        }
+      },
+      response: {
+        200: umaKeysResponseSchema,
+        400: errorResponseSchema,
+        404: errorResponseSchema,
+        409: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, keyId } = req.params
+      const domain = await domainService.retireUmaKey(toObjectId(domainId), keyId)
+
+      reply.send({
+        success: true,
+        keys: formatUmaKeys(domain),
+        message: 'UMA key retired successfully'
+      })
+    } catch (error) {
+      console.error('Error retiring UMA key:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  const webhookEndpointSchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      description: { type: 'string', nullable: true },
+      isActive: { type: 'boolean' },
+      secret: { type: 'string', description: 'HMAC-SHA256 signing secret, only returned on creation and rotation' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  }
+
+  const webhookDeliverySchema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      eventId: { type: 'string' },
+      eventType: { type: 'string', enum: WEBHOOK_EVENTS },
+      payload: { type: 'object', additionalProperties: true },
+      status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      attemptCount: { type: 'integer' },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            success: { type: 'boolean' },
+            statusCode: { type: 'integer', nullable: true },
+            error: { type: 'string', nullable: true },
+            durationMs: { type: 'integer' }
+          }
+        }
+      },
+      nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+      deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+
+  const webhookParamsSchema = {
+    type: 'object',
+    properties: {
+      domainId: { type: 'string', description: 'Domain ID' },
+      webhookId: { type: 'string', description: 'Webhook endpoint ID' }
+    }
+  }
+
+  /**
+   * POST /api/admin/domain/:domainId/webhooks
+   * Register a webhook endpoint for a domain
+   */
+  fastify.post('/domain/:domainId/webhooks', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Register an endpoint that receives HMAC-signed events of a domain. The signing secret is only returned here.',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: { type: 'string', description: 'http(s) URL events are POSTed to' },
+          events: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Events to receive, all of them when omitted'
+          },
+          description: { type: 'string' }
+        }
+      },
+      response: {
+        201: {
+          description: 'Webhook endpoint created successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            webhook: webhookEndpointSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const endpoint = await webhookService.createEndpoint(req.params.domainId, req.body)
+
+      reply.status(201).send({
+        success: true,
+        webhook: webhookService.formatEndpoint(endpoint, { includeSecret: true }),
+        message: 'Webhook endpoint created successfully'
+      })
+    } catch (error) {
+      console.error('Error creating webhook endpoint:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * GET /api/admin/domain/:domainId/webhooks
+   * List the webhook endpoints of a domain
+   */
+  fastify.get('/domain/:domainId/webhooks', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'List the webhook endpoints of a domain',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Webhook endpoints retrieved successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            webhooks: { type: 'array', items: webhookEndpointSchema }
+          }
+        },
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const endpoints = await webhookService.getEndpoints(req.params.domainId)
+
+      reply.send({
+        success: true,
+        webhooks: endpoints.map(endpoint => webhookService.formatEndpoint(endpoint))
+      })
+    } catch (error) {
+      console.error('Error listing webhook endpoints:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * PATCH /api/admin/domain/:domainId/webhooks/:webhookId
+   * Update or disable a webhook endpoint, or rotate its secret
+   */
+  fastify.patch('/domain/:domainId/webhooks/:webhookId', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Update a webhook endpoint. Disabled endpoints get no new deliveries. rotateSecret returns a new signing secret.',
+      tags: ['Admin'],
+      params: webhookParamsSchema,
+      body: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          events: { type: 'array', items: { type: 'string' } },
+          description: { type: 'string', nullable: true },
+          isActive: { type: 'boolean' },
+          rotateSecret: { type: 'boolean' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Webhook endpoint updated successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            webhook: webhookEndpointSchema,
+            message: { type: 'string' }
+          }
+        },
+        400: errorResponseSchema,
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, webhookId } = req.params
+      const updates = req.body || {}
+
+      const endpoint = await webhookService.updateEndpoint(domainId, webhookId, updates)
+
+      reply.send({
+        success: true,
+        webhook: webhookService.formatEndpoint(endpoint, { includeSecret: Boolean(updates.rotateSecret) }),
+        message: 'Webhook endpoint updated successfully'
+      })
+    } catch (error) {
+      console.error('Error updating webhook endpoint:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * DELETE /api/admin/domain/:domainId/webhooks/:webhookId
+   * Remove a webhook endpoint
+   */
+  fastify.delete('/domain/:domainId/webhooks/:webhookId', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Remove a webhook endpoint. Its pending deliveries are marked failed.',
+      tags: ['Admin'],
+      params: webhookParamsSchema,
+      response: {
+        200: {
+          description: 'Webhook endpoint deleted successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            message: { type: 'string' }
+          }
+        },
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, webhookId } = req.params
+
+      await webhookService.deleteEndpoint(domainId, webhookId)
+
+      reply.send({
+        success: true,
+        message: 'Webhook endpoint deleted successfully'
+      })
+    } catch (error) {
+      console.error('Error deleting webhook endpoint:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * GET /api/admin/domain/:domainId/webhooks/:webhookId/deliveries
+   * Inspect the latest deliveries of a webhook endpoint
+   */
+  fastify.get('/domain/:domainId/webhooks/:webhookId/deliveries', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'List the latest 100 deliveries of a webhook endpoint with every attempt',
+      tags: ['Admin'],
+      params: webhookParamsSchema,
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+          event: { type: 'string', enum: WEBHOOK_EVENTS }
+        }
+      },
+      response: {
+        200: {
+          description: 'Webhook deliveries retrieved successfully',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            deliveries: { type: 'array', items: webhookDeliverySchema }
+          }
+        },
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, webhookId } = req.params
+
+      const deliveries = await webhookService.getDeliveries(domainId, webhookId, req.query)
+
+      reply.send({
+        success: true,
+        deliveries: deliveries.map(delivery => webhookService.formatDelivery(delivery))
+      })
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
+  /**
+   * POST /api/admin/domain/:domainId/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+   * Send a delivery again
+   */
+  fastify.post('/domain/:domainId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', {
+    preHandler: authenticateAdmin,
+    schema: {
+      description: 'Send a delivery again right away, with the same event and a fresh set of retries',
+      tags: ['Admin'],
+      params: {
+        type: 'object',
+        properties: {
+          domainId: { type: 'string', description: 'Domain ID' },
+          webhookId: { type: 'string', description: 'Webhook endpoint ID' },
+          deliveryId: { type: 'string', description: 'Delivery ID' }
+        }
+      },
+      response: {
+        200: {
+          description: 'Delivery attempted',
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            delivery: webhookDeliverySchema
+          }
+        },
+        404: errorResponseSchema
+      }
+    }
+  }, async (req, reply) => {
+    try {
+      const { domainId, webhookId, deliveryId } = req.params
+
+      const delivery = await webhookService.redeliver(domainId, webhookId, deliveryId)
+
+      reply.send({
+        success: true,
+        delivery: webhookService.formatDelivery(delivery)
+      })
+    } catch (error) {
+      console.error('Error redelivering webhook:', error)
+      sendServiceError(reply, error)
+    }
+  })
+
   /**
    * DELETE /api/admin/domain/:domainId
    * Delete a domain and all its users
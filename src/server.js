@@ -2,7 +2,19 @@ require('dotenv').config()
 const fastify = require('fastify')({ logger: true })
 const { initializeDatabase } = require('./db/database')
 const { umaService } = require('./services/uma')
+const { lnurlService } = require('./services/lnurl')
 const { domainService } = require('./services/domains')
+const { paymentExpirySweeper } = require('./services/payments')
+const { sparkSettlementWatcher } = require('./services/settlement-watcher')
+const { chainDepositWatcher } = require('./services/chain-watcher')
+const { webhookRetryWorker } = require('./services/webhooks')
+const { UmaError, ErrorCode } = require('@uma-sdk/core')
+const {
+  ServiceError,
+  DomainNotFoundError,
+  UserNotFoundError,
+  InvalidInputError
+} = require('./errors')
 
 // Swagger configuration
 fastify.register(require('@fastify/swagger'), {
@@ -57,101 +69,222 @@ async function initializeApp () {
   }
 }
 
+// Resolve the tenant domain from the request hostname (strip port if present)
+async function resolveRequestDomain (req) {
+  const requestDomain = req.hostname.toLowerCase().split(':')[0]
+  const domain = await domainService.getDomainByName(requestDomain)
+
+  if (!domain) {
+    throw new DomainNotFoundError(requestDomain)
+  }
+
+  return domain
+}
+
+// Nonce is optional - auto-generate if not provided (for replay attack prevention)
+function generatePaymentNonce () {
+  return `uma_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
+}
+
+// Amounts are msats, or <amount>.<CURRENCY> (UMA v1) when the sender fixes
+// what the receiver gets in the currency's smallest unit, e.g. 1000.USD = $10
+function parseAmount (value) {
+  const match = /^(\d+)(?:\.([A-Za-z]+))?$/.exec(value)
+  const amount = match ? parseInt(match[1], 10) : NaN
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new InvalidInputError('Invalid amount')
+  }
+
+  return { amount, currencyCode: match[2]?.toUpperCase() }
+}
+
+// Send errors raised while serving UMA/LNURL requests as spec error bodies
+// ({ status: 'ERROR', reason, code }). SDK protocol errors and service errors
+// (src/errors.js) carry their own code and HTTP status, anything else is a 500.
+function sendUmaRequestError (reply, error) {
+  if (error instanceof UmaError) {
+    console.warn(`UMA request rejected (${error.code}): ${error.message}`)
+    return reply.status(error.httpStatusCode).send(JSON.parse(error.toJSON()))
+  }
+
+  console.error('Error handling UMA request:', error)
+
+  return reply.status(500).send({
+    status: 'ERROR',
+    reason: 'Internal server error',
+    code: ErrorCode.INTERNAL_ERROR.code
+  })
+}
+
+// UMA public keys - signing and encryption keys of the requested domain
+fastify.get('/.well-known/lnurlpubkey', async (req, reply) => {
+  try {
+    const domain = await resolveRequestDomain(req)
+
+    const pubKeyResponse = domainService.getUmaPubKeyResponse(domain)
+
+    if (!pubKeyResponse) {
+      throw new ServiceError(`No UMA keys published for ${domain.domain}`, ErrorCode.REQUEST_NOT_FOUND)
+    }
+
+    // Let counterparties cache the keys until they expire
+    if (pubKeyResponse.expirationTimestamp) {
+      const maxAge = Math.max(0, pubKeyResponse.expirationTimestamp - Math.floor(Date.now() / 1000))
+      reply.header('Cache-Control', `public, max-age=${maxAge}`)
+    }
+
+    return reply.send(pubKeyResponse)
+  } catch (error) {
+    return sendUmaRequestError(reply, error)
+  }
+})
+
 // UMA Endpoint - Handles both lookup and pay requests
+// Callers without UMA parameters are plain LNURL wallets and get LUD-06/LUD-16 responses
 fastify.get('/.well-known/lnurlp/:username', async (req, reply) => {
   const { username } = req.params
-  const { amount, nonce, currency, settlementLayer, assetIdentifier } = req.query
+  const { amount, nonce, currency, settlementLayer, assetIdentifier, payerdata, comment, nostr } = req.query
 
   try {
+    const isPlainLnurl = lnurlService.isPlainLnurlRequest(req.query)
+
     // Case 1: Lookup request (no amount parameter)
     if (!amount) {
-      // Extract domain from request hostname (strip port if present)
-      const requestDomain = req.hostname.toLowerCase().split(':')[0]
-      const domain = await domainService.getDomainByName(requestDomain)
-
-      if (!domain) {
-        return reply.status(404).send({
-          status: 'ERROR',
-          reason: `Domain ${requestDomain} not found`
-        })
-      }
+      const domain = await resolveRequestDomain(req)
 
-      const lookupResponse = await umaService.generateLookupResponse(username, domain)
+      // Full request URL so signed UMA query parameters can be verified
+      const requestUrl = `${req.protocol}://${req.hostname}${req.url}`
+      const lookupResponse = isPlainLnurl
+        ? await lnurlService.generateLookupResponse(username, domain)
+        : await umaService.generateLookupResponse(username, domain, requestUrl)
 
       if (!lookupResponse) {
-        return reply.status(404).send({
-          status: 'ERROR',
-          reason: 'User not found'
-        })
+        throw new UserNotFoundError()
       }
 
       return reply.send(lookupResponse)
     }
 
     // Case 2: Pay request (with amount parameter)
-    // Nonce is optional - auto-generate if not provided (for replay attack prevention)
-    const paymentNonce = nonce || `uma_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
-
-    const amountMsats = parseInt(amount, 10)
-    if (isNaN(amountMsats) || amountMsats <= 0) {
-      return reply.status(400).send({
-        status: 'ERROR',
-        reason: 'Invalid amount'
-      })
+    const paymentNonce = nonce || generatePaymentNonce()
+
+    const { amount: parsedAmount, currencyCode: amountCurrency } = parseAmount(amount)
+
+    // LUD-18 payer data is sent as URL-encoded JSON
+    let payerData
+    if (payerdata) {
+      try {
+        payerData = JSON.parse(payerdata)
+      } catch (error) {
+        throw new InvalidInputError('Invalid payerdata')
+      }
     }
 
-    // Extract domain from request hostname (strip port if present)
-    const requestDomain = req.hostname.toLowerCase().split(':')[0]
-    const domain = await domainService.getDomainByName(requestDomain)
+    const domain = await resolveRequestDomain(req)
 
-    if (!domain) {
-      return reply.status(404).send({
-        status: 'ERROR',
-        reason: `Domain ${requestDomain} not found`
+    const acceptLanguage = req.headers['accept-language']
+
+    const payResponse = isPlainLnurl
+      ? await lnurlService.generatePayResponse(username, domain, parsedAmount, paymentNonce, {
+        payerData,
+        encodedPayerData: payerdata,
+        comment,
+        zapRequest: nostr,
+        acceptLanguage
       })
+      : await umaService.generatePayResponse(
+        username,
+        domain,
+        parsedAmount,
+        paymentNonce,
+        currency,
+        settlementLayer,
+        assetIdentifier,
+        { payerData, encodedPayerData: payerdata, comment, amountCurrency, acceptLanguage }
+      )
+
+    if (!payResponse) {
+      throw new UserNotFoundError()
     }
 
+    return reply.send(payResponse)
+  } catch (error) {
+    return sendUmaRequestError(reply, error)
+  }
+})
+
+// UMA pay request - JSON body POSTed to the callback URL (v1, or v0.x with `currency`)
+// The GET variant above remains as the legacy LNURL-pay mode
+fastify.post('/.well-known/lnurlp/:username', async (req, reply) => {
+  const { username } = req.params
+
+  try {
+    const domain = await resolveRequestDomain(req)
+
+    // Parses the body and verifies the sender's signature for UMA requests
+    const payRequest = await umaService.parsePayRequest(req.body)
+
+    // Amounts in a currency (1000.USD) are converted by generatePayResponse
+    if (!Number.isInteger(payRequest.amount) || payRequest.amount <= 0) {
+      throw new InvalidInputError('Invalid amount')
+    }
+
+    // Reuse the sender's signature nonce so the payment can be traced back to the request
+    const paymentNonce = payRequest.payerData?.compliance?.signatureNonce || generatePaymentNonce()
+
     const payResponse = await umaService.generatePayResponse(
       username,
       domain,
-      amountMsats,
+      payRequest.amount,
       paymentNonce,
-      currency,
-      settlementLayer,
-      assetIdentifier
+      payRequest.receivingCurrencyCode,
+      payRequest.settlement?.layer,
+      payRequest.settlement?.assetIdentifier,
+      { payRequest, acceptLanguage: req.headers['accept-language'] }
     )
 
     if (!payResponse) {
-      return reply.status(404).send({
-        status: 'ERROR',
-        reason: 'User not found'
-      })
+      throw new UserNotFoundError()
     }
 
     return reply.send(payResponse)
   } catch (error) {
-    console.error('Error handling UMA request:', error)
+    return sendUmaRequestError(reply, error)
+  }
+})
 
-    // Handle duplicate nonce error
-    if (error.message === 'DUPLICATE_NONCE') {
-      return reply.status(409).send({
-        status: 'ERROR',
-        reason: 'Duplicate payment request. This nonce has already been used.'
-      })
+// UMA post-transaction callback - the sending VASP reports the UTXOs/tx hashes it used
+// Matched to the payment request by ?nonce= (as given in utxoCallback) or ?invoice=
+fastify.post('/uma/utxocallback', async (req, reply) => {
+  const { nonce, invoice } = req.query
+
+  try {
+    if (!nonce && !invoice) {
+      throw new InvalidInputError('nonce or invoice query parameter is required')
     }
 
-    // Handle invalid settlement layer
-    if (error.message?.includes('Address not found for settlement layer')) {
-      return reply.status(400).send({
-        status: 'ERROR',
-        reason: 'Unsupported or invalid settlement layer. Check available settlement options from the lookup endpoint.'
-      })
+    await umaService.handlePostTransactionCallback(req.body, { nonce, invoice })
+
+    return reply.send({ status: 'OK' })
+  } catch (error) {
+    return sendUmaRequestError(reply, error)
+  }
+})
+
+// LUD-21 verify - lets merchants and wallets poll whether a Lightning invoice was paid
+fastify.get('/lnurlp/verify/:paymentHash', async (req, reply) => {
+  const { paymentHash } = req.params
+
+  try {
+    if (!/^[0-9a-f]{64}$/i.test(paymentHash)) {
+      throw new InvalidInputError('Invalid payment hash')
     }
 
-    return reply.status(500).send({
-      status: 'ERROR',
-      reason: 'Internal server error'
-    })
+    const verification = await lnurlService.verifyPayment(paymentHash.toLowerCase())
+
+    return reply.send({ status: 'OK', ...verification })
+  } catch (error) {
+    return sendUmaRequestError(reply, error)
   }
 })
 
@@ -195,7 +328,11 @@ fastify.get('/', {
             type: 'object',
             properties: {
               uma_lookup: { type: 'string' },
+              uma_pubkeys: { type: 'string' },
               uma_pay: { type: 'string' },
+              uma_pay_v1: { type: 'string' },
+              uma_utxo_callback: { type: 'string' },
+              lnurl_verify: { type: 'string' },
               create_domain: { type: 'string' },
               list_users: { type: 'string' },
               create_user: { type: 'string' },
@@ -227,7 +364,11 @@ fastify.get('/', {
     description: 'Minimal UMA domain and user registry for Lightning payments',
     endpoints: {
       uma_lookup: '/.well-known/lnurlp/{username}',
-      uma_pay: '/.well-known/lnurlp/{username}?amount=1000[&nonce=optional][&currency=USD][&settlementLayer=polygon][&assetIdentifier=USDT_POLYGON]',
+      uma_pubkeys: '/.well-known/lnurlpubkey',
+      uma_pay: '/.well-known/lnurlp/{username}?amount=1000[&nonce=optional][&currency=USD][&settlementLayer=polygon][&assetIdentifier=USDT_POLYGON][&payerdata={json}][&comment=text]',
+      uma_pay_v1: 'POST /.well-known/lnurlp/{username} (UMA v1 JSON pay request)',
+      uma_utxo_callback: 'POST /uma/utxocallback?nonce={nonce}',
+      lnurl_verify: '/lnurlp/verify/{paymentHash}',
       create_domain: 'POST /api/admin/domains',
       list_users: 'GET /api/admin/users/{domainId}',
       create_user: 'POST /api/admin/users/{domainId}',
@@ -257,6 +398,15 @@ async function start () {
     // Start listening
     await fastify.listen({ port: PORT, host: '0.0.0.0' })
 
+    // Mark pending payment requests past their expiry as expired
+    paymentExpirySweeper.start()
+    // Mark Lightning payment requests paid once Spark received them
+    sparkSettlementWatcher.start()
+    // Mark on-chain payment requests paid once their deposit is confirmed
+    chainDepositWatcher.start()
+    // Retry webhook deliveries that failed
+    webhookRetryWorker.start()
+
     console.log('')
     console.log('🚀 UMA Multi-Chain Payment Backend')
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
@@ -0,0 +1,297 @@
+const CHAIN_MAPPING = require('../../config/chain-mapping')
+
+/**
+ * Chain adapters
+ *
+ * The chain watcher finds on-chain deposits through one adapter per chain family.
+ * Adapters implement:
+ *
+ *   layer, confirmations
+ *   normalizeAddress(address) -> address as compared when matching payment requests
+ *   scan(addresses, cursor) -> { transfers, cursor }
+ *
+ * scan returns the token transfers to addresses since cursor (null on the first scan),
+ * transfers not final yet included, and the cursor to scan from next time. Transfers:
+ *   { txId, txHash, from, to, assetIdentifier, amount (BigInt, smallest unit),
+ *     blockNumber, blockTime, confirmations, final }
+ */
+
+// keccak256('Transfer(address,address,uint256)')
+const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+
+const SPL_TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGYPxwvTGp6QbnyiNkbQpZ5AaHpUa'
+
+/**
+ * Minimal JSON-RPC 2.0 client over HTTP
+ */
+class JsonRpcClient {
+  constructor (url) {
+    this.url = url
+    this.nextId = 1
+  }
+
+  async call (method, params = []) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params })
+    })
+
+    if (!response.ok) {
+      throw new Error(`${method} failed: HTTP ${response.status}`)
+    }
+
+    const body = await response.json()
+    if (body.error) {
+      throw new Error(`${method} failed: ${body.error.message}`)
+    }
+    return body.result
+  }
+}
+
+/**
+ * ERC-20 deposits on EVM chains, from Transfer event logs (eth_getLogs)
+ * The cursor is the last block all transfers of which are final. Every scan covers the
+ * blocks after it, so transfers are returned again until they have enough confirmations.
+ */
+class EvmChainAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.layer - Settlement layer, e.g. polygon
+   * @param {string} options.rpcUrl
+   * @param {Array<{ identifier: string, contract: string }>} options.assets - Tokens to watch
+   * @param {number} options.confirmations - Blocks before a transfer is final
+   * @param {number} [options.maxBlockRange] - Blocks per eth_getLogs call at most
+   * @param {number} [options.initialLookbackBlocks] - Blocks scanned before the head on the first scan
+   */
+  constructor ({ layer, rpcUrl, assets, confirmations, maxBlockRange = 2000, initialLookbackBlocks = 1000 }) {
+    this.layer = layer
+    this.confirmations = confirmations
+    this.maxBlockRange = maxBlockRange
+    this.initialLookbackBlocks = initialLookbackBlocks
+    this.rpc = new JsonRpcClient(rpcUrl)
+    this.assetsByContract = new Map(assets.map(asset => [asset.contract.toLowerCase(), asset.identifier]))
+  }
+
+  normalizeAddress (address) {
+    return address.toLowerCase()
+  }
+
+  async scan (addresses, cursor) {
+    const head = parseInt(await this.rpc.call('eth_blockNumber'), 16)
+    // Blocks up to finalBlock have at least this.confirmations confirmations
+    const finalBlock = head - this.confirmations + 1
+
+    if (addresses.length === 0) {
+      return { transfers: [], cursor: Math.max(finalBlock, cursor ?? 0) }
+    }
+
+    const fromBlock = cursor === null ? Math.max(head - this.initialLookbackBlocks, 0) : cursor + 1
+    const toBlock = Math.min(head, fromBlock + this.maxBlockRange - 1)
+
+    if (fromBlock > toBlock) {
+      return { transfers: [], cursor }
+    }
+
+    const logs = await this.rpc.call('eth_getLogs', [{
+      fromBlock: toHex(fromBlock),
+      toBlock: toHex(toBlock),
+      address: [...this.assetsByContract.keys()],
+      topics: [ERC20_TRANSFER_TOPIC, null, addresses.map(toAddressTopic)]
+    }])
+
+    const blockTimes = new Map()
+    const transfers = []
+    for (const log of logs) {
+      // Dropped by a reorg
+      if (log.removed) {
+        continue
+      }
+
+      const blockNumber = parseInt(log.blockNumber, 16)
+      if (!blockTimes.has(blockNumber)) {
+        const block = await this.rpc.call('eth_getBlockByNumber', [log.blockNumber, false])
+        blockTimes.set(blockNumber, new Date(parseInt(block.timestamp, 16) * 1000))
+      }
+
+      const confirmations = head - blockNumber + 1
+      transfers.push({
+        txId: `${log.transactionHash}:${parseInt(log.logIndex, 16)}`,
+        txHash: log.transactionHash,
+        from: fromAddressTopic(log.topics[1]),
+        to: fromAddressTopic(log.topics[2]),
+        assetIdentifier: this.assetsByContract.get(log.address.toLowerCase()),
+        amount: BigInt(log.data),
+        blockNumber,
+        blockTime: blockTimes.get(blockNumber),
+        confirmations,
+        final: confirmations >= this.confirmations
+      })
+    }
+
+    return { transfers, cursor: Math.max(Math.min(finalBlock, toBlock), cursor ?? 0) }
+  }
+}
+
+/**
+ * SPL token deposits on Solana, polling the token accounts of the watched addresses
+ * The cursor keeps the newest finalized signature of each token account, transfers
+ * after it are returned again until they are finalized.
+ */
+class SolanaChainAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.layer
+   * @param {string} options.rpcUrl
+   * @param {Array<{ identifier: string, mint: string }>} options.assets - Tokens to watch
+   * @param {number} options.confirmations - Slots reported as required, transfers are final once finalized
+   * @param {number} [options.initialSignatureLimit] - Signatures fetched per token account on the first scan
+   */
+  constructor ({ layer, rpcUrl, assets, confirmations, initialSignatureLimit = 100 }) {
+    this.layer = layer
+    this.confirmations = confirmations
+    this.initialSignatureLimit = initialSignatureLimit
+    this.rpc = new JsonRpcClient(rpcUrl)
+    this.assetsByMint = new Map(assets.map(asset => [asset.mint, asset.identifier]))
+  }
+
+  normalizeAddress (address) {
+    return address
+  }
+
+  async scan (addresses, cursor) {
+    const signatures = { ...cursor }
+    if (addresses.length === 0) {
+      return { transfers: [], cursor: signatures }
+    }
+
+    const head = await this.rpc.call('getSlot', [{ commitment: 'confirmed' }])
+    const transfers = []
+
+    for (const owner of addresses) {
+      const { value: tokenAccounts } = await this.rpc.call('getTokenAccountsByOwner', [
+        owner,
+        { programId: SPL_TOKEN_PROGRAM_ID },
+        { encoding: 'jsonParsed', commitment: 'confirmed' }
+      ])
+
+      for (const { pubkey, account } of tokenAccounts) {
+        const mint = account.data.parsed.info.mint
+        if (!this.assetsByMint.has(mint)) {
+          continue
+        }
+
+        const accountTransfers = await this._scanTokenAccount(pubkey, owner, mint, head, signatures)
+        transfers.push(...accountTransfers)
+      }
+    }
+
+    return { transfers, cursor: signatures }
+  }
+
+  async _scanTokenAccount (tokenAccount, owner, mint, head, signatures) {
+    const until = signatures[tokenAccount]
+    const entries = await this.rpc.call('getSignaturesForAddress', [
+      tokenAccount,
+      until ? { until, commitment: 'confirmed' } : { limit: this.initialSignatureLimit, commitment: 'confirmed' }
+    ])
+
+    // Newest first
+    const newestFinalized = entries.find(entry => entry.confirmationStatus === 'finalized')
+    if (newestFinalized) {
+      signatures[tokenAccount] = newestFinalized.signature
+    }
+
+    const transfers = []
+    for (const entry of entries.reverse()) {
+      if (entry.err) {
+        continue
+      }
+
+      const tx = await this.rpc.call('getTransaction', [
+        entry.signature,
+        { encoding: 'jsonParsed', commitment: 'confirmed', maxSupportedTransactionVersion: 0 }
+      ])
+      if (!tx) {
+        continue
+      }
+
+      const accountIndex = tx.transaction.message.accountKeys.findIndex(key => key.pubkey === tokenAccount)
+      const balanceOf = (balances) => balances.find(balance => balance.accountIndex === accountIndex)
+      const pre = balanceOf(tx.meta.preTokenBalances || [])
+      const post = balanceOf(tx.meta.postTokenBalances || [])
+
+      const amount = BigInt(post?.uiTokenAmount.amount ?? '0') - BigInt(pre?.uiTokenAmount.amount ?? '0')
+      // Only incoming transfers
+      if (amount <= 0n) {
+        continue
+      }
+
+      // The sender is the owner of the account of this mint whose balance went down
+      const sender = (tx.meta.preTokenBalances || []).find(balance => {
+        const after = (tx.meta.postTokenBalances || []).find(b => b.accountIndex === balance.accountIndex)
+        return balance.mint === mint && BigInt(balance.uiTokenAmount.amount) > BigInt(after?.uiTokenAmount.amount ?? '0')
+      })
+
+      transfers.push({
+        txId: `${entry.signature}:${tokenAccount}`,
+        txHash: entry.signature,
+        from: sender?.owner ?? null,
+        to: owner,
+        assetIdentifier: this.assetsByMint.get(mint),
+        amount,
+        blockNumber: entry.slot,
+        blockTime: new Date((tx.blockTime ?? entry.blockTime) * 1000),
+        confirmations: head - entry.slot + 1,
+        final: entry.confirmationStatus === 'finalized'
+      })
+    }
+
+    return transfers
+  }
+}
+
+/**
+ * Adapters of the chains with an RPC URL configured (<CHAIN>_RPC_URL, e.g. POLYGON_RPC_URL)
+ */
+function createChainAdapters (env = process.env) {
+  const adapters = []
+
+  for (const [chainName, mapping] of Object.entries(CHAIN_MAPPING)) {
+    const rpcUrl = env[`${chainName.toUpperCase()}_RPC_URL`]
+    if (!rpcUrl || !mapping.confirmations) {
+      continue
+    }
+
+    const options = { layer: mapping.layer, rpcUrl, confirmations: mapping.confirmations }
+    const assets = Object.values(mapping.assets)
+
+    if (chainName === 'solana') {
+      adapters.push(new SolanaChainAdapter({ ...options, assets: assets.filter(asset => asset.mint) }))
+    } else {
+      adapters.push(new EvmChainAdapter({ ...options, assets: assets.filter(asset => asset.contract) }))
+    }
+  }
+
+  return adapters
+}
+
+function toHex (number) {
+  return `0x${number.toString(16)}`
+}
+
+function toAddressTopic (address) {
+  return `0x${address.toLowerCase().replace(/^0x/, '').padStart(64, '0')}`
+}
+
+function fromAddressTopic (topic) {
+  return `0x${topic.slice(-40)}`
+}
+
+module.exports = {
+  JsonRpcClient,
+  EvmChainAdapter,
+  SolanaChainAdapter,
+  createChainAdapters,
+  ERC20_TRANSFER_TOPIC
+}
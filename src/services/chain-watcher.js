@@ -0,0 +1,188 @@
+const { getDatabase } = require('../db/database')
+const { paymentService } = require('./payments')
+const { createChainAdapters } = require('./chain-adapters')
+const { InvalidPaymentTransitionError } = require('../errors')
+
+// Deposits made this long before a payment request was created still match it (clock skew)
+const DEPOSIT_CLOCK_SKEW_MS = 60 * 1000
+
+/**
+ * Background job detecting on-chain deposits to the addresses pay responses handed out
+ *
+ * Every poll scans each configured chain (see chain-adapters.js) for token transfers to
+ * the addresses of outstanding payment requests. A transfer is matched to the oldest
+ * payment request of the same address, asset and amount that it was made in the time
+ * window of (created_at to expires_at). The deposit is stored on the payment request
+ * with its confirmation depth, and the request is marked paid once the transfer is final.
+ */
+class ChainDepositWatcher {
+  /**
+   * @param {Array<Object>} [adapters] - Defaults to the chains with an RPC URL configured
+   */
+  constructor (
+    adapters = createChainAdapters(),
+    intervalSeconds = parseInt(process.env.CHAIN_WATCHER_POLL_INTERVAL_SECONDS || '30', 10)
+  ) {
+    this.adapters = adapters
+    this.intervalSeconds = intervalSeconds
+    this.timer = null
+    this.running = false
+  }
+
+  start () {
+    if (this.timer || this.adapters.length === 0) {
+      return
+    }
+
+    this.timer = setInterval(() => this.poll(), this.intervalSeconds * 1000)
+    // Don't keep the process alive for the watcher alone
+    this.timer.unref()
+  }
+
+  stop () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Scan every chain once
+   * @returns {Promise<number>} Number of payment requests marked paid
+   */
+  async poll () {
+    // Skip when the previous poll is still going
+    if (this.running) {
+      return 0
+    }
+
+    this.running = true
+    try {
+      let paid = 0
+      for (const adapter of this.adapters) {
+        try {
+          paid += await this.pollChain(adapter)
+        } catch (error) {
+          // Other chains still get scanned, this one resumes from its cursor next poll
+          console.error(`Chain watcher scan of ${adapter.layer} failed:`, error)
+        }
+      }
+
+      if (paid > 0) {
+        console.log(`Marked ${paid} on-chain payment requests paid`)
+      }
+      return paid
+    } finally {
+      this.running = false
+    }
+  }
+
+  async pollChain (adapter) {
+    const payments = await paymentService.getOutstandingOnChainPayments(adapter.layer)
+    const addresses = [...new Set(payments.map(payment => adapter.normalizeAddress(payment.invoice_or_address)))]
+
+    const { transfers, cursor } = await adapter.scan(addresses, await this.getCursor(adapter.layer))
+
+    let paid = 0
+    for (const transfer of transfers) {
+      if (await this.applyTransfer(adapter, payments, transfer)) {
+        paid++
+      }
+    }
+
+    await this.saveCursor(adapter.layer, cursor)
+    return paid
+  }
+
+  /**
+   * Record a transfer on the payment request it pays
+   * @returns {Promise<boolean>} Whether the payment request was marked paid
+   */
+  async applyTransfer (adapter, payments, transfer) {
+    let payment = payments.find(p => p.deposit?.tx_id === transfer.txId)
+
+    if (!payment) {
+      // Already matched to a payment request that is no longer outstanding
+      if (await paymentService.getPaymentRequestByDepositTxId(transfer.txId)) {
+        return false
+      }
+
+      payment = this.matchPayment(adapter, payments, transfer)
+      if (!payment) {
+        return false
+      }
+    }
+
+    const deposit = {
+      tx_id: transfer.txId,
+      tx_hash: transfer.txHash,
+      from: transfer.from,
+      amount: transfer.amount.toString(),
+      block_number: transfer.blockNumber,
+      block_time: transfer.blockTime,
+      confirmations: transfer.confirmations,
+      required_confirmations: adapter.confirmations,
+      detected_at: payment.deposit?.detected_at ?? new Date()
+    }
+
+    if (!await paymentService.recordDeposit(payment._id, deposit)) {
+      return false
+    }
+    payment.deposit = deposit
+
+    if (!transfer.final) {
+      return false
+    }
+
+    try {
+      await paymentService.transitionStatus(payment._id, 'paid', {
+        reason: `Deposit ${transfer.txHash} confirmed`,
+        set: { settled_at: transfer.blockTime }
+      })
+      return true
+    } catch (error) {
+      // Updated since it was found
+      if (error instanceof InvalidPaymentTransitionError) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Oldest payment request without a deposit that a transfer pays
+   * @returns {Object|null}
+   */
+  matchPayment (adapter, payments, transfer) {
+    const to = adapter.normalizeAddress(transfer.to)
+
+    return payments
+      .filter(payment =>
+        !payment.deposit &&
+        adapter.normalizeAddress(payment.invoice_or_address) === to &&
+        payment.asset_identifier === transfer.assetIdentifier &&
+        /^\d+$/.test(String(payment.amount_msats)) &&
+        BigInt(payment.amount_msats) === transfer.amount &&
+        transfer.blockTime >= new Date(payment.created_at.getTime() - DEPOSIT_CLOCK_SKEW_MS) &&
+        transfer.blockTime <= payment.expires_at
+      )
+      .sort((a, b) => a.created_at - b.created_at)[0] || null
+  }
+
+  async getCursor (chain) {
+    const db = await getDatabase()
+    const state = await db.collection('chain_watcher_cursors').findOne({ chain })
+    return state?.cursor ?? null
+  }
+
+  async saveCursor (chain, cursor) {
+    const db = await getDatabase()
+    await db.collection('chain_watcher_cursors').updateOne(
+      { chain },
+      { $set: { cursor, updated_at: new Date() } },
+      { upsert: true }
+    )
+  }
+}
+
+const chainDepositWatcher = new ChainDepositWatcher()
+
+module.exports = { chainDepositWatcher, ChainDepositWatcher }
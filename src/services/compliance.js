@@ -0,0 +1,159 @@
+const fs = require('fs')
+const { getDatabase } = require('../db/database')
+
+const DECISIONS = ['allow', 'review', 'deny']
+
+/**
+ * Screening provider backed by a local JSON file:
+ *
+ * {
+ *   "deny":   { "vaspDomains": [], "identifiers": [], "addresses": [] },
+ *   "review": { "vaspDomains": [], "identifiers": [], "addresses": [] }
+ * }
+ *
+ * The file is re-read when its modification time changes, so lists can be
+ * updated without restarting the service.
+ */
+class DenyListProvider {
+  constructor (filePath) {
+    this.name = 'deny-list'
+    this.filePath = filePath
+    this.lists = null
+    this.loadedMtimeMs = null
+  }
+
+  _loadLists () {
+    const { mtimeMs } = fs.statSync(this.filePath)
+    if (this.lists && mtimeMs === this.loadedMtimeMs) {
+      return this.lists
+    }
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+    const normalize = (list = {}) => ({
+      vaspDomains: new Set((list.vaspDomains || []).map(value => value.toLowerCase())),
+      identifiers: new Set((list.identifiers || []).map(value => value.toLowerCase())),
+      addresses: new Set((list.addresses || []).map(value => value.toLowerCase()))
+    })
+
+    this.lists = { deny: normalize(raw.deny), review: normalize(raw.review) }
+    this.loadedMtimeMs = mtimeMs
+    return this.lists
+  }
+
+  _match (list, context) {
+    if (context.payerVaspDomain && list.vaspDomains.has(context.payerVaspDomain.toLowerCase())) {
+      return { reason: `Payer VASP ${context.payerVaspDomain} is listed`, code: 'COUNTERPARTY_NOT_ALLOWED' }
+    }
+
+    if (context.payerIdentifier && list.identifiers.has(context.payerIdentifier.toLowerCase())) {
+      return { reason: `Payer ${context.payerIdentifier} is listed`, code: 'SENDER_NOT_ACCEPTED' }
+    }
+
+    const address = context.addresses.find(value => list.addresses.has(value.toLowerCase()))
+    if (address) {
+      return { reason: `Address ${address} is listed`, code: 'FORBIDDEN' }
+    }
+
+    return null
+  }
+
+  async screen (context) {
+    const lists = this._loadLists()
+
+    const denied = this._match(lists.deny, context)
+    if (denied) {
+      return { decision: 'deny', ...denied }
+    }
+
+    const flagged = this._match(lists.review, context)
+    if (flagged) {
+      return { decision: 'review', reason: flagged.reason }
+    }
+
+    return { decision: 'allow' }
+  }
+}
+
+/**
+ * Runs pay requests through the registered screening providers before an
+ * invoice or address is handed out.
+ *
+ * A provider is any object with a `name` and an async `screen(context)`
+ * returning { decision: 'allow' | 'review' | 'deny', reason?, code? }.
+ * The strictest decision wins. A failing provider denies the payment.
+ */
+class ComplianceService {
+  constructor () {
+    this.providers = []
+  }
+
+  registerProvider (provider) {
+    this.providers.push(provider)
+  }
+
+  /**
+   * @param {Object} context
+   * @param {string} context.nonce - Payment request nonce
+   * @param {string} context.userId
+   * @param {string} context.domainId
+   * @param {string} [context.payerIdentifier]
+   * @param {string} [context.payerVaspDomain]
+   * @param {Object} [context.compliance] - Payer compliance data (UMA)
+   * @param {string[]} context.addresses - Destination addresses for the payment
+   * @returns {Promise<{ decision: string, code?: string, results: Object[] }>}
+   */
+  async screenPayment (context) {
+    const results = []
+
+    for (const provider of this.providers) {
+      try {
+        const result = await provider.screen(context)
+        if (!DECISIONS.includes(result?.decision)) {
+          throw new Error(`Invalid screening decision: ${result?.decision}`)
+        }
+        results.push({ provider: provider.name, ...result })
+      } catch (error) {
+        console.error(`Compliance provider ${provider.name} failed:`, error)
+        results.push({ provider: provider.name, decision: 'deny', reason: `Provider error: ${error.message}` })
+      }
+    }
+
+    const decisive = results.reduce(
+      (strictest, result) => DECISIONS.indexOf(result.decision) > DECISIONS.indexOf(strictest.decision) ? result : strictest,
+      { decision: 'allow' }
+    )
+
+    const screening = {
+      decision: decisive.decision,
+      code: decisive.code,
+      results
+    }
+
+    await this.recordScreening(context, screening)
+
+    return screening
+  }
+
+  async recordScreening (context, screening) {
+    const db = await getDatabase()
+    await db.collection('compliance_screenings').insertOne({
+      nonce: context.nonce,
+      user_id: context.userId,
+      domain_id: context.domainId,
+      payer_identifier: context.payerIdentifier || null,
+      payer_vasp_domain: context.payerVaspDomain || null,
+      addresses: context.addresses,
+      decision: screening.decision,
+      results: screening.results,
+      created_at: new Date()
+    })
+  }
+}
+
+const complianceService = new ComplianceService()
+
+if (process.env.COMPLIANCE_DENY_LIST_PATH) {
+  complianceService.registerProvider(new DenyListProvider(process.env.COMPLIANCE_DENY_LIST_PATH))
+}
+
+module.exports = { complianceService, ComplianceService, DenyListProvider }
@@ -0,0 +1,272 @@
+const crypto = require('crypto')
+const { secp256k1 } = require('@noble/curves/secp256k1')
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3')
+const CHAIN_MAPPING = require('../../config/chain-mapping')
+const { UserModel } = require('../models/users')
+const { DomainModel } = require('../models/domains')
+const { InvalidInputError } = require('../errors')
+
+// Settlement layers deposit addresses can be derived for: EVM chains share the key format
+const EVM_LAYERS = Object.values(CHAIN_MAPPING).filter(({ chainId }) => chainId).map(({ layer }) => layer)
+
+// BIP32 extended public key versions: xpub (mainnet) and tpub (testnet)
+const XPUB_VERSIONS = [0x0488b21e, 0x043587cf]
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+const DEFAULT_DERIVATION_PATH = '0/{index}'
+
+/**
+ * Per-payment deposit addresses derived from an extended public key
+ *
+ * Users or domains register a deposit wallet:
+ *   deposit_wallet: { xpub, path: '0/{index}', layers: ['polygon'] | null, next_index: 0 }
+ * Each on-chain pay request then gets the address at the next index of path, relative
+ * to the xpub (usually the account key, m/44'/60'/0'), instead of the user's static
+ * address. layers null means every EVM layer. A user's wallet wins over the domain's,
+ * users without either keep their static address from chain_addresses.
+ */
+class DepositAddressService {
+  constructor () {
+    this.userModel = new UserModel()
+    this.domainModel = new DomainModel()
+  }
+
+  /**
+   * Validate a deposit wallet sent to the admin API and convert it to its stored form
+   * @param {Object|null} depositWallet - { xpub, path, layers }
+   * @param {Object|null} [current] - Stored wallet it replaces, keeps its next index for the same key and path
+   * @returns {Object|null} null removes the wallet
+   */
+  normalizeWallet (depositWallet, current = null) {
+    if (depositWallet === null) {
+      return null
+    }
+
+    if (!depositWallet || typeof depositWallet !== 'object' || Array.isArray(depositWallet)) {
+      throw new InvalidInputError('Deposit wallet must be an object')
+    }
+
+    const { xpub, path = DEFAULT_DERIVATION_PATH, layers = null } = depositWallet
+
+    if (typeof xpub !== 'string') {
+      throw new InvalidInputError('Deposit wallet xpub must be a string')
+    }
+    this.parseXpub(xpub)
+
+    if (typeof path !== 'string' || path.split('/').filter(segment => segment === '{index}').length !== 1) {
+      throw new InvalidInputError('Deposit wallet path must contain {index} once, e.g. 0/{index}')
+    }
+    this.parsePath(path.replace('{index}', '0'))
+
+    if (layers !== null) {
+      if (!Array.isArray(layers) || layers.length === 0) {
+        throw new InvalidInputError('Deposit wallet layers must be a non-empty array or null')
+      }
+
+      const invalid = layers.find(layer => !EVM_LAYERS.includes(layer))
+      if (invalid !== undefined) {
+        throw new InvalidInputError(`Invalid deposit wallet layer "${invalid}". Valid layers: ${EVM_LAYERS.join(', ')}`)
+      }
+    }
+
+    const sameKey = current && current.xpub === xpub && current.path === path
+
+    return {
+      xpub,
+      path,
+      layers: layers && [...new Set(layers)],
+      next_index: sameKey ? current.next_index : 0
+    }
+  }
+
+  /**
+   * API form of a stored deposit wallet
+   */
+  formatWallet (depositWallet) {
+    if (!depositWallet) {
+      return null
+    }
+
+    return {
+      xpub: depositWallet.xpub,
+      path: depositWallet.path,
+      layers: depositWallet.layers,
+      nextIndex: depositWallet.next_index
+    }
+  }
+
+  /**
+   * Deposit wallet addresses for a settlement layer are derived from
+   * @returns {{ wallet: Object, source: 'user'|'domain' }|null} null to use the static address
+   */
+  getWallet (domain, user, settlementLayer) {
+    if (!EVM_LAYERS.includes(settlementLayer)) {
+      return null
+    }
+
+    const [source, wallet] = user?.deposit_wallet
+      ? ['user', user.deposit_wallet]
+      : ['domain', domain?.deposit_wallet]
+
+    // A user's wallet replaces the domain's, even on layers it doesn't cover
+    if (!wallet || (wallet.layers && !wallet.layers.includes(settlementLayer))) {
+      return null
+    }
+    return { wallet, source }
+  }
+
+  /**
+   * Chains a lookup offers because deposit addresses are derived for them
+   * @returns {Object} Same shape as userService.getFormattedAddresses, without addresses
+   */
+  getDerivedChains (domain, user) {
+    const chains = {}
+
+    for (const [chainName, { layer, chainId }] of Object.entries(CHAIN_MAPPING)) {
+      if (this.getWallet(domain, user, layer)) {
+        chains[chainName] = { chainId }
+      }
+    }
+
+    return chains
+  }
+
+  /**
+   * Reserve the next index of a deposit wallet and derive its address
+   * @param {Object} domain
+   * @param {Object} user
+   * @param {string} settlementLayer
+   * @returns {Promise<{ address: string, path: string, index: number, source: string }|null>}
+   *   null when no deposit wallet covers the layer
+   */
+  async allocateAddress (domain, user, settlementLayer) {
+    const found = this.getWallet(domain, user, settlementLayer)
+    if (!found) {
+      return null
+    }
+
+    const model = found.source === 'user' ? this.userModel : this.domainModel
+    const owner = await model.incrementDepositIndex(found.source === 'user' ? user._id : domain._id)
+    if (!owner?.deposit_wallet) {
+      throw new Error('Deposit wallet was removed')
+    }
+
+    const { xpub, path, next_index: index } = owner.deposit_wallet
+    const resolvedPath = path.replace('{index}', index)
+
+    return {
+      address: this.deriveAddress(xpub, resolvedPath),
+      path: resolvedPath,
+      index,
+      source: found.source
+    }
+  }
+
+  /**
+   * EVM address (EIP-55 checksummed) of an xpub's child key
+   * @param {string} xpub
+   * @param {string} path - Non-hardened indices relative to the xpub, e.g. 0/5
+   */
+  deriveAddress (xpub, path) {
+    let node = this.parseXpub(xpub)
+
+    for (const index of this.parsePath(path)) {
+      node = deriveChild(node, index)
+    }
+
+    const publicKey = secp256k1.ProjectivePoint.fromHex(node.key).toRawBytes(false)
+    const address = Buffer.from(keccak256(publicKey.subarray(1))).subarray(-20).toString('hex')
+    return toChecksumAddress(address)
+  }
+
+  /**
+   * Decode an extended public key (xpub / tpub)
+   * @returns {{ key: Buffer, chainCode: Buffer }}
+   */
+  parseXpub (xpub) {
+    const data = base58CheckDecode(xpub)
+
+    if (!data || data.length !== 78 || !XPUB_VERSIONS.includes(data.readUInt32BE(0))) {
+      throw new InvalidInputError('Invalid deposit wallet xpub')
+    }
+
+    const key = data.subarray(45, 78)
+    try {
+      secp256k1.ProjectivePoint.fromHex(key)
+    } catch (error) {
+      throw new InvalidInputError('Invalid deposit wallet xpub')
+    }
+
+    return { key, chainCode: data.subarray(13, 45) }
+  }
+
+  /**
+   * Indices of a derivation path, e.g. 0/5
+   * Only non-hardened indices can be derived from a public key.
+   */
+  parsePath (path) {
+    return path.split('/').map(segment => {
+      const index = /^\d+$/.test(segment) ? Number(segment) : NaN
+      if (!(index < 0x80000000)) {
+        throw new InvalidInputError(`Deposit wallet path must only have non-hardened indices, got "${segment}"`)
+      }
+      return index
+    })
+  }
+}
+
+/**
+ * BIP32 public child key derivation (CKDpub)
+ */
+function deriveChild ({ key, chainCode }, index) {
+  const data = Buffer.alloc(37)
+  key.copy(data, 0)
+  data.writeUInt32BE(index, 33)
+
+  const I = crypto.createHmac('sha512', chainCode).update(data).digest()
+  const tweak = BigInt(`0x${I.subarray(0, 32).toString('hex')}`)
+  if (tweak === 0n || tweak >= secp256k1.CURVE.n) {
+    throw new Error(`Deposit address index ${index} can't be derived, skip it`)
+  }
+
+  const point = secp256k1.ProjectivePoint.BASE.multiply(tweak).add(secp256k1.ProjectivePoint.fromHex(key))
+  return { key: Buffer.from(point.toRawBytes(true)), chainCode: I.subarray(32) }
+}
+
+function base58CheckDecode (value) {
+  let number = 0n
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char)
+    if (digit === -1) {
+      return null
+    }
+    number = number * 58n + BigInt(digit)
+  }
+
+  const hex = number.toString(16)
+  const leadingZeros = value.match(/^1*/)[0].length
+  const bytes = Buffer.concat([
+    Buffer.alloc(leadingZeros),
+    Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex')
+  ])
+
+  if (bytes.length < 4) {
+    return null
+  }
+
+  const payload = bytes.subarray(0, -4)
+  const checksum = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest()
+  return checksum.subarray(0, 4).equals(bytes.subarray(-4)) ? payload : null
+}
+
+// EIP-55 mixed-case checksum of a lowercase hex address
+function toChecksumAddress (address) {
+  const hash = Buffer.from(keccak256(Buffer.from(address, 'utf8'))).toString('hex')
+  return '0x' + [...address].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('')
+}
+
+// Singleton instance
+const depositAddressService = new DepositAddressService()
+
+module.exports = { depositAddressService, DepositAddressService, EVM_LAYERS }
@@ -1,6 +1,24 @@
+const crypto = require('crypto')
+const { schnorr } = require('@noble/curves/secp256k1')
 const { DomainModel } = require('../models/domains')
 const CURRENCIES = require('../../config/currencies')
 const { VALID_DOMAIN_CURRENCIES } = require('../../config/currencies')
+const { PAYER_DATA_FIELDS, DEFAULT_PAYER_DATA_REQUIREMENTS } = require('../../config/payer-data')
+const CHAIN_MAPPING = require('../../config/chain-mapping')
+const { successActionService } = require('./success-actions')
+const { feeService } = require('./fees')
+const { depositAddressService } = require('./deposit-addresses')
+const { DomainNotFoundError, InvalidInputError, UmaKeyNotFoundError, UmaKeyConflictError } = require('../errors')
+const { accountEvents } = require('./events')
+
+// Token identifiers (USDC_POLYGON, ...) users and domains can opt into, BTC is always offered
+const SETTLEMENT_ASSET_IDENTIFIERS = Object.values(CHAIN_MAPPING)
+  .flatMap(({ assets }) => Object.entries(assets))
+  .filter(([asset]) => asset !== 'BTC')
+  .map(([, { identifier }]) => identifier)
+
+// Max payer comment length (LUD-12) for domains without their own setting
+const DEFAULT_COMMENT_ALLOWED = 255
 
 class DomainService {
   constructor () {
@@ -29,6 +47,9 @@ class DomainService {
       display_name: displayName || normalizedDomain,
       is_active: true,
       is_default: isDefault,
+      uma_keys: [this._createUmaKey()],
+      payer_data_requirements: { ...DEFAULT_PAYER_DATA_REQUIREMENTS },
+      comment_allowed: DEFAULT_COMMENT_ALLOWED,
       currency_settings: {
         BTC: {
           active: true,
@@ -145,6 +166,380 @@ class DomainService {
       throw new Error('Failed to update currency settings')
     }
 
+    const updatedDomain = await this.getDomainById(domainId)
+    accountEvents.emit('domain.currency_updated', { domain: updatedDomain, currency: currencyCode, settings: updatedSettings })
+    return updatedDomain
+  }
+
+  /**
+   * Validate a partial payer data requirements object ({ field: boolean })
+   * @param {boolean} [allowNull] - Accept null to clear a field (user overrides)
+   */
+  validatePayerDataRequirements (requirements, allowNull = false) {
+    if (!requirements || typeof requirements !== 'object' || Array.isArray(requirements)) {
+      throw new InvalidInputError('Payer data requirements must be an object')
+    }
+
+    for (const [field, mandatory] of Object.entries(requirements)) {
+      if (!PAYER_DATA_FIELDS.includes(field)) {
+        throw new InvalidInputError(`Invalid payer data field "${field}". Valid fields: ${PAYER_DATA_FIELDS.join(', ')}`)
+      }
+      if (typeof mandatory !== 'boolean' && !(allowNull && mandatory === null)) {
+        throw new InvalidInputError(`Payer data requirement for "${field}" must be a boolean`)
+      }
+    }
+  }
+
+  async updatePayerDataRequirements (domainId, requirements) {
+    this.validatePayerDataRequirements(requirements)
+
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const updatedRequirements = {
+      ...DEFAULT_PAYER_DATA_REQUIREMENTS,
+      ...domain.payer_data_requirements,
+      ...requirements
+    }
+
+    const result = await this.model.update(domainId, { payer_data_requirements: updatedRequirements })
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update payer data requirements')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Max payer comment length accepted by the domain, 0 disables comments
+   */
+  getCommentAllowed (domain) {
+    return domain.comment_allowed ?? DEFAULT_COMMENT_ALLOWED
+  }
+
+  async updateCommentAllowed (domainId, commentAllowed) {
+    if (!Number.isInteger(commentAllowed) || commentAllowed < 0) {
+      throw new InvalidInputError('commentAllowed must be a non-negative integer')
+    }
+
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const result = await this.model.update(domainId, { comment_allowed: commentAllowed })
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update comment settings')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Set the success action (LUD-09) returned to senders, null restores the default message
+   */
+  async updateSuccessAction (domainId, successAction) {
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    successActionService.validateConfig(successAction, domain.domain, true)
+
+    const result = await this.model.update(domainId, { success_action: successAction })
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update success action')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Enable or disable nostr zaps (NIP-57) for a domain
+   * Enabling generates the domain's nostr key, which signs zap receipts and is
+   * published as nostrPubkey. Disabling drops the key.
+   */
+  async updateZaps (domainId, enabled) {
+    if (typeof enabled !== 'boolean') {
+      throw new InvalidInputError('enabled must be a boolean')
+    }
+
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    if (enabled === Boolean(domain.nostr_private_key)) {
+      return domain
+    }
+
+    let nostrKey = { nostr_private_key: null, nostr_public_key: null }
+    if (enabled) {
+      const privateKey = schnorr.utils.randomPrivateKey()
+      nostrKey = {
+        nostr_private_key: Buffer.from(privateKey).toString('hex'),
+        nostr_public_key: Buffer.from(schnorr.getPublicKey(privateKey)).toString('hex')
+      }
+    }
+
+    const result = await this.model.update(domainId, nostrKey)
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update zap settings')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Validate a list of settlement token identifiers
+   * @param {boolean} [allowNull] - Accept null to clear the setting
+   */
+  validateSettlementAssets (settlementAssets, allowNull = false) {
+    if (settlementAssets === null && allowNull) {
+      return
+    }
+
+    if (!Array.isArray(settlementAssets)) {
+      throw new InvalidInputError('Settlement assets must be an array of asset identifiers')
+    }
+
+    for (const identifier of settlementAssets) {
+      if (!SETTLEMENT_ASSET_IDENTIFIERS.includes(identifier)) {
+        throw new InvalidInputError(`Invalid settlement asset "${identifier}". Valid assets: ${SETTLEMENT_ASSET_IDENTIFIERS.join(', ')}`)
+      }
+    }
+  }
+
+  /**
+   * Set the tokens offered as settlement options to users of the domain
+   * null restores the default token of each chain (USDT)
+   */
+  async updateSettlementAssets (domainId, settlementAssets) {
+    this.validateSettlementAssets(settlementAssets, true)
+
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const result = await this.model.update(domainId, {
+      settlement_assets: settlementAssets && [...new Set(settlementAssets)]
+    })
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update settlement assets')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Register the xpub the domain's on-chain deposit addresses are derived from, null removes it
+   * @param {Object|null} depositWallet - API form, see depositAddressService.normalizeWallet
+   */
+  async updateDepositWallet (domainId, depositWallet) {
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const result = await this.model.update(domainId, {
+      deposit_wallet: depositAddressService.normalizeWallet(depositWallet, domain.deposit_wallet)
+    })
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update deposit wallet')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Replace the receiver fee schedules of a domain, null or [] removes all fees
+   * @param {Array<Object>|null} feeSchedules - API form, see feeService.normalizeSchedules
+   */
+  async updateFeeSchedules (domainId, feeSchedules) {
+    const schedules = feeService.normalizeSchedules(feeSchedules)
+
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const result = await this.model.update(domainId, { fee_schedules: schedules })
+
+    if (result.modifiedCount === 0) {
+      throw new Error('Failed to update fee schedules')
+    }
+
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Create a receiving-VASP key set (secp256k1 signing + encryption keys)
+   */
+  _createUmaKey ({ activatesAt = new Date(), expiresAt = null } = {}) {
+    const signing = crypto.createECDH('secp256k1')
+    signing.generateKeys()
+    const encryption = crypto.createECDH('secp256k1')
+    encryption.generateKeys()
+
+    return {
+      key_id: crypto.randomUUID(),
+      signing_private_key: signing.getPrivateKey('hex').padStart(64, '0'),
+      signing_public_key: signing.getPublicKey('hex', 'uncompressed'),
+      encryption_private_key: encryption.getPrivateKey('hex').padStart(64, '0'),
+      encryption_public_key: encryption.getPublicKey('hex', 'uncompressed'),
+      created_at: new Date(),
+      activates_at: activatesAt,
+      expires_at: expiresAt,
+      retired_at: null
+    }
+  }
+
+  /**
+   * Lifecycle status of a UMA key at a point in time
+   * @returns {'active'|'pending'|'expired'|'retired'}
+   */
+  getUmaKeyStatus (key, at = new Date()) {
+    if (key.retired_at) return 'retired'
+    if (key.expires_at && new Date(key.expires_at) <= at) return 'expired'
+    if (new Date(key.activates_at) > at) return 'pending'
+    return 'active'
+  }
+
+  /**
+   * Key currently used to sign on behalf of the domain
+   * The most recently activated key wins while an older one is still in its grace period
+   */
+  getActiveUmaKey (domain, at = new Date()) {
+    const activeKeys = (domain.uma_keys || [])
+      .filter(key => this.getUmaKeyStatus(key, at) === 'active')
+      .sort((a, b) => new Date(b.activates_at) - new Date(a.activates_at))
+    return activeKeys[0] || null
+  }
+
+  /**
+   * Public key document served at /.well-known/lnurlpubkey
+   * expirationTimestamp tells counterparties how long they may cache the keys
+   */
+  getUmaPubKeyResponse (domain) {
+    const key = this.getActiveUmaKey(domain)
+    if (!key) {
+      return null
+    }
+
+    return {
+      signingPubKey: key.signing_public_key,
+      encryptionPubKey: key.encryption_public_key,
+      ...(key.expires_at && {
+        expirationTimestamp: Math.floor(new Date(key.expires_at).getTime() / 1000)
+      })
+    }
+  }
+
+  async generateUmaKeys (domainId, options = {}) {
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const keys = domain.uma_keys || []
+    const hasUsableKey = keys.some(key => ['active', 'pending'].includes(this.getUmaKeyStatus(key)))
+    if (hasUsableKey) {
+      throw new UmaKeyConflictError('Domain already has UMA keys. Rotate them instead.')
+    }
+
+    const expiresAt = options.expiresInSeconds
+      ? new Date(Date.now() + options.expiresInSeconds * 1000)
+      : null
+    keys.push(this._createUmaKey({ expiresAt }))
+
+    await this.model.setUmaKeys(domainId, keys)
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Rotate the domain's UMA keys
+   * The current key keeps being published and used until the grace period ends, so
+   * counterparties that cached it can keep verifying our signatures until it expires.
+   * The new key takes over at that moment.
+   */
+  async rotateUmaKeys (domainId, options = {}) {
+    const { gracePeriodSeconds = 86400, expiresInSeconds } = options
+
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const now = new Date()
+    const keys = domain.uma_keys || []
+    const currentKey = this.getActiveUmaKey(domain, now)
+    if (!currentKey) {
+      throw new UmaKeyConflictError('Domain has no active UMA key. Generate keys first.')
+    }
+
+    let handoverAt = new Date(now.getTime() + gracePeriodSeconds * 1000)
+    if (currentKey.expires_at && new Date(currentKey.expires_at) < handoverAt) {
+      handoverAt = new Date(currentKey.expires_at)
+    }
+    currentKey.expires_at = handoverAt
+
+    // A newer rotation replaces any key still waiting to take over
+    for (const key of keys) {
+      if (this.getUmaKeyStatus(key, now) === 'pending') {
+        key.retired_at = now
+      }
+    }
+
+    const expiresAt = expiresInSeconds
+      ? new Date(handoverAt.getTime() + expiresInSeconds * 1000)
+      : null
+    keys.push(this._createUmaKey({ activatesAt: handoverAt, expiresAt }))
+
+    await this.model.setUmaKeys(domainId, keys)
+    return await this.getDomainById(domainId)
+  }
+
+  /**
+   * Retire a UMA key immediately
+   * If the retired key was the active one, the pending replacement takes over now.
+   * The last usable key can't be retired, the domain would have nothing to sign with.
+   */
+  async retireUmaKey (domainId, keyId) {
+    const domain = await this.getDomainById(domainId)
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+
+    const now = new Date()
+    const keys = domain.uma_keys || []
+    const key = keys.find(k => k.key_id === keyId)
+    if (!key || key.retired_at) {
+      throw new UmaKeyNotFoundError()
+    }
+
+    const wasActive = this.getActiveUmaKey(domain, now)?.key_id === keyId
+    const pendingKey = keys.find(k => this.getUmaKeyStatus(k, now) === 'pending')
+    const otherUsableKey = keys.some(k => k.key_id !== keyId && ['active', 'pending'].includes(this.getUmaKeyStatus(k, now)))
+    if (!otherUsableKey && this.getUmaKeyStatus(key, now) === 'active') {
+      throw new UmaKeyConflictError('Can\'t retire the domain\'s only usable UMA key. Rotate the keys first.')
+    }
+
+    key.retired_at = now
+
+    if (wasActive && pendingKey) {
+      pendingKey.activates_at = now
+    }
+
+    await this.model.setUmaKeys(domainId, keys)
     return await this.getDomainById(domainId)
   }
 }
@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events')
+
+/**
+ * In-process bus for payment lifecycle events.
+ *
+ * Events:
+ * - payment.created: { payment } - a payment request was stored
+ * - payment.settled: { payment } - a payment request was paid
+ * - payment.status_changed: { payment, from, to } - a payment request moved in its lifecycle
+ */
+class PaymentEvents extends EventEmitter {}
+
+/**
+ * In-process bus for user and domain changes.
+ *
+ * Events:
+ * - user.created: { user }
+ * - user.updated: { user, changes } - changes lists the updated settings (displayName, addresses, ...)
+ * - user.deleted: { user }
+ * - domain.currency_updated: { domain, currency, settings }
+ */
+class AccountEvents extends EventEmitter {}
+
+const paymentEvents = new PaymentEvents()
+const accountEvents = new AccountEvents()
+
+module.exports = { paymentEvents, PaymentEvents, accountEvents, AccountEvents }
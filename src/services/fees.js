@@ -0,0 +1,198 @@
+const CHAIN_MAPPING = require('../../config/chain-mapping')
+const CURRENCIES = require('../../config/currencies')
+const { InvalidInputError } = require('../errors')
+
+const SETTLEMENT_LAYERS = Object.values(CHAIN_MAPPING).map(({ layer }) => layer)
+
+// Schedules a domain can have at most, one per settlement layer and currency pair
+const MAX_FEE_SCHEDULES = 50
+
+/**
+ * Receiver fee schedules
+ *
+ * Domains charge a fixed plus percentage fee on what their users receive, capped by
+ * min / max, that can vary by settlement layer and receiving currency. Schedules are
+ * stored on the domain as fee_schedules:
+ *   [{ settlement_layer: 'ln', currency: 'USD', fixed: 10, percentage: 1, min: 5, max: 500 }]
+ * settlement_layer and currency are null to match any. fixed, min and max are in the
+ * smallest unit of the receiving currency (cents for USD), percentage is in percent.
+ *
+ * The most specific schedule wins: layer and currency, then layer, then currency,
+ * then the schedule matching everything.
+ */
+class FeeService {
+  /**
+   * Validate fee schedules sent to the admin API and convert them to their stored form
+   * @param {Array<Object>|null} feeSchedules - [{ settlementLayer, currency, fixed, percentage, min, max }]
+   * @returns {Array<Object>} Stored fee schedules, [] for null
+   */
+  normalizeSchedules (feeSchedules) {
+    if (feeSchedules === null) {
+      return []
+    }
+
+    if (!Array.isArray(feeSchedules)) {
+      throw new InvalidInputError('Fee schedules must be an array')
+    }
+
+    if (feeSchedules.length > MAX_FEE_SCHEDULES) {
+      throw new InvalidInputError(`Fee schedules must have at most ${MAX_FEE_SCHEDULES} entries`)
+    }
+
+    const seen = new Set()
+
+    return feeSchedules.map(schedule => {
+      if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        throw new InvalidInputError('Fee schedule must be an object')
+      }
+
+      const settlementLayer = schedule.settlementLayer ?? null
+      const currency = schedule.currency ?? null
+
+      if (settlementLayer !== null && !SETTLEMENT_LAYERS.includes(settlementLayer)) {
+        throw new InvalidInputError(`Invalid fee schedule settlement layer "${settlementLayer}". Valid layers: ${SETTLEMENT_LAYERS.join(', ')}`)
+      }
+
+      if (currency !== null && !CURRENCIES[currency]) {
+        throw new InvalidInputError(`Invalid fee schedule currency "${currency}". Valid currencies: ${Object.keys(CURRENCIES).join(', ')}`)
+      }
+
+      const key = `${settlementLayer}|${currency}`
+      if (seen.has(key)) {
+        throw new InvalidInputError(`Fee schedules must be unique per settlement layer and currency (${settlementLayer ?? 'any'} / ${currency ?? 'any'})`)
+      }
+      seen.add(key)
+
+      const fixed = schedule.fixed ?? 0
+      const percentage = schedule.percentage ?? 0
+      const min = schedule.min ?? 0
+      const max = schedule.max ?? null
+
+      for (const [field, value] of Object.entries({ fixed, min })) {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new InvalidInputError(`Fee schedule ${field} must be a non-negative integer`)
+        }
+      }
+
+      if (max !== null && (!Number.isInteger(max) || max < min)) {
+        throw new InvalidInputError('Fee schedule max must be an integer not below min')
+      }
+
+      if (typeof percentage !== 'number' || !Number.isFinite(percentage) || percentage < 0 || percentage >= 100) {
+        throw new InvalidInputError('Fee schedule percentage must be a number from 0 to below 100')
+      }
+
+      return {
+        settlement_layer: settlementLayer,
+        currency,
+        fixed,
+        percentage,
+        min,
+        max
+      }
+    })
+  }
+
+  /**
+   * API form of stored fee schedules
+   */
+  formatSchedules (feeSchedules) {
+    return (feeSchedules || []).map(schedule => ({
+      settlementLayer: schedule.settlement_layer,
+      currency: schedule.currency,
+      fixed: schedule.fixed,
+      percentage: schedule.percentage,
+      min: schedule.min,
+      max: schedule.max
+    }))
+  }
+
+  /**
+   * Fee schedule of a domain for a settlement layer and receiving currency
+   * @returns {Object|null} null when no schedule matches, no fee is charged
+   */
+  findSchedule (domain, settlementLayer, currency) {
+    const schedules = domain?.fee_schedules || []
+
+    const candidates = [
+      [settlementLayer, currency],
+      [settlementLayer, null],
+      [null, currency],
+      [null, null]
+    ]
+
+    for (const [layer, code] of candidates) {
+      const schedule = schedules.find(s => s.settlement_layer === layer && s.currency === code)
+      if (schedule) {
+        return schedule
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Fee charged on a receiving amount
+   * @param {Object|null} schedule - From findSchedule
+   * @param {number} receivingAmount - In the smallest unit of the receiving currency
+   * @returns {number} Fee in the smallest unit of the receiving currency, may be fractional
+   */
+  calculateFee (schedule, receivingAmount) {
+    if (!schedule) {
+      return 0
+    }
+
+    return this._cap(schedule, schedule.fixed + receivingAmount * schedule.percentage / 100)
+  }
+
+  /**
+   * Fee included in an amount the sender fixed, so that the fee of what is left
+   * for the receiver is the fee itself: fee = calculateFee(amount - fee)
+   * @param {number} amount - Sent amount, in the smallest unit of the receiving currency
+   * @returns {number} Fee in the smallest unit of the receiving currency, at most amount
+   */
+  calculateIncludedFee (schedule, amount) {
+    if (!schedule) {
+      return 0
+    }
+
+    const receivingAmount = (amount - schedule.fixed) / (1 + schedule.percentage / 100)
+    const fee = this._cap(schedule, amount - receivingAmount)
+    return Math.min(Math.max(fee, 0), amount)
+  }
+
+  /**
+   * Multiplier advertised in lookups, with the percentage fee included
+   * The fixed fee and caps depend on the amount and are only known in the pay response.
+   */
+  applyToMultiplier (schedule, multiplier) {
+    if (!schedule || !schedule.percentage) {
+      return multiplier
+    }
+
+    return Math.round(multiplier * (1 + schedule.percentage / 100))
+  }
+
+  /**
+   * Fee in the smallest unit of the settlement asset, rounded up
+   * Float noise of the percentage (133.45000000000073) is dropped before rounding, and the
+   * fee is multiplied as a BigInt so wei amounts (DAI) stay exact.
+   * @param {number} fee - In the smallest unit of the receiving currency
+   * @param {number} multiplier - Smallest units of the asset per smallest unit of the currency
+   * @returns {bigint}
+   */
+  toAssetUnits (fee, multiplier) {
+    const feeMicros = BigInt(Math.ceil(Number((fee * 1e6).toPrecision(12))))
+    return (feeMicros * BigInt(multiplier) + 999999n) / 1000000n
+  }
+
+  _cap (schedule, fee) {
+    const capped = Math.max(fee, schedule.min)
+    return schedule.max === null ? capped : Math.min(capped, schedule.max)
+  }
+}
+
+// Singleton instance
+const feeService = new FeeService()
+
+module.exports = { feeService, FeeService }
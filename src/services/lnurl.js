@@ -0,0 +1,268 @@
+const { userService } = require('./users')
+const { paymentService } = require('./payments')
+const { domainService } = require('./domains')
+const { umaService } = require('./uma')
+const { successActionService } = require('./success-actions')
+const { zapService } = require('./zaps')
+const { SparkWalletAdapter } = require('./spark-wallet')
+const {
+  DuplicateNonceError,
+  InvalidInputError,
+  PaymentNotFoundError,
+  UserNotReadyError
+} = require('../errors')
+
+// Query parameters only UMA senders (or UMA-aware backends) send to the lnurlp route
+const UMA_QUERY_PARAMS = [
+  'vaspDomain',
+  'signature',
+  'nonce',
+  'timestamp',
+  'umaVersion',
+  'isSubjectToTravelRule',
+  'currency',
+  'settlementLayer',
+  'assetIdentifier'
+]
+
+// Payer data fields plain LNURL wallets can send (LUD-18), compliance is UMA-only
+const LNURL_PAYER_DATA_FIELDS = ['name', 'email', 'identifier']
+
+/**
+ * Plain LNURL-pay / Lightning Address mode for wallets that are not UMA-aware
+ *
+ * Serves LUD-06 / LUD-16 lookups and callbacks with LUD-12 comments and LUD-18
+ * payerData, LUD-21 verify for the invoices handed out and NIP-57 zaps. Payments are always Lightning invoices, and responses
+ * carry none of the UMA fields (umaVersion, currencies, converted, settlement).
+ */
+class LnurlService {
+  constructor () {
+    this.walletAdapter = new SparkWalletAdapter(() => umaService.initializeSparkWallet())
+  }
+
+  /**
+   * Swap the Spark wallet adapter LUD-21 verify checks invoices with, see spark-wallet.js
+   */
+  setWalletAdapter (walletAdapter) {
+    this.walletAdapter = walletAdapter
+  }
+
+  /**
+   * Whether a request to the lnurlp route comes from a plain LNURL wallet
+   * Amounts in a currency (1000.USD) are UMA-only as well.
+   */
+  isPlainLnurlRequest (query = {}) {
+    if (UMA_QUERY_PARAMS.some(param => query[param] !== undefined)) {
+      return false
+    }
+
+    return query.amount === undefined || /^\d+$/.test(query.amount)
+  }
+
+  /**
+   * LUD-18 payerData options, without the UMA-only compliance field
+   */
+  buildPayerDataOptions (domain, user) {
+    const requirements = umaService.getPayerDataRequirements(domain, user)
+
+    return Object.fromEntries(
+      LNURL_PAYER_DATA_FIELDS.map(field => [field, { mandatory: Boolean(requirements[field]) }])
+    )
+  }
+
+  /**
+   * LUD-06 lookup response (first call - no amount)
+   * @returns {Promise<Object|null>} null when the user does not exist
+   */
+  async generateLookupResponse (username, domain) {
+    const receiver = await userService.resolveReceiver(username, domain._id)
+    if (!receiver) {
+      return null
+    }
+    const { user } = receiver
+
+    const btcSettings = domain.currency_settings.BTC
+    const commentAllowed = domainService.getCommentAllowed(domain)
+
+    const response = {
+      tag: 'payRequest',
+      callback: `${umaService.getBaseUrlForDomain(domain)}/.well-known/lnurlp/${username}`,
+      minSendable: btcSettings.minSendable,
+      maxSendable: btcSettings.maxSendable,
+      metadata: umaService.buildMetadata(username, user, domain),
+      payerData: this.buildPayerDataOptions(domain, user)
+    }
+
+    // LUD-12: only advertised when comments are accepted
+    if (commentAllowed > 0) {
+      response.commentAllowed = commentAllowed
+    }
+
+    // NIP-57: zap receipts are signed with the domain's nostr key
+    if (domain.nostr_public_key) {
+      response.allowsNostr = true
+      response.nostrPubkey = domain.nostr_public_key
+    }
+
+    return response
+  }
+
+  /**
+   * LUD-06 callback response (second call - with amount in msats)
+   *
+   * @param {string} username
+   * @param {Object} domain
+   * @param {number} amountMsats
+   * @param {string} nonce - Identifies the payment request
+   * @param {Object} [options]
+   * @param {Object} [options.payerData] - LUD-18 payerdata
+   * @param {string} [options.comment] - LUD-12 comment
+   * @param {string} [options.encodedPayerData] - payerdata as sent, committed to by the invoice
+   * @param {string} [options.zapRequest] - NIP-57 zap request (`nostr` parameter), committed to
+   *   by the invoice instead of the metadata
+   * @param {string} [options.acceptLanguage] - Accept-Language of the request, picks the success message language
+   * @returns {Promise<Object|null>} { pr, routes } or null when the user does not exist
+   */
+  async generatePayResponse (username, domain, amountMsats, nonce, options = {}) {
+    // alice+order123: the payment is tagged with order123
+    const receiver = await userService.resolveReceiver(username, domain._id)
+    if (!receiver) {
+      return null
+    }
+    const { user, tag: addressTag } = receiver
+
+    const { minSendable, maxSendable } = domain.currency_settings.BTC
+    if (amountMsats < minSendable || amountMsats > maxSendable) {
+      throw new InvalidInputError(`Amount must be between ${minSendable} and ${maxSendable} msats`)
+    }
+
+    // Invoices are issued in whole sats
+    umaService.msatsToSats(amountMsats)
+
+    const comment = umaService.sanitizeComment(options.comment, domain)
+    const { payerData } = options
+
+    if (options.zapRequest !== undefined) {
+      if (!domain.nostr_public_key) {
+        throw new InvalidInputError('Zaps are not enabled for this domain')
+      }
+      zapService.parseZapRequest(options.zapRequest, amountMsats)
+    }
+
+    umaService.assertMandatoryPayerData(
+      { ...umaService.getPayerDataRequirements(domain, user), compliance: false },
+      payerData
+    )
+
+    if (!user.spark_public_key) {
+      throw new UserNotReadyError('Lightning payments require a Spark public key to be configured for this user')
+    }
+
+    const existingPayment = await paymentService.getPaymentRequestByNonce(nonce)
+    if (existingPayment) {
+      console.warn(`Duplicate payment request with nonce: ${nonce}`)
+      throw new DuplicateNonceError(nonce)
+    }
+
+    const screening = await umaService.screenPayment(user, domain, nonce, payerData, user.spark_public_key)
+
+    const invoiceDescription = options.zapRequest ??
+      umaService.buildInvoiceDescription(umaService.buildMetadata(username, user, domain), payerData, options.encodedPayerData)
+
+    const successActionConfig = successActionService.resolveConfig(domain, user)
+    const invoice = await umaService.generateLightningInvoice(amountMsats, invoiceDescription, user.spark_public_key, {
+      withPreimage: successActionService.needsPreimage(successActionConfig)
+    })
+
+    const paymentId = await paymentService.createPaymentRequest(
+      user._id,
+      nonce,
+      amountMsats,
+      undefined,
+      undefined,
+      undefined,
+      invoice.encodedInvoice,
+      umaService.invoiceExpirySeconds,
+      {
+        payerData,
+        comment,
+        compliance: screening,
+        paymentHash: invoice.paymentHash,
+        sparkReceiveRequestId: invoice.receiveRequestId,
+        hodlPreimage: invoice.preimage,
+        zapRequest: options.zapRequest,
+        addressTag,
+        domainId: domain._id
+      }
+    )
+
+    if (paymentId === null) {
+      throw new DuplicateNonceError(nonce)
+    }
+
+    return {
+      pr: invoice.encodedInvoice,
+      routes: [],
+      verify: umaService.getVerifyUrl(domain, invoice.paymentHash),
+      disposable: false,
+      successAction: successActionService.buildSuccessAction(
+        successActionConfig,
+        {
+          reference: nonce,
+          paymentId,
+          username: user.username,
+          tag: addressTag,
+          domain: domain.domain,
+          displayName: user.display_name,
+          acceptLanguage: options.acceptLanguage,
+          preimage: invoice.preimage
+        }
+      )
+    }
+  }
+
+  /**
+   * LUD-21 verify: whether the invoice with this payment hash has been paid
+   * Pending invoices are checked against Spark and marked paid once settled.
+   *
+   * @param {string} paymentHash
+   * @returns {Promise<{ settled: boolean, preimage: string|null, pr: string }>}
+   */
+  async verifyPayment (paymentHash) {
+    const payment = await paymentService.getPaymentRequestByPaymentHash(paymentHash)
+    if (!payment) {
+      throw new PaymentNotFoundError()
+    }
+
+    if (payment.status !== 'paid' && payment.spark_receive_request_id) {
+      try {
+        const receiveRequest = await this.walletAdapter.getLightningReceiveRequest(payment.spark_receive_request_id, {
+          preimage: payment.hodl_preimage
+        })
+        if (receiveRequest?.status === 'paid') {
+          await paymentService.recordLightningSettlement(payment._id, receiveRequest.preimage, {
+            amountMsats: receiveRequest.amountMsats,
+            settledAt: receiveRequest.settledAt
+          })
+          payment.status = 'paid'
+          payment.preimage = receiveRequest.preimage
+        }
+      } catch (error) {
+        // Answer with the stored state, the caller polls again
+        console.error(`Failed to check Lightning invoice ${paymentHash}:`, error)
+      }
+    }
+
+    const settled = payment.status === 'paid'
+    return {
+      settled,
+      preimage: settled ? payment.preimage || null : null,
+      pr: payment.invoice_or_address
+    }
+  }
+}
+
+// Singleton instance
+const lnurlService = new LnurlService()
+
+module.exports = { lnurlService, LnurlService }
@@ -21,9 +21,22 @@ const TEST_PRICES = {
 const TEST_MULTIPLIERS = {
   USD: { USD: 10000 }, // ~$100k/BTC: 1 cent = 10,000 msats
   USDT: { USD: 10000 }, // 1 cent = 10,000 micro-USDT (6 decimals)
+  USDC: { USD: 10000 }, // 1 cent = 10,000 micro-USDC (6 decimals)
+  DAI: { USD: 10000000000000000 }, // 1 cent = 10^16 wei (18 decimals)
   BTC: { USD: 10000 } // ~$100k/BTC: 1 cent = 10,000 msats
 }
 
+// Decimals of the USD stablecoins settlement assets are priced 1:1 against USD
+const USD_STABLECOIN_DECIMALS = {
+  USDT: 6,
+  USDC: 6,
+  DAI: 18
+}
+
+// JS numbers count exactly up to 2^53, about 9 DAI in wei. Amounts of tokens with
+// more decimals than this are carried as decimal strings.
+const MAX_NUMBER_AMOUNT_DECIMALS = 6
+
 class MarketRates {
   constructor () {
     this.cache = new Map()
@@ -37,6 +50,24 @@ class MarketRates {
     return process.env.TEST_MODE === 'true'
   }
 
+  /**
+   * Where the multipliers of an asset come from, recorded with quotes
+   * @returns {'test'|'usd_peg'|'bitfinex'}
+   */
+  getRateSource (asset) {
+    if (this.isTestMode()) {
+      return 'test'
+    }
+    return USD_STABLECOIN_DECIMALS[asset] ? 'usd_peg' : 'bitfinex'
+  }
+
+  /**
+   * Whether amounts in the smallest unit of an asset are decimal strings instead of numbers
+   */
+  hasDecimalStringAmounts (asset) {
+    return (USD_STABLECOIN_DECIMALS[asset] || 0) > MAX_NUMBER_AMOUNT_DECIMALS
+  }
+
   /**
    * Get ticker data from Bitfinex
    * Symbol format: tBTCUSD, tETHUSD, etc.
@@ -160,10 +191,10 @@ class MarketRates {
 
     for (const currency of currencies) {
       if (currency === 'USD') {
-        if (asset === 'USDT') {
+        if (USD_STABLECOIN_DECIMALS[asset]) {
           // USDT has 6 decimals: 1 USDT = 1,000,000 micro-USDT
           // Assuming 1:1 USD peg: 1 USD cent = 0.01 USDT = 10,000 micro-USDT
-          multipliers.USD = 10000
+          multipliers.USD = 10 ** (USD_STABLECOIN_DECIMALS[asset] - 2)
         } else if (asset === 'BTC') {
           // BTC in millisats: 1 BTC = 100,000,000 sats = 100,000,000,000 msats
           // Formula: msats per cent = msats_per_btc / cents_per_btc
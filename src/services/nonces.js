@@ -0,0 +1,58 @@
+const { getDatabase } = require('../db/database')
+
+/**
+ * Persistent nonce validator for signed UMA messages.
+ *
+ * Implements the NonceValidator interface from @uma-sdk/core
+ * (checkAndSaveNonce) on top of the uma_nonces collection, so replayed
+ * requests are rejected across restarts and across instances.
+ */
+class NonceService {
+  /**
+   * @param {number} maxAgeSeconds - Signed messages older than this are rejected
+   */
+  constructor (maxAgeSeconds = 300) {
+    this.maxAgeSeconds = maxAgeSeconds
+  }
+
+  /**
+   * Check whether a signature timestamp falls inside the accepted window.
+   * Allows the same amount of clock skew into the future.
+   */
+  isTimestampFresh (timestampSec) {
+    const nowSec = Date.now() / 1000
+    return Math.abs(nowSec - timestampSec) <= this.maxAgeSeconds
+  }
+
+  /**
+   * Save the nonce if it has not been seen before and the timestamp is fresh.
+   * @returns {Promise<boolean>} true if the nonce is valid and unused
+   */
+  async checkAndSaveNonce (nonce, timestampSec) {
+    if (!this.isTimestampFresh(timestampSec)) {
+      return false
+    }
+
+    try {
+      const db = await getDatabase()
+      await db.collection('uma_nonces').insertOne({
+        nonce,
+        signature_timestamp: new Date(timestampSec * 1000),
+        created_at: new Date()
+      })
+      return true
+    } catch (error) {
+      if (error.code === 11000) {
+        console.warn(`Replayed UMA nonce rejected: ${nonce}`)
+        return false
+      }
+      throw error
+    }
+  }
+}
+
+const nonceService = new NonceService(
+  parseInt(process.env.UMA_REQUEST_MAX_AGE_SECONDS || '300', 10)
+)
+
+module.exports = { nonceService, NonceService }
@@ -1,8 +1,86 @@
-const { getDatabase } = require('../db/database')
+const { ObjectId } = require('mongodb')
+const { getDatabase, logAuditEvent, toObjectId } = require('../db/database')
+const { paymentEvents } = require('./events')
+const CHAIN_MAPPING = require('../../config/chain-mapping')
+const { InvalidInputError, InvalidPaymentTransitionError, PaymentNotFoundError } = require('../errors')
+
+// Payment request lifecycle: the statuses each status can move to
+// sent: the sending VASP reported the transaction (utxoCallback), it is not confirmed yet
+// expired -> paid: on-chain addresses can still be paid after the request expired
+const PAYMENT_TRANSITIONS = {
+  pending: ['sent', 'paid', 'expired', 'failed'],
+  sent: ['paid', 'failed'],
+  expired: ['paid'],
+  paid: ['refunded'],
+  failed: [],
+  refunded: []
+}
+
+const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS)
+
+// Pending payment requests expired per sweep at most
+const EXPIRY_SWEEP_BATCH_SIZE = 500
+
+// Outstanding Lightning payment requests checked against Spark per poll at most
+const SETTLEMENT_POLL_BATCH_SIZE = 100
+
+// Payment requests per page of the admin listing, by default and at most
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+const PAYMENT_EXPORT_FORMATS = ['csv', 'ndjson']
+
+// Token of each settlement asset identifier (USDC_POLYGON -> USDC)
+const ASSETS_BY_IDENTIFIER = Object.fromEntries(
+  Object.values(CHAIN_MAPPING).flatMap(({ assets }) =>
+    Object.entries(assets).filter(([, { identifier }]) => identifier).map(([asset, { identifier }]) => [identifier, asset])
+  )
+)
+
+// Fields of exported payment requests, in CSV column order
+const PAYMENT_EXPORT_COLUMNS = [
+  'id',
+  'nonce',
+  'createdAt',
+  'status',
+  'userId',
+  'addressTag',
+  'settlementLayer',
+  'assetIdentifier',
+  'amount',
+  'asset',
+  'currency',
+  'convertedAmount',
+  'multiplier',
+  'fee',
+  'invoiceOrAddress',
+  'depositTxHash',
+  'paidAt',
+  'settledAt',
+  'expiresAt',
+  'comment'
+]
 
 class PaymentService {
   /**
    * Create a payment request with full settlement information
+   *
+   * @param {Object} [details] - Optional request metadata
+   * @param {Object} [details.payerData] - payerData sent by the sender (LUD-18 / UMA)
+   * @param {string} [details.comment] - Sanitized payer comment (LUD-12)
+   * @param {Object} [details.compliance] - Compliance screening decision
+   * @param {string} [details.senderVaspDomain] - VASP that signed the UMA pay request, the only
+   *   one allowed to send the post transaction callback
+   * @param {string} [details.paymentHash] - Lightning invoice payment hash (LUD-21 verify)
+   * @param {string} [details.sparkReceiveRequestId] - Spark receive request behind the invoice
+   * @param {string} [details.hodlPreimage] - Preimage of a hodl invoice, released to Spark once paid
+   * @param {string} [details.zapRequest] - NIP-57 zap request the invoice was issued for
+   * @param {string} [details.addressTag] - Sub-address tag the sender paid to (alice+order123)
+   * @param {Object} [details.depositAddress] - HD-derived address the request was answered with,
+   *   from depositAddressService.allocateAddress
+   * @param {ObjectId} [details.domainId] - Domain of the user, for the audit log
+   * @param {Object} [details.quote] - Conversion the pay response was quoted with, locked until
+   *   the payment request expires
    */
   async createPaymentRequest (
     userId,
@@ -12,24 +90,50 @@ class PaymentService {
     settlementLayer,
     assetIdentifier,
     invoiceOrAddress,
-    expiresInSeconds = 3600
+    expiresInSeconds = 3600,
+    details = {}
   ) {
     try {
       const db = await getDatabase()
-      const expiresAt = new Date(Date.now() + expiresInSeconds * 1000)
+      const createdAt = new Date()
+      const expiresAt = new Date(createdAt.getTime() + expiresInSeconds * 1000)
 
-      const result = await db.collection('payment_requests').insertOne({
+      const payment = {
         user_id: userId,
+        domain_id: details.domainId || null,
         nonce,
         amount_msats: amountMsats,
         currency,
         settlement_layer: settlementLayer,
         asset_identifier: assetIdentifier,
         invoice_or_address: invoiceOrAddress,
+        payer_data: details.payerData || null,
+        comment: details.comment || null,
+        compliance: details.compliance || null,
+        sender_vasp_domain: details.senderVaspDomain || null,
+        payment_hash: details.paymentHash || null,
+        spark_receive_request_id: details.sparkReceiveRequestId || null,
+        hodl_preimage: details.hodlPreimage || null,
+        zap_request: details.zapRequest || null,
+        address_tag: details.addressTag || null,
+        deposit_address: details.depositAddress
+          ? {
+              address: details.depositAddress.address,
+              path: details.depositAddress.path,
+              index: details.depositAddress.index,
+              source: details.depositAddress.source
+            }
+          : null,
+        quote: details.quote ? { ...details.quote, expires_at: expiresAt } : null,
         status: 'pending',
-        created_at: new Date(),
+        status_history: [{ from: null, to: 'pending', at: createdAt, actor_type: 'system', reason: null }],
+        created_at: createdAt,
         expires_at: expiresAt
-      })
+      }
+
+      const result = await db.collection('payment_requests').insertOne(payment)
+
+      paymentEvents.emit('payment.created', { payment: { _id: result.insertedId, ...payment } })
 
       return result.insertedId
     } catch (error) {
@@ -49,27 +153,415 @@ class PaymentService {
     return await db.collection('payment_requests').findOne({ nonce })
   }
 
+  /**
+   * Get the latest pending payment request for an invoice or address
+   * On-chain addresses are reused, so the most recent request wins
+   */
+  async getLatestPaymentRequestByInvoice (invoiceOrAddress) {
+    const db = await getDatabase()
+    return await db.collection('payment_requests').findOne(
+      { invoice_or_address: invoiceOrAddress, status: 'pending' },
+      { sort: { created_at: -1 } }
+    )
+  }
+
   /**
    * Get payment requests for a user
+   * @param {Object} [filters]
+   * @param {string} [filters.addressTag] - Only payments to this sub-address (alice+order123)
    */
-  async getPaymentRequestsByUserId (userId) {
+  async getPaymentRequestsByUserId (userId, filters = {}) {
     const db = await getDatabase()
+    const query = { user_id: userId }
+    if (filters.addressTag) {
+      query.address_tag = filters.addressTag
+    }
+
     return await db.collection('payment_requests')
-      .find({ user_id: userId })
+      .find(query)
       .sort({ created_at: -1 })
       .limit(100)
       .toArray()
   }
 
   /**
-   * Update payment request status
+   * Get a payment request of a domain
+   * @param {ObjectId} domainId
+   * @param {string} paymentIdOrNonce - Payment request ID or nonce
+   */
+  async getDomainPaymentRequest (domainId, paymentIdOrNonce) {
+    const db = await getDatabase()
+    const match = [{ nonce: paymentIdOrNonce }]
+    if (ObjectId.isValid(paymentIdOrNonce)) {
+      match.push({ _id: toObjectId(paymentIdOrNonce) })
+    }
+
+    const payment = await db.collection('payment_requests').findOne({ domain_id: domainId, $or: match })
+
+    if (!payment) {
+      throw new PaymentNotFoundError()
+    }
+    return payment
+  }
+
+  /**
+   * Page through the payment requests of a domain, newest first
+   * @param {ObjectId} domainId
+   * @param {Object} [filters] - See _listQuery
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size, at most MAX_PAGE_SIZE
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @returns {Promise<{ payments: Object[], nextCursor: string|null }>} nextCursor is null on the last page
+   */
+  async listPaymentRequests (domainId, filters = {}, { limit = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new InvalidInputError(`limit must be between 1 and ${MAX_PAGE_SIZE}`)
+    }
+
+    const query = this._listQuery(domainId, filters)
+    if (cursor) {
+      const { createdAt, id } = decodePageCursor(cursor)
+      // Payment requests created at the same time are ordered by _id
+      query.$and = [{ $or: [{ created_at: { $lt: createdAt } }, { created_at: createdAt, _id: { $lt: id } }] }]
+    }
+
+    const db = await getDatabase()
+    const payments = await db.collection('payment_requests')
+      .find(query)
+      .sort({ created_at: -1, _id: -1 })
+      .limit(limit + 1)
+      .toArray()
+
+    const hasMore = payments.length > limit
+    if (hasMore) {
+      payments.pop()
+    }
+
+    return { payments, nextCursor: hasMore ? encodePageCursor(payments[payments.length - 1]) : null }
+  }
+
+  /**
+   * Export the payment requests of a domain, newest first
+   * Filters are validated right away, so errors are thrown before anything is streamed.
+   * @param {ObjectId} domainId
+   * @param {Object} [filters] - See _listQuery
+   * @param {string} [format] - csv (header row first) or ndjson
+   * @returns {AsyncGenerator<string>} One line per payment request, with its line break
+   */
+  exportPaymentRequests (domainId, filters = {}, format = 'csv') {
+    if (!PAYMENT_EXPORT_FORMATS.includes(format)) {
+      throw new InvalidInputError(`Invalid export format "${format}". Valid formats: ${PAYMENT_EXPORT_FORMATS.join(', ')}`)
+    }
+
+    return exportLines(this._listQuery(domainId, filters), format)
+  }
+
+  /**
+   * Query of the payment requests of a domain matching the admin listing filters
+   * @param {ObjectId} domainId
+   * @param {Object} filters
+   * @param {ObjectId} [filters.userId]
+   * @param {string|string[]} [filters.status] - One or more statuses
+   * @param {string} [filters.settlementLayer]
+   * @param {string} [filters.assetIdentifier]
+   * @param {string} [filters.currency]
+   * @param {string} [filters.addressTag]
+   * @param {Date|string} [filters.from] - Created at or after
+   * @param {Date|string} [filters.to] - Created before
+   */
+  _listQuery (domainId, filters) {
+    const query = { domain_id: domainId }
+
+    if (filters.userId) {
+      query.user_id = filters.userId
+    }
+
+    if (filters.status) {
+      const statuses = [].concat(filters.status)
+      const invalid = statuses.find(status => !PAYMENT_STATUSES.includes(status))
+      if (invalid !== undefined) {
+        throw new InvalidInputError(`Invalid payment status "${invalid}". Valid statuses: ${PAYMENT_STATUSES.join(', ')}`)
+      }
+      query.status = statuses.length === 1 ? statuses[0] : { $in: statuses }
+    }
+
+    if (filters.settlementLayer) {
+      query.settlement_layer = filters.settlementLayer
+    }
+
+    if (filters.assetIdentifier) {
+      query.asset_identifier = filters.assetIdentifier
+    }
+
+    if (filters.currency) {
+      query.currency = filters.currency
+    }
+
+    if (filters.addressTag) {
+      query.address_tag = filters.addressTag
+    }
+
+    if (filters.from || filters.to) {
+      query.created_at = {}
+      if (filters.from) {
+        query.created_at.$gte = parseDateFilter('from', filters.from)
+      }
+      if (filters.to) {
+        query.created_at.$lt = parseDateFilter('to', filters.to)
+      }
+    }
+
+    return query
+  }
+
+  /**
+   * Update payment request status, following the payment request lifecycle
+   * @see transitionStatus
+   */
+  async updatePaymentStatus (paymentId, status, options = {}) {
+    return await this.transitionStatus(paymentId, status, options)
+  }
+
+  /**
+   * Move a payment request to another status of its lifecycle (PAYMENT_TRANSITIONS)
+   * Sets <status>_at, appends to status_history and writes the change to the audit log.
+   * Moving to paid emits payment.settled, every change emits payment.status_changed.
+   *
+   * @param {ObjectId} paymentId
+   * @param {string} status
+   * @param {Object} [options]
+   * @param {string} [options.actorType] - Who made the change: system, sender_vasp, admin
+   * @param {string} [options.reason]
+   * @param {Object} [options.set] - Other fields to set with the status
+   * @returns {Promise<Object>} The updated payment request
+   */
+  async transitionStatus (paymentId, status, { actorType = 'system', reason = null, set = {} } = {}) {
+    if (!PAYMENT_STATUSES.includes(status)) {
+      throw new InvalidInputError(`Invalid payment status "${status}". Valid statuses: ${PAYMENT_STATUSES.join(', ')}`)
+    }
+
+    const db = await getDatabase()
+    const current = await db.collection('payment_requests').findOne({ _id: paymentId })
+    if (!current) {
+      throw new PaymentNotFoundError()
+    }
+
+    const from = current.status
+    if (!PAYMENT_TRANSITIONS[from]?.includes(status)) {
+      throw new InvalidPaymentTransitionError(from, status)
+    }
+
+    const at = new Date()
+    const historyEntry = { from, to: status, at, actor_type: actorType, reason }
+
+    // Only applies if no one changed the status meanwhile
+    const payment = await db.collection('payment_requests').findOneAndUpdate(
+      { _id: paymentId, status: from },
+      {
+        $set: { ...set, status, [`${status}_at`]: at },
+        $push: { status_history: historyEntry }
+      },
+      { returnDocument: 'after' }
+    )
+
+    if (!payment) {
+      const latest = await db.collection('payment_requests').findOne({ _id: paymentId })
+      throw new InvalidPaymentTransitionError(latest?.status ?? from, status)
+    }
+
+    await logAuditEvent({
+      domain_id: payment.domain_id,
+      action: 'payment_status_changed',
+      actor_type: actorType,
+      target_type: 'payment_request',
+      target_id: paymentId.toString(),
+      details: JSON.stringify({ nonce: payment.nonce, from, to: status, reason })
+    })
+
+    paymentEvents.emit('payment.status_changed', { payment, from, to: status })
+    if (status === 'paid') {
+      paymentEvents.emit('payment.settled', { payment })
+    }
+
+    return payment
+  }
+
+  /**
+   * Mark pending payment requests past expires_at as expired
+   * @returns {Promise<number>} Number of payment requests expired
+   */
+  async expirePendingPayments (now = new Date()) {
+    const db = await getDatabase()
+    const expiredPayments = await db.collection('payment_requests')
+      .find({ status: 'pending', expires_at: { $lt: now } }, { projection: { _id: 1 } })
+      .limit(EXPIRY_SWEEP_BATCH_SIZE)
+      .toArray()
+
+    let expired = 0
+    for (const { _id } of expiredPayments) {
+      try {
+        await this.transitionStatus(_id, 'expired', { reason: 'expires_at passed' })
+        expired++
+      } catch (error) {
+        // Paid or otherwise updated since it was found
+        if (!(error instanceof InvalidPaymentTransitionError)) {
+          throw error
+        }
+      }
+    }
+
+    return expired
+  }
+
+  /**
+   * Get the payment request of a Lightning invoice by its payment hash
+   */
+  async getPaymentRequestByPaymentHash (paymentHash) {
+    const db = await getDatabase()
+    return await db.collection('payment_requests').findOne({ payment_hash: paymentHash })
+  }
+
+  /**
+   * Lightning payment requests whose Spark invoice may still be paid
+   * Includes requests expired in the last expiredGraceSeconds, the expiry sweeper may
+   * have got to them before the invoice was found paid.
+   */
+  async getOutstandingLightningPayments ({ now = new Date(), expiredGraceSeconds = 3600, limit = SETTLEMENT_POLL_BATCH_SIZE } = {}) {
+    const db = await getDatabase()
+    return await db.collection('payment_requests')
+      .find({
+        spark_receive_request_id: { $ne: null },
+        $or: this._outstandingStatusQuery(now, expiredGraceSeconds)
+      })
+      // Newest first, older invoices are about to expire anyway
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray()
+  }
+
+  /**
+   * On-chain payment requests of a settlement layer a deposit may still arrive for
+   * Like getOutstandingLightningPayments, recently expired requests are included: their
+   * deposit may have been made in time but only found after the expiry sweeper ran.
+   */
+  async getOutstandingOnChainPayments (settlementLayer, { now = new Date(), expiredGraceSeconds = 3600 } = {}) {
+    const db = await getDatabase()
+    return await db.collection('payment_requests')
+      .find({
+        settlement_layer: settlementLayer,
+        $or: this._outstandingStatusQuery(now, expiredGraceSeconds)
+      })
+      .sort({ created_at: 1 })
+      .toArray()
+  }
+
+  /**
+   * Get the payment request an on-chain deposit was matched to
+   * @param {string} txId - Chain watcher transfer id, e.g. <tx hash>:<log index>
+   */
+  async getPaymentRequestByDepositTxId (txId) {
+    const db = await getDatabase()
+    return await db.collection('payment_requests').findOne({ 'deposit.tx_id': txId })
+  }
+
+  /**
+   * Store the on-chain deposit matched to a payment request, or its new confirmation depth
+   * @returns {Promise<boolean>} false when another deposit was matched to it meanwhile
+   */
+  async recordDeposit (paymentId, deposit) {
+    const db = await getDatabase()
+    const result = await db.collection('payment_requests').updateOne(
+      { _id: paymentId, $or: [{ deposit: null }, { 'deposit.tx_id': deposit.tx_id }] },
+      { $set: { deposit } }
+    )
+    return result.matchedCount > 0
+  }
+
+  _outstandingStatusQuery (now, expiredGraceSeconds) {
+    return [
+      { status: { $in: ['pending', 'sent'] } },
+      { status: 'expired', expires_at: { $gte: new Date(now.getTime() - expiredGraceSeconds * 1000) } }
+    ]
+  }
+
+  /**
+   * Mark a Lightning payment request as paid, keeping the invoice preimage
+   * Emits payment.settled the first time only.
+   *
+   * @param {Object} [settlement]
+   * @param {number} [settlement.amountMsats] - Amount received, as reported by the wallet
+   * @param {Date} [settlement.settledAt] - When the wallet received it, defaults to now
    */
-  async updatePaymentStatus (paymentId, status) {
+  async recordLightningSettlement (paymentId, preimage, { amountMsats = null, settledAt = new Date() } = {}) {
+    try {
+      await this.transitionStatus(paymentId, 'paid', {
+        reason: 'Lightning invoice paid',
+        set: {
+          preimage,
+          settled_at: settledAt,
+          ...(amountMsats !== null && { received_amount_msats: amountMsats })
+        }
+      })
+    } catch (error) {
+      // Already recorded
+      if (error instanceof InvalidPaymentTransitionError && error.from === 'paid') {
+        return
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Store the zap receipt (NIP-57) published for a paid zap
+   */
+  async recordZapReceipt (paymentId, zapReceipt) {
     const db = await getDatabase()
-    await db.collection('payment_requests').updateOne(
+    const result = await db.collection('payment_requests').updateOne(
       { _id: paymentId },
-      { $set: { status } }
+      { $set: { zap_receipt: zapReceipt } }
     )
+
+    if (result.matchedCount === 0) {
+      throw new PaymentNotFoundError()
+    }
+  }
+
+  /**
+   * Store the settlement data reported by the sending VASP (utxoCallback)
+   */
+  async recordSettlementReport (paymentId, report) {
+    const db = await getDatabase()
+    const result = await db.collection('payment_requests').updateOne(
+      { _id: paymentId },
+      { $set: { settlement_report: report } }
+    )
+
+    if (result.matchedCount === 0) {
+      throw new PaymentNotFoundError()
+    }
+  }
+
+  /**
+   * Check if the quote of a payment request has expired
+   * Payments received after that are not covered by the quoted value.
+   */
+  isQuoteExpired (payment, at = new Date()) {
+    if (!payment.quote?.expires_at) {
+      return false
+    }
+    return new Date(payment.quote.expires_at) < at
+  }
+
+  /**
+   * Asset the amount of a payment request is in (BTC, USDT, ...), its smallest unit
+   * being msats for BTC. Plain LNURL invoices have neither quote nor asset identifier.
+   * @returns {string|null}
+   */
+  getAsset (payment) {
+    if (payment.quote?.asset) {
+      return payment.quote.asset
+    }
+    return payment.asset_identifier ? ASSETS_BY_IDENTIFIER[payment.asset_identifier] ?? null : 'BTC'
   }
 
   /**
@@ -83,6 +575,135 @@ class PaymentService {
   }
 }
 
+function parseDateFilter (name, value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidInputError(`${name} must be an ISO 8601 date`)
+  }
+  return date
+}
+
+// Opaque position after a payment request in the newest-first listing
+function encodePageCursor (payment) {
+  return Buffer.from(JSON.stringify([payment.created_at.getTime(), payment._id.toString()])).toString('base64url')
+}
+
+function decodePageCursor (cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    if (Number.isInteger(time) && typeof id === 'string') {
+      return { createdAt: new Date(time), id: toObjectId(id) }
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new InvalidInputError('Invalid cursor')
+}
+
+async function * exportLines (query, format) {
+  const db = await getDatabase()
+  const payments = db.collection('payment_requests').find(query).sort({ created_at: -1, _id: -1 })
+
+  if (format === 'csv') {
+    yield `${PAYMENT_EXPORT_COLUMNS.join(',')}\r\n`
+  }
+
+  for await (const payment of payments) {
+    const record = toExportRecord(payment)
+    yield format === 'csv'
+      ? `${PAYMENT_EXPORT_COLUMNS.map(column => toCsvField(record[column])).join(',')}\r\n`
+      : `${JSON.stringify(record)}\n`
+  }
+}
+
+function toExportRecord (payment) {
+  return {
+    id: payment._id.toString(),
+    nonce: payment.nonce,
+    createdAt: payment.created_at,
+    status: payment.status,
+    userId: payment.user_id?.toString() ?? null,
+    addressTag: payment.address_tag ?? null,
+    settlementLayer: payment.settlement_layer,
+    assetIdentifier: payment.asset_identifier,
+    amount: payment.amount_msats,
+    asset: paymentService.getAsset(payment),
+    currency: payment.currency,
+    convertedAmount: payment.quote?.converted_amount ?? null,
+    multiplier: payment.quote?.multiplier ?? null,
+    fee: payment.quote?.fee ?? null,
+    invoiceOrAddress: payment.invoice_or_address,
+    depositTxHash: payment.deposit?.tx_hash ?? null,
+    paidAt: payment.paid_at ?? null,
+    settledAt: payment.settled_at ?? null,
+    expiresAt: payment.expires_at,
+    comment: payment.comment ?? null
+  }
+}
+
+// RFC 4180 field, text a spreadsheet would run as a formula is prefixed with '
+function toCsvField (value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  let field = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+}
+
 const paymentService = new PaymentService()
 
-module.exports = { paymentService, PaymentService }
+/**
+ * Background job marking pending payment requests past expires_at as expired
+ */
+class PaymentExpirySweeper {
+  constructor (intervalSeconds = parseInt(process.env.PAYMENT_EXPIRY_SWEEP_INTERVAL_SECONDS || '60', 10)) {
+    this.intervalSeconds = intervalSeconds
+    this.timer = null
+    this.running = false
+  }
+
+  start () {
+    if (this.timer) {
+      return
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.intervalSeconds * 1000)
+    // Don't keep the process alive for the sweeper alone
+    this.timer.unref()
+  }
+
+  stop () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  async sweep () {
+    // Skip when the previous sweep is still going
+    if (this.running) {
+      return 0
+    }
+
+    this.running = true
+    try {
+      const expired = await paymentService.expirePendingPayments()
+      if (expired > 0) {
+        console.log(`Expired ${expired} pending payment requests`)
+      }
+      return expired
+    } catch (error) {
+      console.error('Payment expiry sweep failed:', error)
+      return 0
+    } finally {
+      this.running = false
+    }
+  }
+}
+
+const paymentExpirySweeper = new PaymentExpirySweeper()
+
+module.exports = { paymentService, PaymentService, paymentExpirySweeper, PaymentExpirySweeper, PAYMENT_STATUSES }
@@ -0,0 +1,72 @@
+const dns = require('dns')
+const net = require('net')
+
+// URLs that come from outside (zap relays, webhook endpoints) must not reach loopback,
+// private or reserved networks
+const NON_PUBLIC_NETWORKS = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv6')
+}
+
+const NON_PUBLIC_HOSTNAME = /(^|\.)(localhost|local|internal|home\.arpa)$/
+
+function isPublicAddress (address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) {
+    return isPublicAddress(mapped[1])
+  }
+
+  const family = net.isIP(address)
+  return family !== 0 && !NON_PUBLIC_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * URL with one of the protocols, without credentials, of a host that is not on a
+ * loopback, private or reserved network
+ * Hostnames are checked again once resolved, see lookupPublicAddress.
+ * @param {string} value
+ * @param {string[]} protocols - e.g. ['wss:']
+ */
+function isPublicUrl (value, protocols) {
+  let url
+  try {
+    url = new URL(value)
+  } catch (error) {
+    return false
+  }
+
+  if (!protocols.includes(url.protocol) || url.username || url.password) {
+    return false
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname)
+  }
+  return hostname.includes('.') && !NON_PUBLIC_HOSTNAME.test(hostname)
+}
+
+// dns.lookup that refuses hosts resolving to non-public addresses
+function lookupPublicAddress (hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error)
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address]
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new Error(`Host ${hostname} resolves to a non-public address`))
+    }
+
+    callback(null, address, family)
+  })
+}
+
+module.exports = { isPublicAddress, isPublicUrl, lookupPublicAddress }
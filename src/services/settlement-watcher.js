@@ -0,0 +1,115 @@
+const { paymentService } = require('./payments')
+const { umaService } = require('./uma')
+const { SparkWalletAdapter } = require('./spark-wallet')
+const { InvalidPaymentTransitionError } = require('../errors')
+
+/**
+ * Background job marking Lightning payment requests paid once Spark received them
+ *
+ * Every poll asks the wallet adapter (see spark-wallet.js) for the receive request
+ * behind each outstanding invoice. Paid invoices record the received amount, the
+ * preimage and when Spark settled them, failed ones mark the payment request failed.
+ * Hodl invoices (aes success actions) get their preimage released on the way.
+ */
+class SparkSettlementWatcher {
+  /**
+   * @param {Object} [walletAdapter] - Defaults to the service's Spark wallet
+   */
+  constructor (
+    walletAdapter = new SparkWalletAdapter(() => umaService.initializeSparkWallet()),
+    intervalSeconds = parseInt(process.env.SPARK_SETTLEMENT_POLL_INTERVAL_SECONDS || '15', 10)
+  ) {
+    this.walletAdapter = walletAdapter
+    this.intervalSeconds = intervalSeconds
+    this.timer = null
+    this.running = false
+  }
+
+  start () {
+    if (this.timer) {
+      return
+    }
+
+    this.timer = setInterval(() => this.poll(), this.intervalSeconds * 1000)
+    // Don't keep the process alive for the watcher alone
+    this.timer.unref()
+  }
+
+  stop () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Check every outstanding Lightning payment request once
+   * @returns {Promise<number>} Number of payment requests marked paid
+   */
+  async poll () {
+    // Skip when the previous poll is still going
+    if (this.running) {
+      return 0
+    }
+
+    this.running = true
+    try {
+      const payments = await paymentService.getOutstandingLightningPayments()
+
+      let settled = 0
+      for (const payment of payments) {
+        try {
+          if (await this.checkPayment(payment)) {
+            settled++
+          }
+        } catch (error) {
+          // Try the others, this one is checked again on the next poll
+          console.error(`Failed to check Spark receive request ${payment.spark_receive_request_id}:`, error)
+        }
+      }
+
+      if (settled > 0) {
+        console.log(`Marked ${settled} Lightning payment requests paid`)
+      }
+      return settled
+    } catch (error) {
+      console.error('Spark settlement poll failed:', error)
+      return 0
+    } finally {
+      this.running = false
+    }
+  }
+
+  /**
+   * Update a payment request from the state of its Spark receive request
+   * @returns {Promise<boolean>} Whether the payment request was marked paid
+   */
+  async checkPayment (payment) {
+    const receiveRequest = await this.walletAdapter.getLightningReceiveRequest(payment.spark_receive_request_id, {
+      preimage: payment.hodl_preimage
+    })
+
+    if (receiveRequest?.status === 'paid') {
+      await paymentService.recordLightningSettlement(payment._id, receiveRequest.preimage, {
+        amountMsats: receiveRequest.amountMsats,
+        settledAt: receiveRequest.settledAt
+      })
+      return true
+    }
+
+    if (receiveRequest?.status === 'failed' && payment.status !== 'expired') {
+      try {
+        await paymentService.transitionStatus(payment._id, 'failed', { reason: 'Spark receive request failed' })
+      } catch (error) {
+        // Updated since it was found
+        if (!(error instanceof InvalidPaymentTransitionError)) {
+          throw error
+        }
+      }
+    }
+
+    return false
+  }
+}
+
+const sparkSettlementWatcher = new SparkSettlementWatcher()
+
+module.exports = { sparkSettlementWatcher, SparkSettlementWatcher }
@@ -0,0 +1,118 @@
+/**
+ * Spark wallet adapters
+ *
+ * The settlement watcher and LUD-21 verify talk to Spark through an adapter so they
+ * can run against the in-memory one offline. Spark's receive request statuses are only
+ * mapped here. Adapters implement:
+ *
+ *   getLightningReceiveRequest(receiveRequestId, { preimage })
+ *     -> { status: 'pending' | 'paid' | 'failed', amountMsats, preimage, settledAt } | null
+ *
+ * amountMsats, preimage and settledAt are null until the invoice is paid, null is
+ * returned for receive requests the wallet doesn't know.
+ *
+ * preimage is given for hodl invoices (see umaService.generateLightningInvoice): Spark holds
+ * their payment until the preimage is released, which the adapter does once it arrived.
+ */
+
+// Spark Lightning receive request statuses once the invoice has been paid
+const PAID_RECEIVE_STATUSES = ['LIGHTNING_PAYMENT_RECEIVED', 'TRANSFER_COMPLETED']
+
+// Spark Lightning receive request status of a hodl invoice waiting for its preimage
+const HELD_RECEIVE_STATUS = 'LIGHTNING_PAYMENT_RECEIVED'
+
+// Spark Lightning receive request statuses the invoice can't be paid from anymore
+const FAILED_RECEIVE_STATUSES = ['TRANSFER_CREATION_FAILED', 'PAYMENT_PREIMAGE_RECOVERY_FAILED']
+
+const MSATS_PER_UNIT = {
+  MILLISATOSHI: 1,
+  SATOSHI: 1000,
+  BITCOIN: 100000000000
+}
+
+/**
+ * Msats of a Spark CurrencyAmount ({ originalValue, originalUnit })
+ */
+function currencyAmountToMsats (amount) {
+  if (!amount || !MSATS_PER_UNIT[amount.originalUnit]) {
+    return null
+  }
+  return Math.round(amount.originalValue * MSATS_PER_UNIT[amount.originalUnit])
+}
+
+/**
+ * Adapter for the service's Spark wallet
+ */
+class SparkWalletAdapter {
+  /**
+   * @param {Function} getWallet - Resolves the initialized SparkWallet,
+   *   e.g. () => umaService.initializeSparkWallet()
+   */
+  constructor (getWallet) {
+    this.getWallet = getWallet
+  }
+
+  async getLightningReceiveRequest (receiveRequestId, { preimage = null } = {}) {
+    const wallet = await this.getWallet()
+    const receiveRequest = await wallet.getLightningReceiveRequest(receiveRequestId)
+    if (!receiveRequest) {
+      return null
+    }
+
+    if (preimage && receiveRequest.status === HELD_RECEIVE_STATUS) {
+      await wallet.claimHTLC(preimage)
+    }
+
+    if (PAID_RECEIVE_STATUSES.includes(receiveRequest.status)) {
+      return {
+        status: 'paid',
+        // What was transferred to the wallet, the invoice amount until the transfer exists
+        amountMsats: currencyAmountToMsats(receiveRequest.transfer?.totalAmount) ??
+          currencyAmountToMsats(receiveRequest.invoice?.amount),
+        preimage: receiveRequest.paymentPreimage || preimage,
+        settledAt: receiveRequest.updatedAt ? new Date(receiveRequest.updatedAt) : new Date()
+      }
+    }
+
+    return {
+      status: FAILED_RECEIVE_STATUSES.includes(receiveRequest.status) ? 'failed' : 'pending',
+      amountMsats: null,
+      preimage: null,
+      settledAt: null
+    }
+  }
+}
+
+/**
+ * In-memory adapter for tests and offline runs
+ * Receive requests are pending until settle() or fail() is called for them.
+ */
+class InMemorySparkWalletAdapter {
+  constructor () {
+    this.receiveRequests = new Map()
+    // Preimages released for hodl invoices
+    this.claimedPreimages = []
+  }
+
+  settle (receiveRequestId, { amountMsats, preimage, settledAt = new Date() }) {
+    this.receiveRequests.set(receiveRequestId, { status: 'paid', amountMsats, preimage, settledAt })
+  }
+
+  fail (receiveRequestId) {
+    this.receiveRequests.set(receiveRequestId, { status: 'failed', amountMsats: null, preimage: null, settledAt: null })
+  }
+
+  async getLightningReceiveRequest (receiveRequestId, { preimage = null } = {}) {
+    const receiveRequest = this.receiveRequests.get(receiveRequestId)
+    if (receiveRequest?.status !== 'paid') {
+      return receiveRequest || { status: 'pending', amountMsats: null, preimage: null, settledAt: null }
+    }
+
+    if (preimage) {
+      this.claimedPreimages.push(preimage)
+    }
+    return { ...receiveRequest, preimage: receiveRequest.preimage || preimage }
+  }
+}
+
+module.exports = { SparkWalletAdapter, InMemorySparkWalletAdapter, currencyAmountToMsats }
@@ -0,0 +1,259 @@
+const crypto = require('crypto')
+const { InvalidInputError } = require('../errors')
+
+const SUCCESS_ACTION_TAGS = ['message', 'url', 'aes']
+
+// LUD-09 / LUD-10 size limits
+const MAX_MESSAGE_LENGTH = 144
+const MAX_DESCRIPTION_LENGTH = 144
+const MAX_AES_PLAINTEXT_LENGTH = 4096
+
+// Placeholders usable in messages, url and descriptions
+const PLACEHOLDERS = ['reference', 'paymentId', 'username', 'tag', 'domain']
+
+const DEFAULT_LANGUAGE = 'en'
+
+/**
+ * LUD-09 / LUD-10 success actions returned with pay responses
+ *
+ * Domains configure a success action for all of their users, users can override it.
+ * Configurations are stored as given:
+ *   { tag: 'message', message: 'Thanks!' | { en: 'Thanks!', es: '¡Gracias!' } }
+ *   { tag: 'url', url: 'https://shop.example/orders/{reference}', description: 'Your order' }
+ *   { tag: 'aes', description: 'Your license key', plaintext: 'XXXX-XXXX' }
+ *
+ * aes secrets are encrypted with the invoice preimage, so the invoices of aes payments
+ * are created from a preimage generated here (see umaService.generateLightningInvoice).
+ */
+class SuccessActionService {
+  /**
+   * Validate a success action configuration
+   * @param {string} domain - Domain the pay responses are served from, url actions must stay on it (LUD-09)
+   * @param {boolean} [allowNull] - Accept null to clear the configuration
+   */
+  validateConfig (config, domain, allowNull = false) {
+    if (config === null && allowNull) {
+      return
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new InvalidInputError('Success action must be an object')
+    }
+
+    if (!SUCCESS_ACTION_TAGS.includes(config.tag)) {
+      throw new InvalidInputError(`Invalid success action tag "${config.tag}". Valid tags: ${SUCCESS_ACTION_TAGS.join(', ')}`)
+    }
+
+    if (config.tag === 'message') {
+      this._validateMessage(config.message)
+    }
+
+    if (config.tag === 'url') {
+      this._validateTemplate('description', config.description, MAX_DESCRIPTION_LENGTH)
+      this._validateTemplate('url', config.url)
+
+      // Placeholders rendered with their own names, as they are not known yet
+      const sampleValues = Object.fromEntries(PLACEHOLDERS.map(placeholder => [placeholder, placeholder]))
+      sampleValues.domain = domain
+
+      let url
+      try {
+        url = new URL(this._render(config.url, sampleValues))
+      } catch (error) {
+        throw new InvalidInputError('Success action url must be a valid URL')
+      }
+      if (url.protocol !== 'https:') {
+        throw new InvalidInputError('Success action url must be an https URL')
+      }
+      if (url.host !== domain.toLowerCase()) {
+        throw new InvalidInputError(`Success action url must be on ${domain}`)
+      }
+    }
+
+    if (config.tag === 'aes') {
+      this._validateTemplate('description', config.description, MAX_DESCRIPTION_LENGTH)
+
+      if (typeof config.plaintext !== 'string' || !config.plaintext || config.plaintext.length > MAX_AES_PLAINTEXT_LENGTH) {
+        throw new InvalidInputError(`Success action plaintext must be a string of 1 to ${MAX_AES_PLAINTEXT_LENGTH} characters`)
+      }
+    }
+  }
+
+  _validateMessage (message) {
+    if (message && typeof message === 'object' && !Array.isArray(message)) {
+      const templates = Object.entries(message)
+      if (templates.length === 0) {
+        throw new InvalidInputError('Success action message must have at least one language')
+      }
+
+      for (const [language, template] of templates) {
+        if (!/^[a-z]{2,3}$/.test(language)) {
+          throw new InvalidInputError(`Invalid success action message language "${language}". Use ISO 639 codes such as "en"`)
+        }
+        this._validateTemplate(`message (${language})`, template, MAX_MESSAGE_LENGTH)
+      }
+      return
+    }
+
+    this._validateTemplate('message', message, MAX_MESSAGE_LENGTH)
+  }
+
+  _validateTemplate (field, template, maxLength) {
+    if (typeof template !== 'string' || !template) {
+      throw new InvalidInputError(`Success action ${field} must be a non-empty string`)
+    }
+
+    if (maxLength && template.length > maxLength) {
+      throw new InvalidInputError(`Success action ${field} must be at most ${maxLength} characters`)
+    }
+
+    for (const [, placeholder] of template.matchAll(/\{(\w+)\}/g)) {
+      if (!PLACEHOLDERS.includes(placeholder)) {
+        throw new InvalidInputError(`Invalid success action placeholder {${placeholder}}. Valid placeholders: ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`)
+      }
+    }
+  }
+
+  /**
+   * Success action configured for a payment to a user, user settings win over the domain's
+   * @returns {Object|null} null when neither configures one
+   */
+  resolveConfig (domain, user) {
+    return user?.success_action ?? domain?.success_action ?? null
+  }
+
+  /**
+   * Whether the Lightning invoice has to be created from a known preimage
+   */
+  needsPreimage (config) {
+    return config?.tag === 'aes'
+  }
+
+  /**
+   * Build the successAction of a pay response
+   *
+   * @param {Object|null} config - From resolveConfig
+   * @param {Object} context
+   * @param {string} context.reference - Payment request nonce
+   * @param {string} context.paymentId
+   * @param {string} context.username
+   * @param {string|null} [context.tag] - Sub-address tag (alice+order123)
+   * @param {string} context.domain
+   * @param {string} [context.displayName]
+   * @param {string} [context.acceptLanguage] - Accept-Language header of the sender
+   * @param {string|null} [context.preimage] - Hex preimage of the Lightning invoice, needed for aes
+   */
+  buildSuccessAction (config, context) {
+    const values = {
+      reference: context.reference,
+      paymentId: context.paymentId,
+      username: context.username,
+      tag: context.tag,
+      domain: context.domain
+    }
+
+    if (!config) {
+      return {
+        tag: 'message',
+        message: `Payment received! Thank you for paying ${context.displayName || context.username}.`
+      }
+    }
+
+    if (config.tag === 'url') {
+      return {
+        tag: 'url',
+        description: this._truncate(this._render(config.description, values), MAX_DESCRIPTION_LENGTH),
+        url: this._render(config.url, values, encodeURIComponent)
+      }
+    }
+
+    if (config.tag === 'aes') {
+      const description = this._truncate(this._render(config.description, values), MAX_DESCRIPTION_LENGTH)
+
+      // On-chain payments have no preimage to encrypt with
+      if (!context.preimage) {
+        return { tag: 'message', message: description }
+      }
+
+      return {
+        tag: 'aes',
+        description,
+        ...this.encryptAes(config.plaintext, context.preimage)
+      }
+    }
+
+    const template = typeof config.message === 'string'
+      ? config.message
+      : config.message[this.selectLanguage(context.acceptLanguage, Object.keys(config.message))]
+
+    return {
+      tag: 'message',
+      message: this._truncate(this._render(template, values), MAX_MESSAGE_LENGTH)
+    }
+  }
+
+  /**
+   * Pick the message language for an Accept-Language header
+   * Falls back to English, then to the first configured language.
+   */
+  selectLanguage (acceptLanguage, available) {
+    const requested = String(acceptLanguage || '')
+      .split(',')
+      .map(entry => {
+        const [tag, ...params] = entry.trim().split(';')
+        const quality = params.map(p => p.trim()).find(p => p.startsWith('q='))
+        return {
+          language: tag.trim().toLowerCase().split('-')[0],
+          quality: quality ? Number(quality.slice(2)) : 1
+        }
+      })
+      .filter(({ language, quality }) => language && quality > 0)
+      .sort((a, b) => b.quality - a.quality)
+
+    const match = requested.find(({ language }) => available.includes(language))
+    if (match) {
+      return match.language
+    }
+
+    return available.includes(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : available[0]
+  }
+
+  /**
+   * LUD-10: AES-256-CBC with the 32-byte payment preimage as key
+   * @returns {{ ciphertext: string, iv: string }} base64 encoded
+   */
+  encryptAes (plaintext, preimage) {
+    const key = Buffer.from(preimage, 'hex')
+    const iv = crypto.randomBytes(16)
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+
+    return {
+      ciphertext: ciphertext.toString('base64'),
+      iv: iv.toString('base64')
+    }
+  }
+
+  /**
+   * Copy of a configuration that is safe to log, without the aes secret
+   */
+  redact (config) {
+    if (config?.tag !== 'aes') {
+      return config
+    }
+    return { ...config, plaintext: '[redacted]' }
+  }
+
+  _render (template, values, encode = String) {
+    return template.replace(/\{(\w+)\}/g, (_, placeholder) => encode(values[placeholder] ?? ''))
+  }
+
+  _truncate (text, maxLength) {
+    return text.length > maxLength ? text.slice(0, maxLength - 1) + '…' : text
+  }
+}
+
+// Singleton instance
+const successActionService = new SuccessActionService()
+
+module.exports = { successActionService, SuccessActionService }
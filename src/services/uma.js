@@ -1,9 +1,55 @@
+const crypto = require('crypto')
 const { userService } = require('./users')
 const { paymentService } = require('./payments')
 const { marketRates } = require('./market-rates')
+const { nonceService } = require('./nonces')
+const { domainService } = require('./domains')
+const { complianceService } = require('./compliance')
+const { successActionService } = require('./success-actions')
+const { feeService } = require('./fees')
+const { depositAddressService } = require('./deposit-addresses')
 const { SparkWallet } = require('@buildonspark/spark-sdk')
+const {
+  parseLnurlpRequest,
+  isLnurlpRequestForUma,
+  getLnurlpResponse,
+  fetchPublicKeyForVasp,
+  verifyUmaLnurlpQuerySignature,
+  verifyPayReqSignature,
+  verifyPostTransactionCallbackSignature,
+  parsePostTransactionCallback,
+  getVaspDomainFromUmaAddress,
+  generateNonce,
+  signPayload,
+  PayRequest,
+  UmaProtocolVersion,
+  UnsupportedVersionError,
+  isVersionSupported,
+  selectLowerVersion,
+  getMajorVersion,
+  getHighestSupportedVersionForMajorVersion,
+  InMemoryPublicKeyCache,
+  Currency,
+  KycStatus,
+  UmaError,
+  ErrorCode
+} = require('@uma-sdk/core')
 const CHAIN_MAPPING = require('../../config/chain-mapping')
 const CURRENCIES = require('../../config/currencies')
+const { PAYER_DATA_FIELDS, DEFAULT_PAYER_DATA_REQUIREMENTS } = require('../../config/payer-data')
+const {
+  ServiceError,
+  DuplicateNonceError,
+  InvalidCurrencyError,
+  InvalidInputError,
+  InvalidSettlementLayerError,
+  InvalidSettlementAssetError,
+  PaymentNotFoundError,
+  UserNotReadyError
+} = require('../errors')
+
+// Lifetime of on-chain payment requests, and of the quotes they were handed out with
+const PAYMENT_REQUEST_EXPIRY_SECONDS = 3600
 
 if (!process.env.SPARK_SEED) {
   throw new Error('SPARK_SEED environment variable is not set')
@@ -19,9 +65,16 @@ class UmaService {
   #sparkWallet = null
   #isInitializing = false
 
+  // Cache of counterparty VASP pubkeys fetched from /.well-known/lnurlpubkey
+  publicKeyCache = new InMemoryPublicKeyCache()
+
+  // Lifetime of the Lightning invoices (and their payment requests) handed out by pay responses
+  invoiceExpirySeconds = parseInt(process.env.LIGHTNING_INVOICE_EXPIRY_SECONDS || '3600', 10)
+
   /**
    * Convert chain addresses to UMA-compliant settlement options
-   * Creates identifiers like USDT_POLYGON, USDT_SOLANA, etc.
+   * Each chain lists the tokens enabled for the user, with identifiers like
+   * USDT_POLYGON, USDC_POLYGON, USDC_SOLANA, etc.
    *
    * Per UMA spec (Settlement.d.ts):
    * - multipliers: "Estimated conversion rates from this asset to the currencies supported by
@@ -30,8 +83,10 @@ class UmaService {
    *
    * @param {Object} chains - User's chain addresses
    * @param {string[]} currencies - List of currency codes the user accepts (e.g., ['USD', 'EUR'])
+   * @param {string[]|null} [enabledAssets] - From getSettlementAssets, null for each chain's default token
+   * @param {Object} [domain] - Domain whose fee schedules are included in the multipliers
    */
-  async buildSettlementOptions (chains, currencies) {
+  async buildSettlementOptions (chains, currencies, enabledAssets = null, domain = null) {
     const settlementOptions = []
 
     for (const [chainName, chainData] of Object.entries(chains)) {
@@ -40,27 +95,95 @@ class UmaService {
         // Skip unknown chains
         continue
       }
-      const { layer, asset } = mapping
 
-      const identifier =
-        layer === 'spark' ? chainData.address || chainData : `${asset}_${layer.toUpperCase()}`
+      const assets = []
+      for (const { asset, identifier } of this._getChainAssets(mapping, enabledAssets)) {
+        const multipliers = await marketRates.calculateMultipliers(asset, currencies)
 
-      const multipliers = await marketRates.calculateMultipliers(asset, currencies)
+        assets.push({
+          // Spark settles to the user's Spark address
+          identifier: identifier ?? (chainData.address || chainData),
+          multipliers: Object.fromEntries(Object.entries(multipliers).map(([code, multiplier]) => [
+            code,
+            feeService.applyToMultiplier(feeService.findSchedule(domain, mapping.layer, code), multiplier)
+          ]))
+        })
+      }
+
+      // None of the chain's tokens are enabled
+      if (assets.length === 0) {
+        continue
+      }
 
       settlementOptions.push({
-        settlementLayer: layer,
-        assets: [
-          {
-            identifier,
-            multipliers
-          }
-        ]
+        settlementLayer: mapping.layer,
+        assets
       })
     }
 
     return settlementOptions
   }
 
+  /**
+   * Token identifiers offered as settlement options for a user
+   * User settings win over the domain's
+   * @returns {string[]|null} null when neither opted into specific tokens
+   */
+  getSettlementAssets (domain, user) {
+    return user?.settlement_assets ?? domain?.settlement_assets ?? null
+  }
+
+  /**
+   * Assets of a chain mapping enabled for a user, BTC is always enabled
+   * @param {string[]|null} enabledAssets - From getSettlementAssets
+   * @returns {Array<{ asset: string, identifier: string|null }>}
+   */
+  _getChainAssets (mapping, enabledAssets) {
+    return Object.entries(mapping.assets)
+      .filter(([asset, { identifier, default: isDefault }]) => {
+        if (asset === 'BTC') {
+          return true
+        }
+        return enabledAssets ? enabledAssets.includes(identifier) : Boolean(isDefault)
+      })
+      .map(([asset, { identifier }]) => ({ asset, identifier }))
+  }
+
+  /**
+   * Asset a pay request settles in
+   * assetIdentifier must be one of the assets the lookup offered on the settlement layer,
+   * without one the layer's first asset is used.
+   *
+   * @param {string} settlementLayer - UMA settlement layer (ln, spark, polygon, ...)
+   * @param {string} [assetIdentifier]
+   * @param {string[]|null} enabledAssets - From getSettlementAssets
+   * @param {string} [sparkAddress] - Identifier of BTC on spark
+   * @returns {{ asset: string, identifier: string|null }}
+   */
+  resolveSettlementAsset (settlementLayer, assetIdentifier, enabledAssets, sparkAddress) {
+    const mapping = Object.values(CHAIN_MAPPING).find(({ layer }) => layer === settlementLayer.toLowerCase())
+    if (!mapping) {
+      throw new InvalidSettlementLayerError(settlementLayer)
+    }
+
+    const assets = this._getChainAssets(mapping, enabledAssets)
+      .map(({ asset, identifier }) => ({ asset, identifier: identifier ?? sparkAddress ?? null }))
+
+    if (!assetIdentifier) {
+      if (assets.length === 0) {
+        throw new InvalidSettlementLayerError(settlementLayer)
+      }
+      return assets[0]
+    }
+
+    const selected = assets.find(({ identifier }) => identifier === assetIdentifier)
+    if (!selected) {
+      throw new InvalidSettlementAssetError(assetIdentifier, settlementLayer)
+    }
+
+    return selected
+  }
+
   _getChainMapping(chainName) {
     const mapping = CHAIN_MAPPING[chainName.toLowerCase()]
     if (!mapping) {
@@ -80,8 +203,12 @@ class UmaService {
   /**
    * Build currencies array from domain settings and config
    * Combines base currency info from config/currencies.js with domain-specific settings
+   * Multipliers include the percentage fee of the domain's Lightning fee schedules.
+   *
+   * @param {Object} currencySettings
+   * @param {Object} [domain] - Domain whose fee schedules are included in the multipliers
    */
-  async buildCurrencies (currencySettings) {
+  async buildCurrencies (currencySettings, domain = null) {
     const currencies = []
 
     if (!currencySettings) {
@@ -114,7 +241,7 @@ class UmaService {
           min: settings.minSendable,
           max: settings.maxSendable
         },
-        multiplier
+        multiplier: feeService.applyToMultiplier(feeService.findSchedule(domain, 'ln', code), multiplier)
       })
     }
 
@@ -170,165 +297,810 @@ class UmaService {
     return `${protocol}://${domain.domain}`
   }
 
+  /**
+   * Parse the lookup request URL into an LnurlpRequest
+   * Throws UmaError if UMA parameters are only partially present
+   */
+  parseLookupRequest (requestUrl) {
+    return parseLnurlpRequest(new URL(requestUrl))
+  }
+
+  /**
+   * Pick the UMA version to answer a sender with
+   * The sender's version, capped at the highest version we speak within the same
+   * major version. Throws UnsupportedVersionError (412, with supportedMajorVersions)
+   * when we share no major version with the sender.
+   *
+   * @param {string} [requestedVersion] - umaVersion sent by the sender, e.g. '0.3'
+   * @returns {string}
+   */
+  negotiateUmaVersion (requestedVersion) {
+    if (!requestedVersion) {
+      return UmaProtocolVersion
+    }
+
+    if (!isVersionSupported(requestedVersion)) {
+      throw new UnsupportedVersionError(requestedVersion)
+    }
+
+    return selectLowerVersion(
+      requestedVersion,
+      getHighestSupportedVersionForMajorVersion(getMajorVersion(requestedVersion))
+    )
+  }
+
+  /**
+   * Verify a signed UMA lookup request against the sender VASP's published keys
+   * Rejects stale timestamps and replayed nonces
+   */
+  async verifyLookupRequest (lnurlpRequest) {
+    const timestampSec = Math.floor(lnurlpRequest.timestamp.getTime() / 1000)
+    if (isNaN(timestampSec) || !nonceService.isTimestampFresh(timestampSec)) {
+      throw new UmaError('UMA request timestamp is missing or too old', ErrorCode.INVALID_TIMESTAMP)
+    }
+
+    const senderPubKeys = await this.fetchCounterpartyPubKeys(lnurlpRequest.vaspDomain)
+
+    const isSignatureValid = await verifyUmaLnurlpQuerySignature(lnurlpRequest, senderPubKeys, nonceService)
+    if (!isSignatureValid) {
+      throw new UmaError('Invalid UMA request signature', ErrorCode.INVALID_SIGNATURE)
+    }
+  }
+
+  /**
+   * Fetch (and cache) the signing/encryption pubkeys of another VASP
+   */
+  async fetchCounterpartyPubKeys (vaspDomain) {
+    try {
+      return await fetchPublicKeyForVasp({ cache: this.publicKeyCache, vaspDomain })
+    } catch (error) {
+      console.error(`Failed to fetch pubkeys for VASP ${vaspDomain}:`, error.message)
+      throw new UmaError(`Unable to fetch public keys for ${vaspDomain}`, ErrorCode.COUNTERPARTY_PUBKEY_FETCH_ERROR)
+    }
+  }
+
+  /**
+   * Receiving VASP signing key used for compliance signatures
+   * Each domain signs with its own active key (see /.well-known/lnurlpubkey)
+   */
+  _getSigningPrivateKey (domain) {
+    const key = domainService.getActiveUmaKey(domain)
+    if (!key) {
+      throw new UmaError(`No active UMA signing key for domain ${domain.domain}`, ErrorCode.INTERNAL_ERROR)
+    }
+    return Buffer.from(key.signing_private_key, 'hex')
+  }
+
+  /**
+   * Resolve which payer data fields are mandatory for a user
+   * User overrides take precedence over the domain settings
+   * @returns {Object.<string, boolean>}
+   */
+  getPayerDataRequirements (domain, user) {
+    return {
+      ...DEFAULT_PAYER_DATA_REQUIREMENTS,
+      ...domain.payer_data_requirements,
+      ...user?.payer_data_requirements
+    }
+  }
+
+  /**
+   * Build the payerData options advertised in lookup responses
+   */
+  buildPayerDataOptions (requirements) {
+    return Object.fromEntries(
+      PAYER_DATA_FIELDS.map(field => [field, { mandatory: Boolean(requirements[field]) }])
+    )
+  }
+
+  /**
+   * Reject pay requests that omit payer data the receiver made mandatory
+   */
+  assertMandatoryPayerData (requirements, payerData) {
+    const missingFields = PAYER_DATA_FIELDS.filter(field => {
+      const value = payerData?.[field]
+      return requirements[field] && (value === undefined || value === null || value === '')
+    })
+
+    if (missingFields.length > 0) {
+      throw new UmaError(
+        `Missing mandatory payer data: ${missingFields.join(', ')}`,
+        ErrorCode.MISSING_MANDATORY_PAYER_DATA
+      )
+    }
+  }
+
+  /**
+   * LNURL-pay metadata (LUD-06), with the address as text/identifier (LUD-16)
+   */
+  buildMetadata (username, user, domain) {
+    return JSON.stringify([
+      ['text/plain', `Pay to ${user.display_name || username}`],
+      ['text/identifier', `${username}@${domain.domain}`]
+    ])
+  }
+
+  /**
+   * String the invoice's description_hash commits to: the lookup metadata, followed by
+   * the payer data as sent when there is some (LUD-18, UMA)
+   *
+   * @param {string} metadata - From buildMetadata
+   * @param {Object} [payerData]
+   * @param {string} [encodedPayerData] - payerdata exactly as received on the GET callback
+   */
+  buildInvoiceDescription (metadata, payerData, encodedPayerData) {
+    return metadata + (encodedPayerData ?? (payerData ? JSON.stringify(payerData) : ''))
+  }
+
+  /**
+   * Convert msats to the whole sats Spark invoices are issued in
+   *
+   * Amounts the sender asked for in msats must convert exactly ('exact'): an invoice for
+   * another amount fails the wallet's amount check (LUD-06). Amounts converted from a
+   * currency are rounded up ('up'), so the receiver never gets less than the amount asked.
+   *
+   * @param {number} amountMsats
+   * @param {'exact'|'up'} [rounding]
+   * @returns {number} sats
+   */
+  msatsToSats (amountMsats, rounding = 'exact') {
+    if (rounding === 'exact' && amountMsats % 1000 !== 0) {
+      throw new InvalidInputError(`Amount ${amountMsats} msats is not a whole number of sats, Lightning invoices can't carry sub-sat amounts`)
+    }
+
+    const sats = Math.ceil(amountMsats / 1000)
+    if (sats < 1) {
+      throw new InvalidInputError('Amount must be at least 1 sat (1000 msats)')
+    }
+
+    return sats
+  }
+
+  /**
+   * Sanitize a payer comment (LUD-12) and enforce the domain's length limit
+   * Strips control and bidi override characters so the text is safe to display
+   * @returns {string|null}
+   */
+  sanitizeComment (comment, domain) {
+    if (comment === undefined || comment === null) {
+      return null
+    }
+
+    const sanitized = String(comment)
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/(?!\n)[\p{Cc}\u202A-\u202E\u2066-\u2069]/gu, '')
+      .trim()
+
+    if (sanitized.length === 0) {
+      return null
+    }
+
+    const commentAllowed = domainService.getCommentAllowed(domain)
+    if ([...sanitized].length > commentAllowed) {
+      throw new UmaError(
+        commentAllowed === 0
+          ? 'Comments are not accepted by this receiver'
+          : `Comment exceeds the ${commentAllowed} character limit`,
+        ErrorCode.INVALID_INPUT
+      )
+    }
+
+    return sanitized
+  }
+
   /**
    * Generate UMA lookup response (first call - no amount)
    * Multi-tenant aware: looks up user in the specified domain
+   *
+   * When the request URL carries UMA parameters (vaspDomain, signature, nonce,
+   * timestamp, umaVersion), the sender's signature is verified and a signed
+   * UMA response with compliance data is returned, shaped for the UMA version
+   * negotiated with the sender.
+   *
+   * @param {string} username
+   * @param {Object} domain
+   * @param {string} [requestUrl] - Full lookup URL including query string
    */
-  async generateLookupResponse (username, domain) {
-    const user = await userService.getUserByUsernameAndDomain(username, domain._id)
-    if (!user) {
+  async generateLookupResponse (username, domain, requestUrl) {
+    const lnurlpRequest = requestUrl ? this.parseLookupRequest(requestUrl) : null
+
+    const receiver = await userService.resolveReceiver(username, domain._id)
+    if (!receiver) {
       return null
     }
+    const { user } = receiver
 
-    const chains = user._id ? await userService.getFormattedAddresses(user._id) : {}
+    const chains = {
+      ...depositAddressService.getDerivedChains(domain, user),
+      ...(user._id ? await userService.getFormattedAddresses(user._id) : {})
+    }
 
     // Get active currency codes from domain settings
     const activeCurrencyCodes = Object.entries(domain.currency_settings || {})
       .filter(([_, settings]) => settings.active)
       .map(([code]) => code)
 
-    const settlementOptions = await this.buildSettlementOptions(chains, activeCurrencyCodes)
-    const currencies = await this.buildCurrencies(domain.currency_settings)
+    const settlementOptions = await this.buildSettlementOptions(chains, activeCurrencyCodes, this.getSettlementAssets(domain, user), domain)
+    const currencies = await this.buildCurrencies(domain.currency_settings, domain)
     const btcSettings = domain.currency_settings.BTC
 
-    const payerData = {
-      name: { mandatory: false },
-      email: { mandatory: false },
-      identifier: { mandatory: false },
-      compliance: { mandatory: false }
-    }
+    const payerData = this.buildPayerDataOptions(this.getPayerDataRequirements(domain, user))
 
     const baseUrl = this.getBaseUrlForDomain(domain)
+    const callback = `${baseUrl}/.well-known/lnurlp/${username}`
+    const metadata = this.buildMetadata(username, user, domain)
+
+    if (lnurlpRequest && isLnurlpRequestForUma(lnurlpRequest)) {
+      const umaMajorVersion = getMajorVersion(this.negotiateUmaVersion(lnurlpRequest.umaVersion))
+      await this.verifyLookupRequest(lnurlpRequest)
+
+      const signedResponse = await getLnurlpResponse({
+        request: lnurlpRequest,
+        privateKeyBytes: this._getSigningPrivateKey(domain),
+        requiresTravelRuleInfo: domain.is_subject_to_travel_rule ?? true,
+        callback,
+        encodedMetadata: metadata,
+        // The SDK expects sats here and converts back to msats
+        minSendableSats: Math.ceil(btcSettings.minSendable / 1000),
+        maxSendableSats: Math.floor(btcSettings.maxSendable / 1000),
+        payerDataOptions: {
+          ...payerData,
+          identifier: { mandatory: true },
+          compliance: { mandatory: true }
+        },
+        currencyOptions: currencies.map(currency => new Currency(
+          currency.code,
+          currency.name,
+          currency.symbol,
+          currency.multiplier,
+          currency.convertible.min,
+          currency.convertible.max,
+          currency.decimals,
+          umaMajorVersion
+        )),
+        receiverKycStatus: user.kyc_status || KycStatus.Verified,
+        commentCharsAllowed: domainService.getCommentAllowed(domain),
+        settlementOptions: settlementOptions.length > 0 ? settlementOptions : undefined
+      })
+
+      return signedResponse.toJsonSchemaObject()
+    }
 
     const response = {
       tag: 'payRequest',
-      callback: `${baseUrl}/.well-known/lnurlp/${username}`,
+      callback,
       minSendable: btcSettings.minSendable,
       maxSendable: btcSettings.maxSendable,
-      metadata: JSON.stringify([
-        ['text/plain', `Pay to ${user.display_name || username}`],
-        ['text/identifier', `${username}@${domain.domain}`]
-      ]),
-      commentAllowed: 255,
+      metadata,
+      commentAllowed: domainService.getCommentAllowed(domain),
       currencies,
       payerData,
-      umaVersion: '1.0',
+      umaVersion: UmaProtocolVersion,
       settlementOptions: settlementOptions.length > 0 ? settlementOptions : undefined
     }
 
     return response
   }
 
+  /**
+   * Parse a pay request sent as a JSON body to the callback URL (UMA v1 POST)
+   * UMA requests (with payer compliance data) have their signature verified
+   * @returns {Promise<PayRequest>}
+   */
+  async parsePayRequest (body) {
+    let payRequest
+    try {
+      payRequest = PayRequest.parse(body)
+    } catch (error) {
+      throw new UmaError(`Invalid pay request: ${error.message}`, ErrorCode.PARSE_PAYREQ_REQUEST_ERROR)
+    }
+
+    if (payRequest.isUma()) {
+      await this.verifyPayRequest(payRequest)
+    }
+
+    return payRequest
+  }
+
+  /**
+   * Verify the sender VASP's signature on a UMA pay request
+   */
+  async verifyPayRequest (payRequest) {
+    const payerIdentifier = payRequest.payerData.identifier
+    if (!payerIdentifier) {
+      throw new UmaError('Payer identifier is required for UMA pay requests', ErrorCode.MISSING_REQUIRED_UMA_PARAMETERS)
+    }
+
+    const { signatureTimestamp } = payRequest.payerData.compliance
+    if (!nonceService.isTimestampFresh(signatureTimestamp)) {
+      throw new UmaError('UMA pay request timestamp is too old', ErrorCode.INVALID_TIMESTAMP)
+    }
+
+    const senderPubKeys = await this.fetchCounterpartyPubKeys(getVaspDomainFromUmaAddress(payerIdentifier))
+
+    const isSignatureValid = await verifyPayReqSignature(payRequest, senderPubKeys, nonceService)
+    if (!isSignatureValid) {
+      throw new UmaError('Invalid UMA pay request signature', ErrorCode.INVALID_SIGNATURE)
+    }
+  }
+
+  /**
+   * Signed compliance data returned to the sender in payeeData
+   * Signature covers payerIdentifier|payeeIdentifier|nonce|timestamp
+   */
+  async _getSignedCompliancePayeeData (domain, payerIdentifier, payeeIdentifier, utxoCallback) {
+    const signatureNonce = generateNonce()
+    const signatureTimestamp = Math.floor(Date.now() / 1000)
+    const signature = await signPayload(
+      `${payerIdentifier}|${payeeIdentifier}|${signatureNonce}|${signatureTimestamp}`,
+      this._getSigningPrivateKey(domain)
+    )
+
+    return {
+      utxos: [],
+      utxoCallback,
+      signature,
+      signatureNonce,
+      signatureTimestamp
+    }
+  }
+
+  /**
+   * VASP domain part of a payer identifier ($alice@vasp.com)
+   */
+  _getVaspDomainFromIdentifier (identifier) {
+    return identifier?.includes('@')
+      ? identifier.split('@').pop().toLowerCase()
+      : undefined
+  }
+
+  /**
+   * Run the pay request through the compliance providers
+   * A deny decision is surfaced to the sender as an UMA error
+   */
+  async screenPayment (user, domain, nonce, payerData, destination) {
+    const payerIdentifier = payerData?.identifier
+    const payerVaspDomain = this._getVaspDomainFromIdentifier(payerIdentifier)
+
+    const screening = await complianceService.screenPayment({
+      nonce,
+      userId: user._id,
+      domainId: domain._id,
+      payerIdentifier,
+      payerVaspDomain,
+      compliance: payerData?.compliance,
+      // Derived deposit addresses are fresh, only static ones are screened
+      addresses: destination ? [destination] : []
+    })
+
+    if (screening.decision === 'deny') {
+      console.warn(`Payment ${nonce} denied by compliance screening`)
+      throw new UmaError(
+        'Payment rejected by compliance screening',
+        ErrorCode[screening.code] || ErrorCode.SENDER_NOT_ACCEPTED
+      )
+    }
+
+    return {
+      decision: screening.decision,
+      results: screening.results,
+      screened_at: new Date()
+    }
+  }
+
   /**
    * Generate UMA pay response (second call - with amount)
    * Multi-tenant aware
+   *
+   * @param {number} amount - In the settlement asset's smallest unit (msats for Lightning),
+   *   or in the smallest unit of options.amountCurrency
+   * @param {Object} [options]
+   * @param {string} [options.amountCurrency] - Set when the sender fixed the amount the
+   *   receiver gets (amount=1000.USD); defaults to the pay request's sending currency
+   * @param {PayRequest} [options.payRequest] - Parsed pay request (POST callback), answered in its UMA major version
+   * @param {Object} [options.payerData] - LUD-18 payerdata sent on the legacy GET callback
+   * @param {string} [options.comment] - LUD-12 comment sent on the legacy GET callback
+   * @param {string} [options.encodedPayerData] - payerdata as sent on the legacy GET callback
+   * @param {string} [options.acceptLanguage] - Accept-Language of the request, picks the success message language
    */
-  async generatePayResponse (username, domain, amountMsats, nonce, currency, settlementLayer, assetIdentifier) {
-    const user = await userService.getUserByUsernameAndDomain(username, domain._id)
-    if (!user || !user._id) {
+  async generatePayResponse (username, domain, amount, nonce, currency, settlementLayer, assetIdentifier, options = {}) {
+    const { payRequest } = options
+    const amountCurrency = options.amountCurrency ?? payRequest?.sendingAmountCurrencyCode
+    const payerData = options.payerData ?? payRequest?.payerData
+    const comment = this.sanitizeComment(options.comment ?? payRequest?.comment, domain)
+
+    // alice+order123: the payment is tagged with order123
+    const receiver = await userService.resolveReceiver(username, domain._id)
+    if (!receiver) {
       return null
     }
+    const { user, tag: addressTag } = receiver
+
+    if (currency && !CURRENCIES[currency]) {
+      throw new InvalidCurrencyError(currency)
+    }
+
+    if (amountCurrency) {
+      if (!CURRENCIES[amountCurrency]) {
+        throw new InvalidCurrencyError(amountCurrency)
+      }
+
+      if (currency && currency !== amountCurrency) {
+        throw new ServiceError(
+          `Sending currency ${amountCurrency} does not match the receiving currency ${currency}`,
+          ErrorCode.INVALID_CURRENCY
+        )
+      }
+    }
+
+    const receivingCurrency = currency || amountCurrency
+
+    this.assertMandatoryPayerData(this.getPayerDataRequirements(domain, user), payerData)
 
     const userAddresses = await userService.getUserAddresses(user._id)
 
     const existingPayment = await paymentService.getPaymentRequestByNonce(nonce)
     if (existingPayment) {
       console.warn(`Duplicate payment request with nonce: ${nonce}`)
-      throw new Error('DUPLICATE_NONCE')
+      throw new DuplicateNonceError(nonce)
     }
 
     let paymentRequest
+    let destination
+    const isLightning = !settlementLayer || settlementLayer === 'ln' || settlementLayer === 'spark'
 
-    if (settlementLayer && settlementLayer !== 'ln' && settlementLayer !== 'spark') {
+    let depositWallet = null
+    if (!isLightning) {
       const selectedAddress = userAddresses.find(
         addr => addr.chain_name.toLowerCase() === settlementLayer.toLowerCase()
       )
 
-      if (!selectedAddress) {
-        throw new Error(`Address not found for settlement layer: ${settlementLayer}`)
+      // Per-payment addresses derived from the user's or domain's xpub, the static address otherwise
+      depositWallet = depositAddressService.getWallet(domain, user, settlementLayer.toLowerCase())
+
+      if (!selectedAddress && !depositWallet) {
+        throw new InvalidSettlementLayerError(settlementLayer)
       }
 
-      paymentRequest = selectedAddress.address
-      console.log(`Payment request using ${settlementLayer} address: ${paymentRequest}`)
+      destination = selectedAddress?.address ?? null
     } else {
       // For Lightning or Spark - use user's Spark public key if available
       if (!user.spark_public_key) {
-        throw new Error('Lightning payments require a Spark public key to be configured for this user')
+        throw new UserNotReadyError('Lightning payments require a Spark public key to be configured for this user')
       }
 
-      paymentRequest = await this.generateLightningInvoice(
-        amountMsats,
-        username,
-        user.spark_public_key
+      destination = user.spark_public_key
+    }
+
+    const settlementAsset = this.resolveSettlementAsset(
+      settlementLayer || 'ln',
+      assetIdentifier,
+      this.getSettlementAssets(domain, user),
+      userAddresses.find(addr => addr.chain_name === 'spark')?.address
+    )
+    const settlementAssetIdentifier = settlementLayer ? settlementAsset.identifier : null
+
+    const currencyCode = receivingCurrency || 'USD'
+    const decimals = this._getCurrencyConfig(currencyCode).decimals
+
+    const quotedAt = new Date()
+    const { invoiceAmount, receivingAmount, multiplier, fee } = await this.convertPayAmount(
+      amount,
+      amountCurrency,
+      currencyCode,
+      settlementAsset.asset,
+      feeService.findSchedule(domain, settlementLayer || 'ln', currencyCode)
+    )
+
+    // Reject amounts no invoice can carry before the payment is screened
+    if (isLightning) {
+      this.msatsToSats(invoiceAmount)
+    }
+
+    // Screen before anything payable is handed out
+    const screening = await this.screenPayment(user, domain, nonce, payerData, destination)
+
+    // Lightning invoices, and the quote, expire after invoiceExpirySeconds
+    const expiresInSeconds = isLightning ? this.invoiceExpirySeconds : PAYMENT_REQUEST_EXPIRY_SECONDS
+
+    const successActionConfig = successActionService.resolveConfig(domain, user)
+
+    let lightningInvoice
+    let depositAddress
+    if (isLightning) {
+      lightningInvoice = await this.generateLightningInvoice(
+        invoiceAmount,
+        this.buildInvoiceDescription(this.buildMetadata(username, user, domain), payerData, options.encodedPayerData),
+        user.spark_public_key,
+        { withPreimage: successActionService.needsPreimage(successActionConfig) }
       )
+      paymentRequest = lightningInvoice.encodedInvoice
+    } else if (depositWallet) {
+      depositAddress = await depositAddressService.allocateAddress(domain, user, settlementLayer.toLowerCase())
+      paymentRequest = depositAddress.address
+      console.log(`Payment request using derived ${settlementLayer} address ${depositAddress.path}: ${paymentRequest}`)
+    } else {
+      paymentRequest = destination
+      console.log(`Payment request using ${settlementLayer} address: ${paymentRequest}`)
     }
 
     const paymentId = await paymentService.createPaymentRequest(
       user._id,
       nonce,
-      amountMsats,
-      currency,
+      invoiceAmount,
+      receivingCurrency,
       settlementLayer,
-      assetIdentifier,
-      paymentRequest
+      settlementAssetIdentifier,
+      paymentRequest,
+      expiresInSeconds,
+      {
+        payerData,
+        comment,
+        compliance: screening,
+        // Only a signed UMA pay request authenticates the sending VASP
+        senderVaspDomain: payRequest?.isUma() ? this._getVaspDomainFromIdentifier(payerData.identifier) : null,
+        paymentHash: lightningInvoice?.paymentHash,
+        sparkReceiveRequestId: lightningInvoice?.receiveRequestId,
+        hodlPreimage: lightningInvoice?.preimage,
+        addressTag,
+        depositAddress,
+        domainId: domain._id,
+        quote: {
+          source: marketRates.getRateSource(settlementAsset.asset),
+          asset: settlementAsset.asset,
+          currency: currencyCode,
+          multiplier,
+          fee,
+          amount: invoiceAmount,
+          converted_amount: receivingAmount,
+          quoted_at: quotedAt
+        }
+      }
     )
 
     if (paymentId === null) {
       console.error(`Failed to create payment request for nonce: ${nonce}`)
-      throw new Error('DUPLICATE_NONCE')
+      throw new DuplicateNonceError(nonce)
     }
 
     // Build settlement info
     let settlementInfo
-    if (settlementLayer && assetIdentifier) {
+    if (settlementLayer && settlementAssetIdentifier) {
       settlementInfo = {
         layer: settlementLayer,
-        assetIdentifier
+        assetIdentifier: settlementAssetIdentifier
       }
-      console.log(`Payment request using settlement: ${assetIdentifier} on ${settlementLayer}`)
+      console.log(`Payment request using settlement: ${settlementAssetIdentifier} on ${settlementLayer}`)
     }
 
-    const receiverFees = 0
-    const currencyCode = currency || 'USD'
-    const decimals = this._getCurrencyConfig(currencyCode).decimals
-
-    const asset = (!settlementLayer || settlementLayer === 'ln' || settlementLayer === 'spark')
-      ? 'BTC'
-      : 'USDT'
-
-    const multipliers = await marketRates.calculateMultipliers(asset, [currencyCode])
-    const multiplier = multipliers[currencyCode] 
-    // Calculate amount in currency units (e.g., cents)
-    // amount = (invoiceAmount - fee) / multiplier
-    const amountInCurrencyUnits = BigInt(amountMsats - receiverFees) / BigInt(multiplier)
-
-
     const response = {
       pr: paymentRequest,
       routes: [],
+      verify: lightningInvoice && this.getVerifyUrl(domain, lightningInvoice.paymentHash),
       settlement: settlementInfo,
       converted: {
-        amount: amountInCurrencyUnits.toString(),
+        amount: receivingAmount,
         currencyCode,
         decimals,
         multiplier,
-        fee: receiverFees
+        fee
       },
       disposable: false,
-      successAction: {
-        tag: 'message',
-        message: `Payment received! Thank you for paying ${user.display_name || username}.`
+      // The conversion holds until the payment request expires
+      quoteExpiresAt: Math.floor(quotedAt.getTime() / 1000) + expiresInSeconds,
+      successAction: successActionService.buildSuccessAction(
+        successActionConfig,
+        {
+          reference: nonce,
+          paymentId,
+          username: user.username,
+          tag: addressTag,
+          domain: domain.domain,
+          displayName: user.display_name,
+          acceptLanguage: options.acceptLanguage,
+          preimage: lightningInvoice?.preimage
+        }
+      )
+    }
+
+    if (payRequest?.isUma()) {
+      const payeeIdentifier = `$${username}@${domain.domain}`
+      const utxoCallback = `${this.getBaseUrlForDomain(domain)}/uma/utxocallback?nonce=${encodeURIComponent(nonce)}`
+
+      if (payRequest.umaMajorVersion === 0) {
+        return this._toV0PayResponse(response, utxoCallback)
+      }
+
+      response.payeeData = {
+        identifier: payeeIdentifier,
+        compliance: await this._getSignedCompliancePayeeData(
+          domain,
+          payRequest.payerData.identifier,
+          payeeIdentifier,
+          utxoCallback
+        )
       }
     }
 
     return response
   }
 
+  /**
+   * Work out the invoiced and received amounts of a pay request
+   * Amounts in a currency (amount=1000.USD) are what the receiver gets, converted
+   * into the settlement asset's smallest unit (msats for BTC, micro-USDT for USDT, wei for DAI)
+   * for the invoice, rounded up to whole sats for BTC. Other amounts are already in that unit.
+   *
+   * The receiver fee of the fee schedule is added on top of amounts in a currency, and
+   * taken out of other amounts. It is returned in the settlement asset's smallest unit.
+   *
+   * invoiceAmount and fee are decimal strings for assets whose amounts overflow JS numbers
+   * (see marketRates.hasDecimalStringAmounts), numbers otherwise.
+   *
+   * @param {Object|null} [feeSchedule] - From feeService.findSchedule
+   * @returns {Promise<{ invoiceAmount: number|string, receivingAmount: string, multiplier: number, fee: number|string }>}
+   */
+  async convertPayAmount (amount, amountCurrency, currencyCode, asset, feeSchedule = null) {
+    const multipliers = await marketRates.calculateMultipliers(asset, [currencyCode])
+    const multiplier = multipliers[currencyCode]
+    if (!multiplier) {
+      throw new ServiceError(`No exchange rate available for ${currencyCode} on ${asset}`, ErrorCode.INVALID_CURRENCY)
+    }
+
+    const toAmount = (value) => marketRates.hasDecimalStringAmounts(asset) ? value.toString() : Number(value)
+
+    if (amountCurrency) {
+      const fee = feeService.toAssetUnits(feeService.calculateFee(feeSchedule, amount), multiplier)
+
+      // invoiceAmount = amount * multiplier + fee
+      let invoiceAmount = BigInt(amount) * BigInt(multiplier) + fee
+      if (asset === 'BTC') {
+        invoiceAmount = BigInt(this.msatsToSats(Number(invoiceAmount), 'up') * 1000)
+      }
+
+      return {
+        invoiceAmount: toAmount(invoiceAmount),
+        receivingAmount: String(amount),
+        multiplier,
+        fee: toAmount(fee)
+      }
+    }
+
+    const sentAmount = BigInt(amount)
+    const includedFee = feeService.toAssetUnits(feeService.calculateIncludedFee(feeSchedule, amount / multiplier), multiplier)
+    const fee = includedFee < sentAmount ? includedFee : sentAmount
+
+    // Calculate amount in currency units (e.g., cents)
+    // amount = (invoiceAmount - fee) / multiplier
+    return {
+      invoiceAmount: toAmount(sentAmount),
+      receivingAmount: ((sentAmount - fee) / BigInt(multiplier)).toString(),
+      multiplier,
+      fee: toAmount(fee)
+    }
+  }
+
+  /**
+   * Reshape a pay response for UMA v0.x senders
+   * v0 carries the conversion in paymentInfo and unsigned compliance data at the
+   * top level instead of converted/payeeData
+   */
+  _toV0PayResponse (response, utxoCallback) {
+    const { converted, ...rest } = response
+
+    return {
+      ...rest,
+      paymentInfo: {
+        currencyCode: converted.currencyCode,
+        decimals: converted.decimals,
+        multiplier: converted.multiplier,
+        exchangeFeesMillisatoshi: converted.fee
+      },
+      compliance: {
+        utxos: [],
+        utxoCallback
+      }
+    }
+  }
+
+
+  /**
+   * Handle a post-transaction (utxoCallback) report from the sending VASP
+   * The report is matched to a payment request by nonce or invoice/address,
+   * its signature verified against the sender's keys, then stored.
+   *
+   * @param {Object} body - PostTransactionCallback JSON
+   * @param {Object} match
+   * @param {string} [match.nonce] - Payment request nonce
+   * @param {string} [match.invoice] - Invoice or on-chain address that was paid
+   * @returns {Promise<Object>} The updated payment request
+   */
+  async handlePostTransactionCallback (body, { nonce, invoice } = {}) {
+    let callback
+    try {
+      callback = parsePostTransactionCallback(JSON.stringify(body))
+    } catch (error) {
+      if (error instanceof UmaError) throw error
+      throw new UmaError(`Invalid post transaction callback: ${error.message}`, ErrorCode.PARSE_UTXO_CALLBACK_ERROR)
+    }
+
+    let payment = null
+    if (nonce) {
+      payment = await paymentService.getPaymentRequestByNonce(nonce)
+    } else if (invoice) {
+      payment = await paymentService.getLatestPaymentRequestByInvoice(invoice)
+    }
+
+    if (!payment) {
+      throw new PaymentNotFoundError()
+    }
+
+    // Only the VASP that sent the pay request may report on it, LNURL payments have none
+    if (!payment.sender_vasp_domain) {
+      throw new UmaError('Payment was not requested by an authenticated VASP', ErrorCode.FORBIDDEN)
+    }
+    if (payment.sender_vasp_domain !== callback.vaspDomain.toLowerCase()) {
+      throw new UmaError('Callback VASP does not match the payer VASP', ErrorCode.FORBIDDEN)
+    }
+
+    if (!nonceService.isTimestampFresh(callback.signatureTimestamp)) {
+      throw new UmaError('Post transaction callback timestamp is too old', ErrorCode.INVALID_TIMESTAMP)
+    }
+
+    const senderPubKeys = await this.fetchCounterpartyPubKeys(callback.vaspDomain)
+
+    const isSignatureValid = await verifyPostTransactionCallbackSignature(callback, senderPubKeys, nonceService)
+    if (!isSignatureValid) {
+      throw new UmaError('Invalid post transaction callback signature', ErrorCode.INVALID_SIGNATURE)
+    }
+
+    await paymentService.recordSettlementReport(payment._id, {
+      utxos: callback.utxos,
+      vasp_domain: callback.vaspDomain.toLowerCase(),
+      signature_nonce: callback.signatureNonce,
+      // Payments made after the quote expired are not covered by the quoted value
+      quote_expired: paymentService.isQuoteExpired(payment),
+      reported_at: new Date()
+    })
+
+    if (payment.status === 'pending') {
+      await paymentService.transitionStatus(payment._id, 'sent', {
+        actorType: 'sender_vasp',
+        reason: `Transaction reported by ${callback.vaspDomain.toLowerCase()}`
+      })
+    }
+
+    return await paymentService.getPaymentRequestByNonce(payment.nonce)
+  }
+
+  /**
+   * LUD-21 verify URL for a Lightning invoice
+   */
+  getVerifyUrl (domain, paymentHash) {
+    return `${this.getBaseUrlForDomain(domain)}/lnurlp/verify/${paymentHash}`
+  }
 
   /**
    * Generate Lightning invoice using Spark SDK
+   * The invoice commits to its description with description_hash, and expires after
+   * invoiceExpirySeconds.
+   *
+   * With withPreimage the preimage is generated here and Spark creates a hodl invoice from
+   * its payment hash, for success actions that need it upfront (LUD-10 aes). Spark then holds
+   * the payment until the wallet adapter releases the preimage, see spark-wallet.js.
+   *
+   * @param {number} amountMsats - Whole sats only, see msatsToSats
+   * @param {string} description - From buildInvoiceDescription
+   * @param {string} [receiverSparkPubkey]
+   * @param {Object} [options]
+   * @param {boolean} [options.withPreimage]
+   * @returns {Promise<{ encodedInvoice: string, paymentHash: string, receiveRequestId: string, preimage: string|null }>}
+   *   preimage is only set withPreimage
    */
-  async generateLightningInvoice (amountMsats, description, receiverSparkPubkey) {
+  async generateLightningInvoice (amountMsats, description, receiverSparkPubkey, { withPreimage = false } = {}) {
+    const amountSats = this.msatsToSats(amountMsats)
+
     if (receiverSparkPubkey && receiverSparkPubkey.startsWith('0x')) {
       receiverSparkPubkey = receiverSparkPubkey.slice(2)
     }
@@ -336,14 +1108,28 @@ class UmaService {
     try {
       const wallet = await this.initializeSparkWallet()
 
-      const lightningReceiveRequest = await wallet.createLightningInvoice({
-        amountSats: amountMsats,
-        memo: `Payment to ${description}`,
+      const params = {
+        amountSats,
+        descriptionHash: crypto.createHash('sha256').update(description, 'utf8').digest('hex'),
+        expirySeconds: this.invoiceExpirySeconds,
         includeSparkAddress: true,
         ...(receiverSparkPubkey && { receiverIdentityPubkey: receiverSparkPubkey })
-      })
+      }
 
-      return lightningReceiveRequest.invoice.encodedInvoice
+      const preimage = withPreimage ? crypto.randomBytes(32).toString('hex') : null
+      const lightningReceiveRequest = preimage
+        ? await wallet.createLightningHodlInvoice({
+          ...params,
+          paymentHash: crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex')
+        })
+        : await wallet.createLightningInvoice(params)
+
+      return {
+        encodedInvoice: lightningReceiveRequest.invoice.encodedInvoice,
+        paymentHash: lightningReceiveRequest.invoice.paymentHash,
+        receiveRequestId: lightningReceiveRequest.id,
+        preimage
+      }
     } catch (error) {
       console.error('Error creating Spark invoice:', error)
       throw error
@@ -1,5 +1,16 @@
 const { UserModel } = require('../models/users')
+const { toObjectId } = require('../db/database')
 const CHAIN_MAPPING = require('../../config/chain-mapping')
+const { domainService } = require('./domains')
+const { successActionService } = require('./success-actions')
+const { depositAddressService } = require('./deposit-addresses')
+const { accountEvents } = require('./events')
+const { InvalidInputError, UserAlreadyExistsError, UserNotFoundError } = require('../errors')
+
+const USERNAME_PATTERN = /^[a-z0-9_-]{1,64}$/
+
+// Sub-address tag of alice+order123 (LUD-16 allows dots in addresses)
+const ADDRESS_TAG_PATTERN = /^[a-z0-9_.-]{1,64}$/
 
 /**
  * @typedef {Object} CreateUserOptions
@@ -13,6 +24,10 @@ const CHAIN_MAPPING = require('../../config/chain-mapping')
  * @typedef {Object} UpdateUserOptions
  * @property {string} [displayName]
  * @property {Object.<string, string>} [addresses]
+ * @property {Object.<string, boolean|null>} [payerDataRequirements] - Overrides of the domain's
+ *   payer data requirements, null falls back to the domain setting
+ * @property {Object|null} [successAction] - Overrides the domain's success action, null falls
+ *   back to the domain setting
  */
 
 /**
@@ -41,6 +56,22 @@ class UserService {
     return await this.model.findByUsernameAndDomain(username, domainId, includeDeleted)
   }
 
+  /**
+   * Find the user paid through a Lightning address, sub-addresses (alice+order123) resolve to
+   * their user (alice) and tag (order123)
+   * Only for lookups and pay requests, admin operations use the exact getUserByUsernameAndDomain.
+   * @returns {Promise<{ user: Object, tag: string|null }|null>} null when the user does not exist
+   */
+  async resolveReceiver (address, domainId) {
+    if (!this.isValidUsername(address)) {
+      return null
+    }
+
+    const { username, tag } = this.parseUsername(address)
+    const user = await this.model.findByUsernameAndDomain(username, domainId)
+    return user ? { user, tag } : null
+  }
+
   async getUserById (userId, includeDeleted = false) {
     const profile = await this.model.findById(userId, includeDeleted)
     if (!profile) return null
@@ -66,15 +97,15 @@ class UserService {
   async createUser (options) {
     const { username, domainId, displayName, addresses, sparkPublicKey } = options
 
-    if (!this.isValidUsername(username)) {
-      throw new Error(
+    if (!this.isValidUsername(username, { allowTag: false })) {
+      throw new InvalidInputError(
         'Invalid username format. Use lowercase letters, numbers, underscores, and hyphens. Length: 1-64 characters.'
       )
     }
 
     const existing = await this.getUserByUsernameAndDomain(username, domainId)
     if (existing) {
-      throw new Error(`User "${username}" already exists in this domain`)
+      throw new UserAlreadyExistsError(username)
     }
 
     const userId = await this.model.insert({
@@ -88,7 +119,7 @@ class UserService {
     if (addresses) {
       const addressInserts = []
       for (const [chainName, address] of Object.entries(addresses)) {
-        if (!CHAIN_MAPPING[chainName]) throw new Error('Invalid chain ' + chainName)
+        if (!CHAIN_MAPPING[chainName]) throw new InvalidInputError('Invalid chain ' + chainName)
         if (address && address.trim()) {
           addressInserts.push({
             user_id: userId,
@@ -112,13 +143,15 @@ class UserService {
       details: JSON.stringify({ username, hasAddresses: !!addresses })
     })
 
-    return await this.getUserById(userId)
+    const user = await this.getUserById(userId)
+    accountEvents.emit('user.created', { user })
+    return user
   }
 
   async updateUser (userId, options) {
     const user = await this.getUserById(userId)
     if (!user) {
-      throw new Error('User not found')
+      throw new UserNotFoundError()
     }
 
     const updateData = {}
@@ -127,6 +160,33 @@ class UserService {
       updateData.display_name = options.displayName
     }
 
+    if (options.payerDataRequirements !== undefined) {
+      domainService.validatePayerDataRequirements(options.payerDataRequirements, true)
+
+      const overrides = { ...user.payer_data_requirements, ...options.payerDataRequirements }
+      for (const [field, mandatory] of Object.entries(overrides)) {
+        if (mandatory === null) {
+          delete overrides[field]
+        }
+      }
+      updateData.payer_data_requirements = overrides
+    }
+
+    if (options.successAction !== undefined) {
+      const domain = await domainService.getDomainById(toObjectId(user.domain_id))
+      successActionService.validateConfig(options.successAction, domain?.domain, true)
+      updateData.success_action = options.successAction
+    }
+
+    if (options.settlementAssets !== undefined) {
+      domainService.validateSettlementAssets(options.settlementAssets, true)
+      updateData.settlement_assets = options.settlementAssets && [...new Set(options.settlementAssets)]
+    }
+
+    if (options.depositWallet !== undefined) {
+      updateData.deposit_wallet = depositAddressService.normalizeWallet(options.depositWallet, user.deposit_wallet)
+    }
+
     if (options.addresses) {
       for (const [chainName, address] of Object.entries(options.addresses)) {
         if (address === null || address === '') {
@@ -147,22 +207,25 @@ class UserService {
       actor_type: 'domain_admin',
       target_type: 'user',
       target_id: userId.toString(),
-      details: JSON.stringify(options)
+      // The aes secret is kept out of the audit log
+      details: JSON.stringify({ ...options, successAction: successActionService.redact(options.successAction) })
     })
 
-    return await this.getUserById(userId)
+    const updatedUser = await this.getUserById(userId)
+    accountEvents.emit('user.updated', { user: updatedUser, changes: Object.keys(options) })
+    return updatedUser
   }
 
   async deleteUser (userId) {
     const user = await this.getUserById(userId)
     if (!user) {
-      throw new Error('User not found')
+      throw new UserNotFoundError()
     }
 
     const result = await this.model.softDelete(userId)
 
     if (result.modifiedCount === 0) {
-      throw new Error('User not found or already deleted')
+      throw new UserNotFoundError('User not found or already deleted')
     }
 
     await this.model.insertAuditLog({
@@ -173,12 +236,14 @@ class UserService {
       target_id: userId.toString(),
       details: JSON.stringify({ username: user.username })
     })
+
+    accountEvents.emit('user.deleted', { user })
   }
 
   async deactivateUser (userId) {
     const user = await this.getUserById(userId)
     if (!user) {
-      throw new Error('User not found')
+      throw new UserNotFoundError()
     }
 
     await this.model.setActive(userId, false)
@@ -191,12 +256,14 @@ class UserService {
       target_id: userId.toString(),
       details: JSON.stringify({ username: user.username })
     })
+
+    accountEvents.emit('user.updated', { user: { ...user, is_active: false }, changes: ['isActive'] })
   }
 
   async activateUser (userId) {
     const user = await this.getUserById(userId)
     if (!user) {
-      throw new Error('User not found')
+      throw new UserNotFoundError()
     }
 
     await this.model.setActive(userId, true)
@@ -209,6 +276,8 @@ class UserService {
       target_id: userId.toString(),
       details: JSON.stringify({ username: user.username })
     })
+
+    accountEvents.emit('user.updated', { user: { ...user, is_active: true }, changes: ['isActive'] })
   }
 
   async getUserAddresses (userId) {
@@ -251,9 +320,35 @@ class UserService {
     }
   }
 
-  isValidUsername (username) {
-    const regex = /^[a-z0-9_-]{1,64}$/
-    return regex.test(username.toLowerCase())
+  /**
+   * Split a username into the user's username and its sub-address tag
+   * alice+order123 is alice with tag order123. Everything after the first + is the tag.
+   * @returns {{ username: string, tag: string|null }}
+   */
+  parseUsername (username) {
+    const normalized = username.toLowerCase()
+    const separator = normalized.indexOf('+')
+    if (separator === -1) {
+      return { username: normalized, tag: null }
+    }
+
+    return {
+      username: normalized.slice(0, separator),
+      tag: normalized.slice(separator + 1)
+    }
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.allowTag] - Accept sub-addresses (alice+order123), true by default
+   */
+  isValidUsername (username, { allowTag = true } = {}) {
+    const { username: baseUsername, tag } = this.parseUsername(username)
+    if (!USERNAME_PATTERN.test(baseUsername)) {
+      return false
+    }
+
+    return tag === null || (allowTag && ADDRESS_TAG_PATTERN.test(tag))
   }
 }
 
@@ -0,0 +1,603 @@
+const crypto = require('crypto')
+const { promisify } = require('util')
+const { getDatabase, toObjectId } = require('../db/database')
+const { paymentEvents, accountEvents } = require('./events')
+const { domainService } = require('./domains')
+const { isPublicUrl, lookupPublicAddress } = require('./public-network')
+const { InvalidInputError, DomainNotFoundError, WebhookNotFoundError } = require('../errors')
+
+const WEBHOOK_EVENTS = [
+  'payment.created',
+  'payment.paid',
+  'payment.expired',
+  'user.created',
+  'user.updated',
+  'user.deleted',
+  'domain.currency_updated'
+]
+
+// Attempts per delivery before it is given up, retried after 30s, 1m, 2m, ... up to 1h
+const MAX_DELIVERY_ATTEMPTS = 8
+const RETRY_BASE_DELAY_SECONDS = 30
+const RETRY_MAX_DELAY_SECONDS = 3600
+
+// How long a delivery attempt may take, other workers leave it alone meanwhile
+const DELIVERY_TIMEOUT_MS = 10000
+
+// Due deliveries attempted per retry run at most
+const RETRY_BATCH_SIZE = 100
+
+// Endpoints a domain can have at most
+const MAX_WEBHOOK_ENDPOINTS = 20
+
+const lookupPublicHost = promisify(lookupPublicAddress)
+
+/**
+ * Signed outbound webhooks
+ *
+ * Domains register endpoints (webhook_endpoints) for some or all of WEBHOOK_EVENTS.
+ * Every event is stored as one delivery per subscribed endpoint (webhook_deliveries)
+ * and POSTed as JSON with these headers:
+ *   Webhook-Id: delivery id, the same on retries
+ *   Webhook-Event: event type
+ *   Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+ * Non-2xx responses and network errors are retried with exponential backoff, every
+ * attempt is kept on the delivery.
+ *
+ * Endpoint URLs must be on public hosts, and redirects are not followed: a 3xx answer
+ * counts as a failed attempt. setAllowPrivateNetworks lifts the host check for receivers
+ * on the local network.
+ */
+class WebhookService {
+  constructor () {
+    this.allowPrivateNetworks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+  }
+
+  setAllowPrivateNetworks (allow) {
+    this.allowPrivateNetworks = allow
+  }
+
+  /**
+   * Register a webhook endpoint for a domain
+   * @param {Object} options
+   * @param {string} options.url - http(s) URL on a public host events are POSTed to
+   * @param {string[]} [options.events] - Subscribed events, all of WEBHOOK_EVENTS by default
+   * @param {string} [options.description]
+   * @returns {Promise<Object>} The endpoint, with its signing secret
+   */
+  async createEndpoint (domainId, { url, events = WEBHOOK_EVENTS, description = null }) {
+    this.validateUrl(url)
+    this.validateEvents(events)
+    domainId = await this.resolveDomainId(domainId)
+
+    const db = await getDatabase()
+    const count = await db.collection('webhook_endpoints').countDocuments({ domain_id: domainId })
+    if (count >= MAX_WEBHOOK_ENDPOINTS) {
+      throw new InvalidInputError(`Webhook endpoints must be at most ${MAX_WEBHOOK_ENDPOINTS} per domain`)
+    }
+
+    const endpoint = {
+      domain_id: domainId,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+      is_active: true,
+      created_at: new Date(),
+      updated_at: new Date()
+    }
+
+    const result = await db.collection('webhook_endpoints').insertOne(endpoint)
+    return { _id: result.insertedId, ...endpoint }
+  }
+
+  async getEndpoints (domainId) {
+    domainId = await this.resolveDomainId(domainId)
+
+    const db = await getDatabase()
+    return await db.collection('webhook_endpoints')
+      .find({ domain_id: domainId })
+      .sort({ created_at: 1 })
+      .toArray()
+  }
+
+  async getEndpoint (domainId, endpointId) {
+    domainId = await this.resolveDomainId(domainId)
+
+    const db = await getDatabase()
+    const endpoint = await db.collection('webhook_endpoints').findOne({ _id: toObjectId(endpointId), domain_id: domainId })
+    if (!endpoint) {
+      throw new WebhookNotFoundError()
+    }
+    return endpoint
+  }
+
+  /**
+   * Change the URL, events, description or active state of an endpoint
+   * @param {Object} updates - { url, events, description, isActive }, omitted fields are kept
+   * @param {boolean} [updates.rotateSecret] - Replace the signing secret
+   */
+  async updateEndpoint (domainId, endpointId, updates) {
+    const endpoint = await this.getEndpoint(domainId, endpointId)
+    const set = { updated_at: new Date() }
+
+    if (updates.url !== undefined) {
+      this.validateUrl(updates.url)
+      set.url = updates.url
+    }
+
+    if (updates.events !== undefined) {
+      this.validateEvents(updates.events)
+      set.events = [...new Set(updates.events)]
+    }
+
+    if (updates.description !== undefined) {
+      set.description = updates.description
+    }
+
+    if (updates.isActive !== undefined) {
+      set.is_active = Boolean(updates.isActive)
+    }
+
+    if (updates.rotateSecret) {
+      set.secret = `whsec_${crypto.randomBytes(32).toString('hex')}`
+    }
+
+    const db = await getDatabase()
+    return await db.collection('webhook_endpoints').findOneAndUpdate(
+      { _id: endpoint._id },
+      { $set: set },
+      { returnDocument: 'after' }
+    )
+  }
+
+  /**
+   * Remove an endpoint, its pending deliveries are not attempted anymore
+   */
+  async deleteEndpoint (domainId, endpointId) {
+    const endpoint = await this.getEndpoint(domainId, endpointId)
+
+    const db = await getDatabase()
+    await db.collection('webhook_endpoints').deleteOne({ _id: endpoint._id })
+    await db.collection('webhook_deliveries').updateMany(
+      { endpoint_id: endpoint._id, status: 'pending' },
+      { $set: { status: 'failed', next_attempt_at: null } }
+    )
+  }
+
+  /**
+   * Latest deliveries of an endpoint
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending, delivered or failed
+   * @param {string} [filters.event] - Event type
+   */
+  async getDeliveries (domainId, endpointId, filters = {}) {
+    const endpoint = await this.getEndpoint(domainId, endpointId)
+
+    const query = { endpoint_id: endpoint._id }
+    if (filters.status) {
+      query.status = filters.status
+    }
+    if (filters.event) {
+      query.event_type = filters.event
+    }
+
+    const db = await getDatabase()
+    return await db.collection('webhook_deliveries')
+      .find(query)
+      .sort({ created_at: -1 })
+      .limit(100)
+      .toArray()
+  }
+
+  /**
+   * Send a delivery again now, whatever its status, with a fresh set of retries
+   * @returns {Promise<Object>} The delivery after the attempt
+   */
+  async redeliver (domainId, endpointId, deliveryId) {
+    const endpoint = await this.getEndpoint(domainId, endpointId)
+
+    const db = await getDatabase()
+    const delivery = await db.collection('webhook_deliveries').findOneAndUpdate(
+      { _id: toObjectId(deliveryId), endpoint_id: endpoint._id },
+      { $set: { status: 'pending', attempt_count: 0, next_attempt_at: new Date() } },
+      { returnDocument: 'after' }
+    )
+
+    if (!delivery) {
+      throw new WebhookNotFoundError('Webhook delivery not found')
+    }
+
+    // Already being sent by the retry worker
+    return await this.attemptDelivery(delivery._id) ?? delivery
+  }
+
+  /**
+   * Store an event for every active endpoint of the domain subscribed to it and send it
+   * @param {ObjectId} domainId
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event payload, API (camelCase) form
+   * @returns {Promise<number>} Number of deliveries created
+   */
+  async dispatch (domainId, type, data) {
+    if (!domainId) {
+      return 0
+    }
+
+    const db = await getDatabase()
+    const endpoints = await db.collection('webhook_endpoints')
+      .find({ domain_id: domainId, is_active: true, events: type })
+      .toArray()
+
+    if (endpoints.length === 0) {
+      return 0
+    }
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    }
+
+    const deliveries = endpoints.map(endpoint => ({
+      endpoint_id: endpoint._id,
+      domain_id: domainId,
+      event_id: event.id,
+      event_type: type,
+      payload: event,
+      status: 'pending',
+      attempts: [],
+      attempt_count: 0,
+      next_attempt_at: new Date(),
+      created_at: new Date()
+    }))
+
+    const result = await db.collection('webhook_deliveries').insertMany(deliveries)
+
+    // First attempt right away, failures are left to the retry worker
+    for (const deliveryId of Object.values(result.insertedIds)) {
+      this.attemptDelivery(deliveryId).catch(error => {
+        console.error(`Webhook delivery ${deliveryId} failed:`, error)
+      })
+    }
+
+    return deliveries.length
+  }
+
+  /**
+   * Attempt the deliveries whose retry is due
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async retryDueDeliveries (now = new Date()) {
+    const db = await getDatabase()
+    const due = await db.collection('webhook_deliveries')
+      .find({ status: 'pending', next_attempt_at: { $lte: now } }, { projection: { _id: 1 } })
+      .sort({ next_attempt_at: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .toArray()
+
+    for (const { _id } of due) {
+      await this.attemptDelivery(_id, now)
+    }
+
+    return due.length
+  }
+
+  /**
+   * POST a pending delivery to its endpoint once and record the attempt
+   * @returns {Promise<Object|null>} The updated delivery, null when it isn't due or is taken
+   */
+  async attemptDelivery (deliveryId, now = new Date()) {
+    const db = await getDatabase()
+
+    // Claim the delivery, so the retry worker and the first attempt don't both send it
+    const delivery = await db.collection('webhook_deliveries').findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', next_attempt_at: { $lte: now } },
+      { $set: { next_attempt_at: new Date(now.getTime() + DELIVERY_TIMEOUT_MS * 2) } },
+      { returnDocument: 'after' }
+    )
+    if (!delivery) {
+      return null
+    }
+
+    const endpoint = await db.collection('webhook_endpoints').findOne({ _id: delivery.endpoint_id })
+    if (!endpoint) {
+      return await db.collection('webhook_deliveries').findOneAndUpdate(
+        { _id: delivery._id },
+        { $set: { status: 'failed', next_attempt_at: null } },
+        { returnDocument: 'after' }
+      )
+    }
+
+    const attempt = await this.send(endpoint, delivery)
+    const attemptCount = delivery.attempt_count + 1
+
+    let set
+    if (attempt.success) {
+      set = { status: 'delivered', delivered_at: attempt.at, next_attempt_at: null }
+    } else if (attemptCount >= MAX_DELIVERY_ATTEMPTS) {
+      set = { status: 'failed', next_attempt_at: null }
+    } else {
+      set = { next_attempt_at: new Date(attempt.at.getTime() + this.getRetryDelaySeconds(attemptCount) * 1000) }
+    }
+
+    return await db.collection('webhook_deliveries').findOneAndUpdate(
+      { _id: delivery._id },
+      {
+        $set: { ...set, attempt_count: attemptCount, last_attempt_at: attempt.at },
+        $push: { attempts: attempt }
+      },
+      { returnDocument: 'after' }
+    )
+  }
+
+  /**
+   * POST the delivery payload, signed with the endpoint secret
+   * @returns {Promise<{ at: Date, success: boolean, status_code: number|null, error: string|null, duration_ms: number }>}
+   */
+  async send (endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload)
+    const at = new Date()
+    const timestamp = Math.floor(at.getTime() / 1000)
+
+    try {
+      // Checked again here as DNS answers change, fetch resolves the host once more itself
+      if (!this.allowPrivateNetworks) {
+        await lookupPublicHost(new URL(endpoint.url).hostname.replace(/^\[|\]$/g, ''), { all: true })
+      }
+
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'uma-service-webhooks/1.0',
+          'Webhook-Id': delivery._id.toString(),
+          'Webhook-Event': delivery.event_type,
+          'Webhook-Signature': this.sign(endpoint.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      })
+
+      return {
+        at,
+        success: response.ok,
+        status_code: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+        duration_ms: Date.now() - at.getTime()
+      }
+    } catch (error) {
+      return {
+        at,
+        success: false,
+        status_code: null,
+        error: error.message,
+        duration_ms: Date.now() - at.getTime()
+      }
+    }
+  }
+
+  /**
+   * _id of a domain from an admin URL, webhooks are matched against the ids events carry
+   */
+  async resolveDomainId (domainId) {
+    const domain = await domainService.getDomainById(toObjectId(domainId))
+    if (!domain) {
+      throw new DomainNotFoundError()
+    }
+    return domain._id
+  }
+
+  /**
+   * Webhook-Signature header value for a body
+   * Receivers recompute the HMAC over "<t>.<raw body>" and compare it to v1.
+   */
+  sign (secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+    return `t=${timestamp},v1=${signature}`
+  }
+
+  /**
+   * Delay before the retry following a failed attempt, doubling from RETRY_BASE_DELAY_SECONDS
+   */
+  getRetryDelaySeconds (attemptCount) {
+    return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** (attemptCount - 1), RETRY_MAX_DELAY_SECONDS)
+  }
+
+  validateUrl (url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (error) {
+      throw new InvalidInputError('Webhook URL must be a valid http(s) URL')
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new InvalidInputError('Webhook URL must be a valid http(s) URL')
+    }
+
+    if (!this.allowPrivateNetworks && !isPublicUrl(url, ['http:', 'https:'])) {
+      throw new InvalidInputError('Webhook URL must be on a public host, without credentials')
+    }
+  }
+
+  validateEvents (events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new InvalidInputError('Webhook events must be a non-empty array')
+    }
+
+    const invalid = events.find(event => !WEBHOOK_EVENTS.includes(event))
+    if (invalid !== undefined) {
+      throw new InvalidInputError(`Invalid webhook event "${invalid}". Valid events: ${WEBHOOK_EVENTS.join(', ')}`)
+    }
+  }
+
+  /**
+   * API form of an endpoint, the secret is only shown when it was just created or rotated
+   */
+  formatEndpoint (endpoint, { includeSecret = false } = {}) {
+    return {
+      id: endpoint._id,
+      url: endpoint.url,
+      events: endpoint.events,
+      description: endpoint.description,
+      isActive: endpoint.is_active,
+      ...(includeSecret && { secret: endpoint.secret }),
+      createdAt: endpoint.created_at,
+      updatedAt: endpoint.updated_at
+    }
+  }
+
+  /**
+   * API form of a delivery
+   */
+  formatDelivery (delivery) {
+    return {
+      id: delivery._id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      payload: delivery.payload,
+      status: delivery.status,
+      attemptCount: delivery.attempt_count,
+      attempts: (delivery.attempts || []).map(attempt => ({
+        at: attempt.at,
+        success: attempt.success,
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        durationMs: attempt.duration_ms
+      })),
+      nextAttemptAt: delivery.next_attempt_at,
+      deliveredAt: delivery.delivered_at ?? null,
+      createdAt: delivery.created_at
+    }
+  }
+}
+
+// Event payloads
+
+function formatPaymentEvent (payment) {
+  return {
+    id: payment._id,
+    nonce: payment.nonce,
+    userId: payment.user_id,
+    domainId: payment.domain_id,
+    amountMsats: payment.amount_msats,
+    currency: payment.currency,
+    settlementLayer: payment.settlement_layer,
+    assetIdentifier: payment.asset_identifier,
+    invoiceOrAddress: payment.invoice_or_address,
+    addressTag: payment.address_tag ?? null,
+    comment: payment.comment ?? null,
+    status: payment.status,
+    createdAt: payment.created_at,
+    expiresAt: payment.expires_at,
+    settledAt: payment.settled_at ?? null
+  }
+}
+
+function formatUserEvent (user) {
+  return {
+    id: user._id,
+    username: user.username,
+    domainId: user.domain_id,
+    displayName: user.display_name,
+    isActive: user.is_active
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService()
+
+function dispatchEvent (domainId, type, data) {
+  // Endpoints store the domain's ObjectId, users created through the admin routes keep
+  // the domain ID string they were given
+  Promise.resolve()
+    .then(() => webhookService.dispatch(domainId && toObjectId(domainId), type, data))
+    .catch(error => {
+      console.error(`Failed to dispatch ${type} webhooks:`, error)
+    })
+}
+
+paymentEvents.on('payment.created', ({ payment }) => {
+  dispatchEvent(payment.domain_id, 'payment.created', formatPaymentEvent(payment))
+})
+
+paymentEvents.on('payment.settled', ({ payment }) => {
+  dispatchEvent(payment.domain_id, 'payment.paid', formatPaymentEvent(payment))
+})
+
+paymentEvents.on('payment.status_changed', ({ payment, to }) => {
+  if (to === 'expired') {
+    dispatchEvent(payment.domain_id, 'payment.expired', formatPaymentEvent(payment))
+  }
+})
+
+accountEvents.on('user.created', ({ user }) => {
+  dispatchEvent(user.domain_id, 'user.created', formatUserEvent(user))
+})
+
+accountEvents.on('user.updated', ({ user, changes }) => {
+  dispatchEvent(user.domain_id, 'user.updated', { ...formatUserEvent(user), changes })
+})
+
+accountEvents.on('user.deleted', ({ user }) => {
+  dispatchEvent(user.domain_id, 'user.deleted', formatUserEvent(user))
+})
+
+accountEvents.on('domain.currency_updated', ({ domain, currency, settings }) => {
+  dispatchEvent(domain._id, 'domain.currency_updated', {
+    domainId: domain._id,
+    domain: domain.domain,
+    currency,
+    settings
+  })
+})
+
+/**
+ * Background job retrying failed webhook deliveries once their backoff has passed
+ */
+class WebhookRetryWorker {
+  constructor (intervalSeconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '30', 10)) {
+    this.intervalSeconds = intervalSeconds
+    this.timer = null
+    this.running = false
+  }
+
+  start () {
+    if (this.timer) {
+      return
+    }
+
+    this.timer = setInterval(() => this.run(), this.intervalSeconds * 1000)
+    // Don't keep the process alive for the worker alone
+    this.timer.unref()
+  }
+
+  stop () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  async run () {
+    // Skip when the previous run is still going
+    if (this.running) {
+      return 0
+    }
+
+    this.running = true
+    try {
+      return await webhookService.retryDueDeliveries()
+    } catch (error) {
+      console.error('Webhook retry run failed:', error)
+      return 0
+    } finally {
+      this.running = false
+    }
+  }
+}
+
+const webhookRetryWorker = new WebhookRetryWorker()
+
+module.exports = { webhookService, WebhookService, webhookRetryWorker, WebhookRetryWorker, WEBHOOK_EVENTS }
@@ -0,0 +1,264 @@
+const crypto = require('crypto')
+const WebSocket = require('ws')
+const { schnorr } = require('@noble/curves/secp256k1')
+const { paymentEvents } = require('./events')
+const { paymentService } = require('./payments')
+const { domainService } = require('./domains')
+const { isPublicUrl, lookupPublicAddress } = require('./public-network')
+const { InvalidInputError } = require('../errors')
+
+const ZAP_REQUEST_KIND = 9734
+const ZAP_RECEIPT_KIND = 9735
+
+// Relays a zap receipt is published to at most, taken from the zap request
+const MAX_RELAYS = 10
+
+// Relay URLs come from the payer, see public-network.js
+function isPublicRelayUrl (relayUrl) {
+  return isPublicUrl(relayUrl, ['wss:'])
+}
+
+/**
+ * Publishes nostr events to relays over WebSocket (NIP-01)
+ *
+ * Relay publishers implement publish(relayUrl, event), which resolves once the
+ * relay accepted the event. Tests swap in a local stand-in with setRelayPublisher.
+ */
+class WebSocketRelayPublisher {
+  constructor (timeoutMs = 5000) {
+    this.timeoutMs = timeoutMs
+  }
+
+  publish (relayUrl, event) {
+    if (!isPublicRelayUrl(relayUrl)) {
+      return Promise.reject(new Error(`Relay ${relayUrl} is not a public wss URL`))
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(relayUrl, { lookup: lookupPublicAddress, followRedirects: false })
+
+      const finish = (error) => {
+        clearTimeout(timer)
+        socket.terminate()
+        error ? reject(error) : resolve()
+      }
+
+      const timer = setTimeout(() => finish(new Error(`Relay ${relayUrl} did not answer`)), this.timeoutMs)
+
+      socket.on('open', () => socket.send(JSON.stringify(['EVENT', event])))
+      socket.on('error', finish)
+      socket.on('message', (data) => {
+        let message
+        try {
+          message = JSON.parse(data)
+        } catch (error) {
+          return
+        }
+
+        // ["OK", <event id>, <accepted>, <message>]
+        if (Array.isArray(message) && message[0] === 'OK' && message[1] === event.id) {
+          finish(message[2] ? null : new Error(`Relay ${relayUrl} rejected the event: ${message[3] || 'no reason given'}`))
+        }
+      })
+    })
+  }
+}
+
+/**
+ * Nostr zaps (NIP-57) on Lightning addresses
+ *
+ * Validates zap requests (kind 9734) sent with the pay callback, and once the
+ * invoice is paid signs a zap receipt (kind 9735) with the domain's nostr key and
+ * publishes it to the relays listed in the zap request.
+ */
+class ZapService {
+  constructor () {
+    this.relayPublisher = new WebSocketRelayPublisher()
+  }
+
+  setRelayPublisher (publisher) {
+    this.relayPublisher = publisher
+  }
+
+  /**
+   * Event id: sha256 of the serialized event (NIP-01)
+   */
+  getEventId (event) {
+    const serialized = JSON.stringify([0, event.pubkey, event.created_at, event.kind, event.tags, event.content])
+    return crypto.createHash('sha256').update(serialized, 'utf8').digest('hex')
+  }
+
+  verifyEvent (event) {
+    if (this.getEventId(event) !== event.id) {
+      return false
+    }
+
+    try {
+      return schnorr.verify(event.sig, event.id, event.pubkey)
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Complete and sign an event template with a hex private key
+   */
+  signEvent (template, privateKey) {
+    const event = {
+      ...template,
+      pubkey: Buffer.from(schnorr.getPublicKey(privateKey)).toString('hex')
+    }
+    event.id = this.getEventId(event)
+    event.sig = Buffer.from(schnorr.sign(event.id, privateKey)).toString('hex')
+    return event
+  }
+
+  /**
+   * Parse and validate the `nostr` zap request of a pay callback (NIP-57 appendix D)
+   *
+   * @param {string} encodedZapRequest - JSON of the kind 9734 event, as sent
+   * @param {number} amountMsats - Amount of the callback
+   * @returns {Object} The zap request event
+   */
+  parseZapRequest (encodedZapRequest, amountMsats) {
+    let event
+    try {
+      event = JSON.parse(encodedZapRequest)
+    } catch (error) {
+      throw new InvalidInputError('Invalid zap request: not valid JSON')
+    }
+
+    const isHex = (value, length) => typeof value === 'string' && new RegExp(`^[0-9a-f]{${length}}$`).test(value)
+    if (
+      !event || typeof event !== 'object' ||
+      !isHex(event.id, 64) || !isHex(event.pubkey, 64) || !isHex(event.sig, 128) ||
+      !Number.isInteger(event.created_at) || typeof event.content !== 'string' ||
+      !Array.isArray(event.tags) || !event.tags.every(tag => Array.isArray(tag) && tag.every(value => typeof value === 'string'))
+    ) {
+      throw new InvalidInputError('Invalid zap request: malformed nostr event')
+    }
+
+    if (event.kind !== ZAP_REQUEST_KIND) {
+      throw new InvalidInputError(`Invalid zap request: kind must be ${ZAP_REQUEST_KIND}`)
+    }
+
+    if (!this.verifyEvent(event)) {
+      throw new InvalidInputError('Invalid zap request: bad event id or signature')
+    }
+
+    const tagsNamed = (name) => event.tags.filter(([tagName]) => tagName === name)
+
+    const pTags = tagsNamed('p')
+    if (pTags.length !== 1 || !isHex(pTags[0][1], 64)) {
+      throw new InvalidInputError('Invalid zap request: must have exactly one p tag with a hex pubkey')
+    }
+
+    if (tagsNamed('e').length > 1) {
+      throw new InvalidInputError('Invalid zap request: must have at most one e tag')
+    }
+
+    if (tagsNamed('a').length > 1) {
+      throw new InvalidInputError('Invalid zap request: must have at most one a tag')
+    }
+
+    if (tagsNamed('P').length > 1) {
+      throw new InvalidInputError('Invalid zap request: must have at most one P tag')
+    }
+
+    const amountTag = tagsNamed('amount')[0]
+    if (amountTag && amountTag[1] !== String(amountMsats)) {
+      throw new InvalidInputError('Invalid zap request: amount tag does not match the amount')
+    }
+
+    if (this.getRelays(event).length === 0) {
+      throw new InvalidInputError('Invalid zap request: must list public wss relays to publish the zap receipt to')
+    }
+
+    return event
+  }
+
+  /**
+   * Public wss relays of a zap request's relays tag, others are dropped
+   */
+  getRelays (zapRequest) {
+    const relaysTag = zapRequest.tags.find(([tagName]) => tagName === 'relays') || []
+    const relays = relaysTag.slice(1).filter(isPublicRelayUrl)
+    return [...new Set(relays)].slice(0, MAX_RELAYS)
+  }
+
+  /**
+   * Build and sign the zap receipt (kind 9735) of a paid zap
+   *
+   * @param {Object} payment - Payment request with zap_request, invoice_or_address and settled_at
+   * @param {Object} domain - Domain with a nostr key
+   */
+  buildZapReceipt (payment, domain) {
+    const zapRequest = JSON.parse(payment.zap_request)
+    const copiedTags = zapRequest.tags.filter(([tagName]) => ['p', 'e', 'a'].includes(tagName))
+
+    const tags = [
+      ...copiedTags,
+      ['P', zapRequest.pubkey],
+      ['bolt11', payment.invoice_or_address],
+      ['description', payment.zap_request]
+    ]
+
+    if (payment.preimage) {
+      tags.push(['preimage', payment.preimage])
+    }
+
+    return this.signEvent({
+      kind: ZAP_RECEIPT_KIND,
+      created_at: Math.floor(new Date(payment.settled_at || Date.now()).getTime() / 1000),
+      tags,
+      content: ''
+    }, domain.nostr_private_key)
+  }
+
+  /**
+   * Sign and publish the zap receipt of a settled payment, if it was a zap
+   * Relay failures are logged and recorded, they don't fail the payment.
+   */
+  async publishZapReceipt (payment) {
+    if (!payment.zap_request || payment.zap_receipt) {
+      return null
+    }
+
+    const domain = await domainService.getDomainById(payment.domain_id)
+    if (!domain?.nostr_private_key) {
+      console.warn(`Zaps are disabled for the domain of payment ${payment.nonce}, no zap receipt published`)
+      return null
+    }
+
+    const receipt = this.buildZapReceipt(payment, domain)
+    const relays = this.getRelays(JSON.parse(payment.zap_request))
+
+    const results = await Promise.allSettled(relays.map(relay => this.relayPublisher.publish(relay, receipt)))
+    const publishedTo = relays.filter((relay, index) => results[index].status === 'fulfilled')
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Failed to publish zap receipt ${receipt.id} to ${relays[index]}:`, result.reason)
+      }
+    })
+
+    await paymentService.recordZapReceipt(payment._id, {
+      event: receipt,
+      published_to: publishedTo,
+      published_at: new Date()
+    })
+
+    return receipt
+  }
+}
+
+// Singleton instance
+const zapService = new ZapService()
+
+paymentEvents.on('payment.settled', ({ payment }) => {
+  zapService.publishZapReceipt(payment).catch(error => {
+    console.error(`Failed to publish zap receipt for payment ${payment.nonce}:`, error)
+  })
+})
+
+module.exports = { zapService, ZapService, WebSocketRelayPublisher }
@@ -0,0 +1,275 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const http = require('http')
+const crypto = require('crypto')
+const { test } = require('brittle')
+const { initializeDatabase, closeDatabase, getDatabase } = require('../src/db/database')
+const { paymentService } = require('../src/services/payments')
+const { ChainDepositWatcher } = require('../src/services/chain-watcher')
+const { EvmChainAdapter, SolanaChainAdapter, ERC20_TRANSFER_TOPIC } = require('../src/services/chain-adapters')
+const { createTestUser } = require('./helpers')
+
+const USDT_POLYGON = '0xc2132D05D31c914a87C6611C10748AEb04B58e8F'
+const DAI_POLYGON = '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063'
+const USDT_SOLANA = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+const SENDER = '0x1111111111111111111111111111111111111111'
+
+// JSON-RPC server answering from handlers, one per method
+async function startMockRpc (handlers) {
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body)
+      const response = handlers[method]
+        ? { jsonrpc: '2.0', id, result: handlers[method](...params) }
+        : { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not found` } }
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify(response))
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
+
+// EVM chain with ERC-20 transfer logs, head and block times set by the test
+function evmChain () {
+  const chain = { head: 100, logs: [], blockTime: Math.floor(Date.now() / 1000) }
+
+  chain.transfer = (to, amount, blockNumber, contract = USDT_POLYGON) => {
+    chain.logs.push({
+      address: contract.toLowerCase(),
+      blockNumber: `0x${blockNumber.toString(16)}`,
+      transactionHash: `0x${crypto.randomBytes(32).toString('hex')}`,
+      logIndex: '0x0',
+      data: `0x${BigInt(amount).toString(16).padStart(64, '0')}`,
+      topics: [
+        ERC20_TRANSFER_TOPIC,
+        `0x${SENDER.slice(2).padStart(64, '0')}`,
+        `0x${to.toLowerCase().slice(2).padStart(64, '0')}`
+      ],
+      removed: false
+    })
+  }
+
+  chain.handlers = {
+    eth_blockNumber: () => `0x${chain.head.toString(16)}`,
+    eth_getBlockByNumber: () => ({ timestamp: `0x${chain.blockTime.toString(16)}` }),
+    eth_getLogs: ({ fromBlock, toBlock, topics }) => chain.logs.filter(log =>
+      parseInt(log.blockNumber, 16) >= parseInt(fromBlock, 16) &&
+      parseInt(log.blockNumber, 16) <= parseInt(toBlock, 16) &&
+      topics[2].includes(log.topics[2])
+    )
+  }
+
+  return chain
+}
+
+function randomEvmAddress () {
+  return `0x${crypto.randomBytes(20).toString('hex')}`
+}
+
+async function createOnChainTestPayment (prefix, address, amount, settlementLayer = 'polygon', assetIdentifier = 'USDT_POLYGON') {
+  const { domain, user } = await createTestUser(prefix)
+
+  const nonce = `${prefix}-nonce-${Date.now()}-${Math.random()}`
+  await paymentService.createPaymentRequest(
+    user._id,
+    nonce,
+    amount,
+    'USD',
+    settlementLayer,
+    assetIdentifier,
+    address,
+    3600,
+    { domainId: domain._id }
+  )
+
+  return nonce
+}
+
+test('EvmChainAdapter reports ERC-20 transfers with their confirmations', async (t) => {
+  const chain = evmChain()
+  const rpc = await startMockRpc(chain.handlers)
+
+  try {
+    const address = randomEvmAddress()
+    chain.transfer(address, 1000000, 95)
+    chain.transfer(randomEvmAddress(), 5, 96)
+
+    const adapter = new EvmChainAdapter({
+      layer: 'polygon',
+      rpcUrl: rpc.url,
+      assets: [{ identifier: 'USDT_POLYGON', contract: USDT_POLYGON }],
+      confirmations: 10
+    })
+
+    const { transfers, cursor } = await adapter.scan([address.toUpperCase().replace('0X', '0x')], null)
+    t.is(transfers.length, 1, 'Should only report transfers to the watched addresses')
+    t.is(transfers[0].to, address, 'Should report the recipient')
+    t.is(transfers[0].from, SENDER, 'Should report the sender')
+    t.is(transfers[0].assetIdentifier, 'USDT_POLYGON', 'Should map the contract to the asset')
+    t.is(transfers[0].amount, 1000000n, 'Should report the amount in the smallest unit')
+    t.is(transfers[0].confirmations, 6, 'Should count the confirmations')
+    t.is(transfers[0].final, false, 'Should not be final before 10 confirmations')
+    t.is(cursor, 91, 'Cursor should stop before the blocks that are not final')
+
+    chain.head = 104
+    const rescan = await adapter.scan([address], cursor)
+    t.is(rescan.transfers[0].final, true, 'Should be final once confirmed')
+    t.is(rescan.cursor, 95, 'Cursor should move past the final blocks')
+  } catch (error) {
+    t.fail(`EVM adapter test failed: ${error.message}`)
+  } finally {
+    await rpc.close()
+  }
+})
+
+test('SolanaChainAdapter reports incoming SPL token transfers', async (t) => {
+  const owner = 'DepositOwner1111111111111111111111111111111'
+  const tokenAccount = 'DepositTokenAccount11111111111111111111111'
+  const senderAccount = 'SenderTokenAccount111111111111111111111111'
+  const blockTime = Math.floor(Date.now() / 1000)
+
+  const rpc = await startMockRpc({
+    getSlot: () => 1000,
+    getTokenAccountsByOwner: () => ({
+      value: [{ pubkey: tokenAccount, account: { data: { parsed: { info: { mint: USDT_SOLANA } } } } }]
+    }),
+    getSignaturesForAddress: () => [
+      { signature: 'sig-pending', slot: 990, err: null, blockTime, confirmationStatus: 'confirmed' },
+      { signature: 'sig-final', slot: 900, err: null, blockTime, confirmationStatus: 'finalized' }
+    ],
+    getTransaction: (signature) => ({
+      blockTime,
+      transaction: { message: { accountKeys: [{ pubkey: senderAccount }, { pubkey: tokenAccount }] } },
+      meta: {
+        preTokenBalances: [
+          { accountIndex: 0, mint: USDT_SOLANA, owner: 'Sender', uiTokenAmount: { amount: '9000000' } },
+          { accountIndex: 1, mint: USDT_SOLANA, owner, uiTokenAmount: { amount: '0' } }
+        ],
+        postTokenBalances: [
+          { accountIndex: 0, mint: USDT_SOLANA, owner: 'Sender', uiTokenAmount: { amount: signature === 'sig-final' ? '8000000' : '7500000' } },
+          { accountIndex: 1, mint: USDT_SOLANA, owner, uiTokenAmount: { amount: signature === 'sig-final' ? '1000000' : '1500000' } }
+        ]
+      }
+    })
+  })
+
+  try {
+    const adapter = new SolanaChainAdapter({
+      layer: 'solana',
+      rpcUrl: rpc.url,
+      assets: [{ identifier: 'USDT_SOLANA', mint: USDT_SOLANA }],
+      confirmations: 32
+    })
+
+    const { transfers, cursor } = await adapter.scan([owner], null)
+    t.is(transfers.length, 2, 'Should report both transfers')
+    t.is(transfers[0].txHash, 'sig-final', 'Should report transfers oldest first')
+    t.is(transfers[0].amount, 1000000n, 'Should report the amount received')
+    t.is(transfers[0].from, 'Sender', 'Should report the sender')
+    t.is(transfers[0].to, owner, 'Should report the owner as recipient')
+    t.is(transfers[0].final, true, 'Finalized transfers should be final')
+    t.is(transfers[1].final, false, 'Confirmed transfers should not be final yet')
+    t.is(transfers[1].confirmations, 11, 'Should count the slots since the transfer')
+    t.alike(cursor, { [tokenAccount]: 'sig-final' }, 'Cursor should keep the newest finalized signature')
+  } catch (error) {
+    t.fail(`Solana adapter test failed: ${error.message}`)
+  } finally {
+    await rpc.close()
+  }
+})
+
+test('ChainDepositWatcher marks payment requests paid once their deposit is confirmed', async (t) => {
+  const chain = evmChain()
+  const rpc = await startMockRpc(chain.handlers)
+
+  try {
+    await initializeDatabase()
+    const db = await getDatabase()
+    await db.collection('chain_watcher_cursors').deleteOne({ chain: 'polygon' })
+
+    const address = randomEvmAddress()
+    const first = await createOnChainTestPayment('chainfirst', address, 1000000)
+    const second = await createOnChainTestPayment('chainsecond', address, 1000000)
+    const other = await createOnChainTestPayment('chainother', address, 2500000)
+
+    const watcher = new ChainDepositWatcher([new EvmChainAdapter({
+      layer: 'polygon',
+      rpcUrl: rpc.url,
+      assets: [{ identifier: 'USDT_POLYGON', contract: USDT_POLYGON }],
+      confirmations: 10
+    })])
+
+    chain.transfer(address, 1000000, 98)
+    chain.transfer(address, 999999, 98)
+
+    t.is(await watcher.poll(), 0, 'Should not mark unconfirmed deposits paid')
+
+    const detected = await paymentService.getPaymentRequestByNonce(first)
+    t.is(detected.status, 'pending', 'Should stay pending until confirmed')
+    t.is(detected.deposit.amount, '1000000', 'Should store the deposit')
+    t.is(detected.deposit.confirmations, 3, 'Should track the confirmations')
+
+    chain.head = 110
+    t.is(await watcher.poll(), 1, 'Should mark the confirmed deposit paid')
+
+    const paid = await paymentService.getPaymentRequestByNonce(first)
+    t.is(paid.status, 'paid', 'Oldest matching payment request should be paid')
+    t.is(paid.deposit.confirmations, 13, 'Should update the confirmations')
+    t.ok(paid.settled_at instanceof Date, 'Should set settled_at')
+
+    t.is((await paymentService.getPaymentRequestByNonce(second)).status, 'pending', 'The same deposit should pay one request only')
+    t.is((await paymentService.getPaymentRequestByNonce(other)).deposit, undefined, 'Other amounts should not match')
+
+    t.is(await watcher.poll(), 0, 'Should not pay the deposit twice')
+  } catch (error) {
+    t.fail(`Chain watcher test failed: ${error.message}`)
+  } finally {
+    await rpc.close()
+  }
+})
+
+test('ChainDepositWatcher matches DAI deposits to wei amounts stored as decimal strings', async (t) => {
+  const chain = evmChain()
+  const rpc = await startMockRpc(chain.handlers)
+
+  try {
+    await initializeDatabase()
+    const db = await getDatabase()
+    await db.collection('chain_watcher_cursors').deleteOne({ chain: 'polygon' })
+
+    const address = randomEvmAddress()
+    const nonce = await createOnChainTestPayment('chaindai', address, '10000000000000000001', 'polygon', 'DAI_POLYGON')
+
+    const watcher = new ChainDepositWatcher([new EvmChainAdapter({
+      layer: 'polygon',
+      rpcUrl: rpc.url,
+      assets: [{ identifier: 'DAI_POLYGON', contract: DAI_POLYGON }],
+      confirmations: 10
+    })])
+
+    chain.transfer(address, 10000000000000000000n, 90, DAI_POLYGON)
+    chain.transfer(address, 10000000000000000001n, 90, DAI_POLYGON)
+
+    t.is(await watcher.poll(), 1, 'Should mark the exact deposit paid')
+
+    const paid = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(paid.status, 'paid', 'Should match the wei amount exactly')
+    t.is(paid.deposit.amount, '10000000000000000001', 'Should store the deposit')
+  } catch (error) {
+    t.fail(`DAI chain watcher test failed: ${error.message}`)
+  } finally {
+    await rpc.close()
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
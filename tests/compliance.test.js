@@ -0,0 +1,134 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const { test } = require('brittle')
+const fs = require('fs')
+const os = require('os')
+const { initializeDatabase, closeDatabase, getDatabase } = require('../src/db/database')
+const { complianceService, ComplianceService, DenyListProvider } = require('../src/services/compliance')
+const { umaService } = require('../src/services/uma')
+const { paymentService } = require('../src/services/payments')
+const { createTestUser } = require('./helpers')
+const { UmaError } = require('@uma-sdk/core')
+
+const DENIED_ADDRESS = '0x000000000000000000000000000000000000dEaD'
+const REVIEW_ADDRESS = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+
+function writeDenyList () {
+  const filePath = path.join(os.tmpdir(), `deny-list-${Date.now()}.json`)
+  fs.writeFileSync(filePath, JSON.stringify({
+    deny: {
+      vaspDomains: ['Sanctioned-Vasp.com'],
+      identifiers: ['$mallory@example.com'],
+      addresses: [DENIED_ADDRESS]
+    },
+    review: {
+      addresses: [REVIEW_ADDRESS]
+    }
+  }))
+  return filePath
+}
+
+test('DenyListProvider matches VASP domains, identifiers and addresses', async (t) => {
+  try {
+    const provider = new DenyListProvider(writeDenyList())
+
+    const vasp = await provider.screen({ payerVaspDomain: 'sanctioned-vasp.com', addresses: [] })
+    t.is(vasp.decision, 'deny', 'Should deny a listed VASP domain case-insensitively')
+    t.is(vasp.code, 'COUNTERPARTY_NOT_ALLOWED', 'Should flag the counterparty')
+
+    const payer = await provider.screen({ payerIdentifier: '$mallory@example.com', addresses: [] })
+    t.is(payer.decision, 'deny', 'Should deny a listed payer')
+
+    const address = await provider.screen({ addresses: [DENIED_ADDRESS.toLowerCase()] })
+    t.is(address.decision, 'deny', 'Should deny a listed address')
+
+    const review = await provider.screen({ addresses: [REVIEW_ADDRESS] })
+    t.is(review.decision, 'review', 'Should flag review-listed addresses')
+
+    const clean = await provider.screen({ payerIdentifier: '$alice@example.com', addresses: ['0xabc'] })
+    t.is(clean.decision, 'allow', 'Should allow unlisted payers')
+  } catch (error) {
+    t.fail(`Deny list provider test failed: ${error.message}`)
+  }
+})
+
+test('screenPayment keeps the strictest decision and denies on provider errors', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const service = new ComplianceService()
+    service.registerProvider({ name: 'allow-all', screen: async () => ({ decision: 'allow' }) })
+    service.registerProvider({ name: 'flagger', screen: async () => ({ decision: 'review', reason: 'Manual check' }) })
+
+    const nonce = `screening-${Date.now()}`
+    const screening = await service.screenPayment({ nonce, userId: 'user', domainId: 'domain', addresses: ['0xabc'] })
+    t.is(screening.decision, 'review', 'Review should win over allow')
+    t.is(screening.results.length, 2, 'Should keep every provider result')
+
+    const db = await getDatabase()
+    const recorded = await db.collection('compliance_screenings').findOne({ nonce })
+    t.is(recorded.decision, 'review', 'Decision should be recorded')
+
+    service.registerProvider({ name: 'broken', screen: async () => { throw new Error('list unavailable') } })
+    const failed = await service.screenPayment({ nonce: `${nonce}-2`, userId: 'user', domainId: 'domain', addresses: ['0xabc'] })
+    t.is(failed.decision, 'deny', 'A failing provider should deny')
+  } catch (error) {
+    t.fail(`Screening aggregation test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse rejects denied payments and records the decision on allowed ones', async (t) => {
+  const provider = new DenyListProvider(writeDenyList())
+  complianceService.registerProvider(provider)
+
+  try {
+    await initializeDatabase()
+
+    const denied = await createTestUser('compliancedeny', { addresses: { polygon: DENIED_ADDRESS } })
+    const deniedNonce = `compliance-deny-${Date.now()}`
+
+    try {
+      await umaService.generatePayResponse(
+        denied.user.username,
+        denied.domain,
+        10000,
+        deniedNonce,
+        'USD',
+        'polygon',
+        'USDT_POLYGON'
+      )
+      t.fail('Should reject a payment to a denied address')
+    } catch (error) {
+      t.ok(error instanceof UmaError, 'Should throw an UmaError')
+      t.is(error.code, 'FORBIDDEN', 'Should map the provider code')
+    }
+
+    t.absent(await paymentService.getPaymentRequestByNonce(deniedNonce), 'No payment should be stored')
+
+    const flagged = await createTestUser('compliancereview', { addresses: { polygon: REVIEW_ADDRESS } })
+    const reviewNonce = `compliance-review-${Date.now()}`
+
+    const response = await umaService.generatePayResponse(
+      flagged.user.username,
+      flagged.domain,
+      10000,
+      reviewNonce,
+      'USD',
+      'polygon',
+      'USDT_POLYGON'
+    )
+    t.is(response.pr, REVIEW_ADDRESS, 'Review decisions should not block the payment')
+
+    const payment = await paymentService.getPaymentRequestByNonce(reviewNonce)
+    t.is(payment.compliance.decision, 'review', 'Decision should be stored on the payment')
+  } catch (error) {
+    t.fail(`Compliance pay response test failed: ${error.message}`)
+  } finally {
+    complianceService.providers.splice(complianceService.providers.indexOf(provider), 1)
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
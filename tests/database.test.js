@@ -11,7 +11,7 @@ test('database initialization creates all collections', async (t) => {
     const collections = await db.listCollections().toArray()
     const collectionNames = collections.map(col => col.name)
 
-    const expectedCollections = ['domains', 'users', 'chain_addresses', 'payment_requests', 'audit_log']
+    const expectedCollections = ['domains', 'users', 'chain_addresses', 'payment_requests', 'audit_log', 'uma_nonces', 'compliance_screenings']
     for (const collection of expectedCollections) {
       t.ok(collectionNames.includes(collection), `Collection '${collection}' should exist`)
     }
@@ -133,7 +133,7 @@ test('initializeDatabase handles existing collections', async (t) => {
     const collections = await db.listCollections().toArray()
     const collectionNames = collections.map(col => col.name)
 
-    const expectedCollections = ['domains', 'users', 'chain_addresses', 'payment_requests', 'audit_log']
+    const expectedCollections = ['domains', 'users', 'chain_addresses', 'payment_requests', 'audit_log', 'uma_nonces', 'compliance_screenings']
     for (const collection of expectedCollections) {
       t.ok(collectionNames.includes(collection), `Collection '${collection}' should exist`)
     }
@@ -0,0 +1,90 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const { test } = require('brittle')
+const { closeDatabase } = require('../src/db/database')
+const { depositAddressService } = require('../src/services/deposit-addresses')
+const { umaService } = require('../src/services/uma')
+const { paymentService } = require('../src/services/payments')
+const { userService } = require('../src/services/users')
+const { domainService } = require('../src/services/domains')
+const { createTestUser } = require('./helpers')
+const { InvalidInputError } = require('../src/errors')
+
+// Account key m/44'/60'/0' of the well-known development mnemonic
+// "test test test test test test test test test test test junk"
+const XPUB = 'xpub6Ce9NcJvTk36xtLSrJLZqE7wtgA5deCeYs7rSQtreh4cj6ByPtrg9sD7V2FNFLPnf8heNP3FGkeV9qwfzvZNSd54JoNXVsXFYSYwHsnJxqP'
+const ADDRESS_0 = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'
+const ADDRESS_1 = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+
+const STATIC_ADDRESS = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+
+test('deriveAddress derives checksummed EVM addresses from an xpub', async (t) => {
+  t.is(depositAddressService.deriveAddress(XPUB, '0/0'), ADDRESS_0, 'Should derive m/44\'/60\'/0\'/0/0')
+  t.is(depositAddressService.deriveAddress(XPUB, '0/1'), ADDRESS_1, 'Should derive m/44\'/60\'/0\'/0/1')
+})
+
+test('normalizeWallet rejects invalid deposit wallets', async (t) => {
+  const invalid = [
+    [{ xpub: 'xpub123' }, 'Invalid deposit wallet xpub'],
+    [{ xpub: `${XPUB.slice(0, -1)}Q` }, 'Invalid deposit wallet xpub'],
+    [{ xpub: XPUB, path: '0/5' }, '{index}'],
+    [{ xpub: XPUB, path: '2147483648/{index}' }, 'non-hardened'],
+    [{ xpub: XPUB, path: "0'/{index}" }, 'non-hardened'],
+    [{ xpub: XPUB, layers: ['solana'] }, 'Invalid deposit wallet layer']
+  ]
+
+  for (const [wallet, expected] of invalid) {
+    try {
+      depositAddressService.normalizeWallet(wallet)
+      t.fail(`Should reject ${JSON.stringify(wallet)}`)
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError && error.message.includes(expected), `Should reject with "${expected}"`)
+    }
+  }
+
+  const current = { xpub: XPUB, path: '0/{index}', layers: null, next_index: 7 }
+  t.is(depositAddressService.normalizeWallet({ xpub: XPUB, layers: ['polygon'] }, current).next_index, 7, 'Same key should keep its index')
+  t.is(depositAddressService.normalizeWallet({ xpub: XPUB, path: '1/{index}' }, current).next_index, 0, 'Another path should start over')
+  t.is(depositAddressService.normalizeWallet(null), null, 'null should remove the wallet')
+})
+
+test('pay responses hand out a fresh derived address per payment', async (t) => {
+  try {
+    const { domain: createdDomain, user } = await createTestUser('hd', {
+      addresses: { polygon: STATIC_ADDRESS, ethereum: STATIC_ADDRESS }
+    })
+
+    const domain = await domainService.updateDepositWallet(createdDomain._id, { xpub: XPUB, layers: ['polygon'] })
+    t.is(domain.deposit_wallet.next_index, 0, 'Should start at index 0')
+
+    const pay = (nonce, settlementLayer, assetIdentifier) => umaService.generatePayResponse(
+      user.username, domain, 1000000, nonce, 'USD', settlementLayer, assetIdentifier
+    )
+
+    const firstNonce = `hd-first-${Date.now()}`
+    const first = await pay(firstNonce, 'polygon', 'USDT_POLYGON')
+    const second = await pay(`hd-second-${Date.now()}`, 'polygon', 'USDT_POLYGON')
+    t.is(first.pr, ADDRESS_0, 'First payment should get index 0')
+    t.is(second.pr, ADDRESS_1, 'Second payment should get index 1')
+
+    const payment = await paymentService.getPaymentRequestByNonce(firstNonce)
+    t.is(payment.invoice_or_address, ADDRESS_0, 'Payment request should record the derived address')
+    t.alike(payment.deposit_address, { address: ADDRESS_0, path: '0/0', index: 0, source: 'domain' }, 'Payment request should record where it was derived from')
+
+    const ethereum = await pay(`hd-ethereum-${Date.now()}`, 'ethereum', 'USDT_ETHEREUM')
+    t.is(ethereum.pr, STATIC_ADDRESS, 'Layers without a deposit wallet should keep the static address')
+
+    const updatedUser = await userService.updateUser(user._id, { depositWallet: { xpub: XPUB, path: '1/{index}' } })
+    t.is(updatedUser.deposit_wallet.next_index, 0, 'User wallet should have its own index')
+
+    const override = await pay(`hd-user-${Date.now()}`, 'polygon', 'USDT_POLYGON')
+    t.is(override.pr, depositAddressService.deriveAddress(XPUB, '1/0'), 'User wallet should win over the domain\'s')
+  } catch (error) {
+    t.fail(`Derived address pay response test failed: ${error.message}`)
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
@@ -3,6 +3,7 @@ require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
 const { test } = require('brittle')
 const { initializeDatabase, closeDatabase } = require('../src/db/database')
 const { domainService } = require('../src/services/domains')
+const { UmaKeyConflictError } = require('../src/errors')
 
 test('createDomain creates new domain successfully', async (t) => {
   try {
@@ -510,6 +511,173 @@ test('updateCurrencySettings throws error when minSendable > maxSendable', async
   }
 })
 
+test('createDomain generates an active UMA key', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `umakeys${Date.now()}.com`
+    const createResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    const activeKey = domainService.getActiveUmaKey(createResult.domain)
+    t.ok(activeKey, 'New domain should have an active UMA key')
+
+    const pubKeyResponse = domainService.getUmaPubKeyResponse(createResult.domain)
+    t.is(pubKeyResponse.signingPubKey, activeKey.signing_public_key, 'Should publish the active signing key')
+    t.is(pubKeyResponse.encryptionPubKey, activeKey.encryption_public_key, 'Should publish the active encryption key')
+    t.absent(pubKeyResponse.signingPrivateKey, 'Should not publish private keys')
+
+    try {
+      await domainService.generateUmaKeys(createResult.domain._id)
+      t.fail('Should not generate keys when an active key exists')
+    } catch (error) {
+      t.ok(error.message.includes('already has UMA keys'), 'Should ask to rotate instead')
+    }
+  } catch (error) {
+    t.fail(`UMA key generation test failed: ${error.message}`)
+  }
+})
+
+test('rotateUmaKeys keeps the old key published until the grace period ends', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `umarotate${Date.now()}.com`
+    const createResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const originalKey = domainService.getActiveUmaKey(createResult.domain)
+
+    const rotated = await domainService.rotateUmaKeys(createResult.domain._id, { gracePeriodSeconds: 3600 })
+
+    t.is(rotated.uma_keys.length, 2, 'Should add a new key')
+    t.is(domainService.getActiveUmaKey(rotated).key_id, originalKey.key_id, 'Old key should stay active during grace period')
+
+    const pubKeyResponse = domainService.getUmaPubKeyResponse(rotated)
+    t.ok(pubKeyResponse.expirationTimestamp > Date.now() / 1000, 'Should publish an expiration timestamp')
+
+    const afterGrace = new Date(Date.now() + 3601 * 1000)
+    const nextKey = domainService.getActiveUmaKey(rotated, afterGrace)
+    t.not(nextKey.key_id, originalKey.key_id, 'New key should take over after the grace period')
+  } catch (error) {
+    t.fail(`UMA key rotation test failed: ${error.message}`)
+  }
+})
+
+test('retireUmaKey promotes the pending key', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `umaretire${Date.now()}.com`
+    const createResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const originalKey = domainService.getActiveUmaKey(createResult.domain)
+
+    await domainService.rotateUmaKeys(createResult.domain._id, { gracePeriodSeconds: 3600 })
+    const retired = await domainService.retireUmaKey(createResult.domain._id, originalKey.key_id)
+
+    const activeKey = domainService.getActiveUmaKey(retired)
+    t.ok(activeKey, 'A key should still be active')
+    t.not(activeKey.key_id, originalKey.key_id, 'Pending key should take over immediately')
+
+    try {
+      await domainService.retireUmaKey(createResult.domain._id, originalKey.key_id)
+      t.fail('Should not retire a key twice')
+    } catch (error) {
+      t.ok(error.message.includes('already retired'), 'Should reject retiring twice')
+    }
+  } catch (error) {
+    t.fail(`UMA key retirement test failed: ${error.message}`)
+  }
+})
+
+test('retireUmaKey keeps the only usable key', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `umalastkey${Date.now()}.com`
+    const createResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const onlyKey = domainService.getActiveUmaKey(createResult.domain)
+
+    try {
+      await domainService.retireUmaKey(createResult.domain._id, onlyKey.key_id)
+      t.fail('Should not retire the only usable key')
+    } catch (error) {
+      t.ok(error instanceof UmaKeyConflictError, 'Should throw UmaKeyConflictError')
+    }
+
+    const domain = await domainService.getDomainById(createResult.domain._id)
+    t.is(domainService.getActiveUmaKey(domain)?.key_id, onlyKey.key_id, 'The key should stay active')
+  } catch (error) {
+    t.fail(`UMA last key test failed: ${error.message}`)
+  }
+})
+
+test('updatePayerDataRequirements merges requirements into domain', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `payerdata${Date.now()}.com`
+    const createResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    t.is(createResult.domain.payer_data_requirements.name, false, 'Name should be optional by default')
+
+    await domainService.updatePayerDataRequirements(createResult.domain._id, { name: true })
+    const updated = await domainService.updatePayerDataRequirements(createResult.domain._id, { identifier: true })
+
+    t.is(updated.payer_data_requirements.name, true, 'Earlier requirement should be kept')
+    t.is(updated.payer_data_requirements.identifier, true, 'Identifier should be mandatory')
+    t.is(updated.payer_data_requirements.email, false, 'Email should stay optional')
+  } catch (error) {
+    t.fail(`Payer data requirements test failed: ${error.message}`)
+  }
+})
+
+test('updatePayerDataRequirements rejects unknown fields and non-boolean values', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `payerdatainvalid${Date.now()}.com`
+    const createResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    try {
+      await domainService.updatePayerDataRequirements(createResult.domain._id, { phone: true })
+      t.fail('Should throw error for unknown field')
+    } catch (error) {
+      t.ok(error.message.includes('Invalid payer data field'), 'Should throw invalid field error')
+    }
+
+    try {
+      await domainService.updatePayerDataRequirements(createResult.domain._id, { email: 'yes' })
+      t.fail('Should throw error for non-boolean value')
+    } catch (error) {
+      t.ok(error.message.includes('must be a boolean'), 'Should throw boolean error')
+    }
+  } catch (error) {
+    t.fail(`Invalid payer data requirements test failed: ${error.message}`)
+  }
+})
+
 test('cleanup - close database connection', async (t) => {
   await closeDatabase()
   t.pass('Database connection closed')
@@ -0,0 +1,123 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const { test } = require('brittle')
+const { closeDatabase } = require('../src/db/database')
+const { feeService } = require('../src/services/fees')
+const { umaService } = require('../src/services/uma')
+const { marketRates } = require('../src/services/market-rates')
+const { domainService } = require('../src/services/domains')
+const { InvalidInputError } = require('../src/errors')
+const { createTestUser } = require('./helpers')
+
+const POLYGON_ADDRESS = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+
+const domain = {
+  fee_schedules: feeService.normalizeSchedules([
+    { settlementLayer: 'polygon', currency: 'USD', fixed: 10, percentage: 1, min: 15, max: 500 },
+    { settlementLayer: 'polygon', percentage: 0.5 },
+    { currency: 'USD', fixed: 5 },
+    { percentage: 2 }
+  ])
+}
+
+test('findSchedule picks the most specific schedule', async (t) => {
+  t.is(feeService.findSchedule(domain, 'polygon', 'USD').fixed, 10, 'Layer and currency should win')
+  t.is(feeService.findSchedule(domain, 'polygon', 'BTC').percentage, 0.5, 'Layer should win over currency')
+  t.is(feeService.findSchedule(domain, 'ln', 'USD').fixed, 5, 'Currency should win over the catch-all')
+  t.is(feeService.findSchedule(domain, 'ln', 'BTC').percentage, 2, 'Catch-all should match the rest')
+  t.is(feeService.findSchedule({}, 'ln', 'USD'), null, 'Domains without schedules charge no fee')
+})
+
+test('calculateFee applies fixed, percentage and caps', async (t) => {
+  const schedule = feeService.findSchedule(domain, 'polygon', 'USD')
+
+  t.is(feeService.calculateFee(schedule, 1000), 20, 'Should be fixed plus percentage')
+  t.is(feeService.calculateFee(schedule, 100), 15, 'Should apply the minimum')
+  t.is(feeService.calculateFee(schedule, 100000), 500, 'Should apply the maximum')
+  t.is(feeService.calculateFee(null, 1000), 0, 'No schedule should be free')
+
+  for (const receivingAmount of [100, 1000, 100000]) {
+    const sent = receivingAmount + feeService.calculateFee(schedule, receivingAmount)
+    t.is(feeService.calculateIncludedFee(schedule, sent), sent - receivingAmount, `Included fee should match for ${receivingAmount}`)
+  }
+})
+
+test('normalizeSchedules rejects invalid schedules', async (t) => {
+  const invalid = [
+    [{ feeSchedules: 'free' }, 'must be an array'],
+    [[{ settlementLayer: 'tron' }], 'Invalid fee schedule settlement layer'],
+    [[{ currency: 'EUR' }], 'Invalid fee schedule currency'],
+    [[{ percentage: 100 }], 'percentage'],
+    [[{ fixed: -1 }], 'fixed'],
+    [[{ min: 10, max: 5 }], 'max'],
+    [[{ currency: 'USD' }, { currency: 'USD', fixed: 1 }], 'unique']
+  ]
+
+  for (const [schedules, expected] of invalid) {
+    try {
+      feeService.normalizeSchedules(schedules)
+      t.fail(`Should reject ${JSON.stringify(schedules)}`)
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Should be an invalid input error')
+      t.ok(error.message.includes(expected), `Should reject with "${expected}"`)
+    }
+  }
+
+  t.alike(feeService.normalizeSchedules(null), [], 'null should remove all fees')
+})
+
+test('lookup multipliers include the percentage fee', async (t) => {
+  try {
+    const { USD: multiplier } = await marketRates.calculateMultipliers('USDT', ['USD'])
+    const settlementOptions = await umaService.buildSettlementOptions({ polygon: { address: POLYGON_ADDRESS } }, ['USD'], null, domain)
+
+    t.is(settlementOptions[0].assets[0].multipliers.USD, Math.round(multiplier * 1.01), 'Should include the 1% fee')
+  } catch (error) {
+    t.fail(`Lookup multiplier test failed: ${error.message}`)
+  }
+})
+
+test('pay responses charge the domain fee schedule', async (t) => {
+  try {
+    const { domain, user } = await createTestUser('fees', { addresses: { polygon: POLYGON_ADDRESS } })
+
+    const updatedDomain = await domainService.updateFeeSchedules(domain._id, [
+      { settlementLayer: 'polygon', currency: 'USD', fixed: 10, percentage: 1 }
+    ])
+    t.is(updatedDomain.fee_schedules.length, 1, 'Domain should store the fee schedule')
+
+    const response = await umaService.generatePayResponse(
+      user.username,
+      updatedDomain,
+      1000,
+      `fees-${Date.now()}`,
+      'USD',
+      'polygon',
+      'USDT_POLYGON',
+      { amountCurrency: 'USD' }
+    )
+
+    const { multiplier } = response.converted
+    t.is(response.converted.amount, '1000', 'Receiver should get the requested amount')
+    t.is(response.converted.fee, 20 * multiplier, 'Fee should be 10 cents plus 1%, in micro-USDT')
+
+    const payment = await umaService.generatePayResponse(
+      user.username,
+      updatedDomain,
+      1020 * multiplier,
+      `fees-sent-${Date.now()}`,
+      'USD',
+      'polygon',
+      'USDT_POLYGON'
+    )
+    t.is(payment.converted.fee, 20 * multiplier, 'Fee should be taken out of sent amounts')
+    t.is(payment.converted.amount, '1000', 'Receiver should get the sent amount less the fee')
+  } catch (error) {
+    t.fail(`Fee pay response test failed: ${error.message}`)
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
@@ -0,0 +1,37 @@
+const { initializeDatabase } = require('../src/db/database')
+const { userService } = require('../src/services/users')
+const { domainService } = require('../src/services/domains')
+
+// Shared fixtures for the service tests, names are made unique with the prefix and a timestamp
+
+async function createTestDomain (prefix) {
+  await initializeDatabase()
+
+  const testDomain = `${prefix}${Date.now()}.com`
+  const domainResult = await domainService.createDomain({
+    domain: testDomain,
+    ownerEmail: `admin@${testDomain}`,
+    isDefault: false
+  })
+
+  return domainResult.domain
+}
+
+// Creates a domain with one user, extra user fields (addresses, sparkPublicKey, ...) are passed through
+async function createTestUser (prefix, userData = {}) {
+  const domain = await createTestDomain(prefix)
+
+  const user = await userService.createUser({
+    username: `testuser_${Date.now()}`,
+    domainId: domain._id,
+    displayName: 'Test User',
+    ...userData
+  })
+
+  return { domain, user }
+}
+
+module.exports = {
+  createTestDomain,
+  createTestUser
+}
@@ -0,0 +1,213 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const { test } = require('brittle')
+const { closeDatabase } = require('../src/db/database')
+const { lnurlService } = require('../src/services/lnurl')
+const { umaService } = require('../src/services/uma')
+const { domainService } = require('../src/services/domains')
+const { paymentService } = require('../src/services/payments')
+const { InMemorySparkWalletAdapter } = require('../src/services/spark-wallet')
+const { createTestUser } = require('./helpers')
+const { InvalidInputError, PaymentNotFoundError, UserNotReadyError } = require('../src/errors')
+const { randomBytes } = require('crypto')
+
+function createLightningUser (prefix, sparkPublicKey = '02' + 'ab'.repeat(32)) {
+  return createTestUser(prefix, { sparkPublicKey })
+}
+
+function createTestInvoice () {
+  return {
+    encodedInvoice: `lnbc100n1pjtest${Date.now()}`,
+    paymentHash: randomBytes(32).toString('hex'),
+    receiveRequestId: `receive-${Date.now()}`
+  }
+}
+
+// Invoices come from the Spark wallet, which is not reachable from tests
+async function withTestInvoice (invoice, fn) {
+  const generateLightningInvoice = umaService.generateLightningInvoice
+  umaService.generateLightningInvoice = async () => invoice
+  try {
+    return await fn()
+  } finally {
+    umaService.generateLightningInvoice = generateLightningInvoice
+  }
+}
+
+test('isPlainLnurlRequest detects non-UMA callers', async (t) => {
+  t.ok(lnurlService.isPlainLnurlRequest({}), 'Bare lookup should be plain LNURL')
+  t.ok(lnurlService.isPlainLnurlRequest({ amount: '10000', comment: 'hi' }), 'Msat callback should be plain LNURL')
+  t.absent(lnurlService.isPlainLnurlRequest({ amount: '1000.USD' }), 'Currency amounts are UMA-only')
+  t.absent(lnurlService.isPlainLnurlRequest({ amount: '10000', settlementLayer: 'polygon' }), 'Settlement selection is UMA-only')
+  t.absent(lnurlService.isPlainLnurlRequest({ umaVersion: '1.0', vaspDomain: 'vasp.com' }), 'Signed lookups are UMA')
+})
+
+test('generateLookupResponse returns a LUD-06/LUD-16 response', async (t) => {
+  try {
+    const { domain, user } = await createLightningUser('lnurllookup')
+
+    const response = await lnurlService.generateLookupResponse(user.username, domain)
+
+    t.is(response.tag, 'payRequest', 'Should be a payRequest')
+    t.ok(response.callback.endsWith(`/.well-known/lnurlp/${user.username}`), 'Should point the callback at the lnurlp route')
+    t.is(response.minSendable, 1000, 'Should include minSendable')
+    t.is(response.maxSendable, 100000000, 'Should include maxSendable')
+    t.ok(JSON.parse(response.metadata).some(([type, value]) => type === 'text/identifier' && value === `${user.username}@${domain.domain}`), 'Metadata should carry the address (LUD-16)')
+    t.is(response.commentAllowed, 255, 'Should advertise comments (LUD-12)')
+    t.alike(Object.keys(response.payerData), ['name', 'email', 'identifier'], 'Should advertise LUD-18 payer data without compliance')
+    t.absent(response.umaVersion, 'Should not include umaVersion')
+    t.absent(response.currencies, 'Should not include currencies')
+    t.absent(response.settlementOptions, 'Should not include settlement options')
+
+    t.is(await lnurlService.generateLookupResponse('nonexistent', domain), null, 'Unknown users should return null')
+  } catch (error) {
+    t.fail(`LNURL lookup test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse returns only LNURL fields and stores the payment', async (t) => {
+  try {
+    const { domain, user } = await createLightningUser('lnurlpay')
+    const nonce = `lnurl-pay-${Date.now()}`
+    const invoice = createTestInvoice()
+
+    const response = await withTestInvoice(invoice, () => lnurlService.generatePayResponse(
+      user.username,
+      domain,
+      10000,
+      nonce,
+      { payerData: { name: 'Alice' }, comment: 'Thanks!' }
+    ))
+
+    t.is(response.pr, invoice.encodedInvoice, 'Should return the invoice')
+    t.alike(response.routes, [], 'Should return empty routes')
+    t.ok(response.verify.endsWith(`/lnurlp/verify/${invoice.paymentHash}`), 'Should include the LUD-21 verify URL')
+    t.absent(response.converted, 'Should not include converted')
+    t.absent(response.settlement, 'Should not include settlement')
+    t.absent(response.payeeData, 'Should not include payee data')
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.amount_msats, 10000, 'Should store the amount')
+    t.is(payment.comment, 'Thanks!', 'Should store the comment')
+    t.is(payment.payer_data.name, 'Alice', 'Should store the payer data')
+    t.is(payment.payment_hash, invoice.paymentHash, 'Should store the payment hash')
+  } catch (error) {
+    t.fail(`LNURL pay test failed: ${error.message}`)
+  }
+})
+
+test('sub-addresses carry their tag through the callback to the payment', async (t) => {
+  try {
+    const { domain, user } = await createLightningUser('lnurltag')
+    const address = `${user.username}+order123`
+
+    const lookup = await lnurlService.generateLookupResponse(address, domain)
+    t.ok(lookup.callback.endsWith(`/.well-known/lnurlp/${address}`), 'Callback should keep the tag')
+    t.ok(JSON.parse(lookup.metadata).some(([type, value]) => type === 'text/identifier' && value === `${address}@${domain.domain}`), 'Metadata should carry the tagged address')
+
+    const nonce = `lnurl-tag-${Date.now()}`
+    await withTestInvoice(createTestInvoice(), () => lnurlService.generatePayResponse(address, domain, 10000, nonce))
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.address_tag, 'order123', 'Should store the tag on the payment')
+    t.is(payment.user_id.toString(), user._id.toString(), 'Should pay the tagged user')
+
+    const tagged = await paymentService.getPaymentRequestsByUserId(user._id, { addressTag: 'order123' })
+    t.alike(tagged.map(({ nonce }) => nonce), [nonce], 'Should list payments by tag')
+  } catch (error) {
+    t.fail(`Sub-address test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse enforces amount bounds and payer data', async (t) => {
+  try {
+    const { domain, user } = await createLightningUser('lnurlbounds')
+
+    try {
+      await lnurlService.generatePayResponse(user.username, domain, 1, `lnurl-low-${Date.now()}`)
+      t.fail('Should reject amounts below minSendable')
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Should throw InvalidInputError')
+    }
+
+    try {
+      await lnurlService.generatePayResponse(user.username, domain, 10500, `lnurl-subsat-${Date.now()}`)
+      t.fail('Should reject sub-sat amounts')
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Sub-sat amounts should throw InvalidInputError')
+    }
+
+    const updatedDomain = await domainService.updatePayerDataRequirements(domain._id, { name: true })
+
+    try {
+      await lnurlService.generatePayResponse(user.username, updatedDomain, 10000, `lnurl-payer-${Date.now()}`)
+      t.fail('Should reject missing mandatory payer data')
+    } catch (error) {
+      t.is(error.code, 'MISSING_MANDATORY_PAYER_DATA', 'Should report missing payer data')
+    }
+  } catch (error) {
+    t.fail(`LNURL bounds test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse requires a Spark public key', async (t) => {
+  try {
+    const { domain, user } = await createLightningUser('lnurlnospark', null)
+
+    try {
+      await lnurlService.generatePayResponse(user.username, domain, 10000, `lnurl-nospark-${Date.now()}`)
+      t.fail('Should reject users without a Spark public key')
+    } catch (error) {
+      t.ok(error instanceof UserNotReadyError, 'Should throw UserNotReadyError')
+    }
+  } catch (error) {
+    t.fail(`LNURL Spark key test failed: ${error.message}`)
+  }
+})
+
+test('verifyPayment reports settlement and the preimage', async (t) => {
+  const walletAdapter = lnurlService.walletAdapter
+  const wallet = new InMemorySparkWalletAdapter()
+  lnurlService.setWalletAdapter(wallet)
+
+  try {
+    const { domain, user } = await createLightningUser('lnurlverify')
+    const invoice = createTestInvoice()
+    const nonce = `lnurl-verify-${Date.now()}`
+
+    await withTestInvoice(invoice, () => lnurlService.generatePayResponse(user.username, domain, 10000, nonce))
+
+    const pending = await lnurlService.verifyPayment(invoice.paymentHash)
+    t.is(pending.settled, false, 'Unpaid invoice should not be settled')
+    t.is(pending.preimage, null, 'Unpaid invoice should have no preimage')
+    t.is(pending.pr, invoice.encodedInvoice, 'Should return the invoice')
+
+    const preimage = randomBytes(32).toString('hex')
+    const settledAt = new Date('2026-01-01T00:00:00Z')
+    wallet.settle(invoice.receiveRequestId, { amountMsats: 10000, preimage, settledAt })
+    const settled = await lnurlService.verifyPayment(invoice.paymentHash)
+    t.is(settled.settled, true, 'Paid invoice should be settled')
+    t.is(settled.preimage, preimage, 'Should return the preimage')
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.status, 'paid', 'Payment should be marked paid')
+    t.is(payment.received_amount_msats, 10000, 'Should record the received amount')
+    t.is(payment.settled_at.getTime(), settledAt.getTime(), 'Should record when Spark settled it')
+
+    try {
+      await lnurlService.verifyPayment(randomBytes(32).toString('hex'))
+      t.fail('Should reject unknown payment hashes')
+    } catch (error) {
+      t.ok(error instanceof PaymentNotFoundError, 'Should throw PaymentNotFoundError')
+    }
+  } catch (error) {
+    t.fail(`LUD-21 verify test failed: ${error.message}`)
+  } finally {
+    lnurlService.setWalletAdapter(walletAdapter)
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
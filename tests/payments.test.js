@@ -5,6 +5,10 @@ const { initializeDatabase, closeDatabase } = require('../src/db/database')
 const { paymentService } = require('../src/services/payments')
 const { userService } = require('../src/services/users')
 const { domainService } = require('../src/services/domains')
+const { paymentEvents } = require('../src/services/events')
+const { InvalidInputError, InvalidPaymentTransitionError, PaymentNotFoundError } = require('../src/errors')
+const { getDatabase } = require('../src/db/database')
+const { ObjectId } = require('mongodb')
 
 const testRunId = Date.now()
 
@@ -53,6 +57,53 @@ test('createPaymentRequest creates payment request successfully', async (t) => {
   }
 })
 
+test('createPaymentRequest stores the comment and emits payment.created', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `paycomment${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    const userResult = await userService.createUser({
+      username: `testuser_${Date.now()}`,
+      domainId: domainResult.domain._id,
+      displayName: 'Test User'
+    })
+
+    const events = []
+    const onCreated = (event) => events.push(event)
+    paymentEvents.on('payment.created', onCreated)
+
+    const nonce = `test-nonce-comment-${testRunId}`
+    const paymentId = await paymentService.createPaymentRequest(
+      userResult._id,
+      nonce,
+      10000,
+      'USD',
+      'polygon',
+      'USDT_POLYGON',
+      '0x123456789abcdef',
+      3600,
+      { comment: 'Thanks for lunch' }
+    )
+
+    paymentEvents.off('payment.created', onCreated)
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.comment, 'Thanks for lunch', 'Comment should be stored')
+
+    t.is(events.length, 1, 'Should emit one payment.created event')
+    t.is(events[0].payment._id.toString(), paymentId.toString(), 'Event should carry the payment')
+    t.is(events[0].payment.comment, 'Thanks for lunch', 'Event should carry the comment')
+  } catch (error) {
+    t.fail(`Payment comment test failed: ${error.message}`)
+  }
+})
+
 test('createPaymentRequest handles duplicate nonce', async (t) => {
   try {
     await initializeDatabase()
@@ -246,11 +297,11 @@ test('updatePaymentStatus updates payment status', async (t) => {
     )
 
     // Update status
-    await paymentService.updatePaymentStatus(paymentId, 'completed')
+    await paymentService.updatePaymentStatus(paymentId, 'paid')
 
     // Verify status was updated
     const payment = await paymentService.getPaymentRequestByNonce(nonce)
-    t.is(payment.status, 'completed', 'Status should be updated to completed')
+    t.is(payment.status, 'paid', 'Status should be updated to paid')
 
     t.pass('Payment status update works')
   } catch (error) {
@@ -258,6 +309,121 @@ test('updatePaymentStatus updates payment status', async (t) => {
   }
 })
 
+test('updatePaymentStatus throws PaymentNotFoundError for unknown payment', async (t) => {
+  try {
+    await initializeDatabase()
+
+    try {
+      await paymentService.updatePaymentStatus(new ObjectId(), 'paid')
+      t.fail('Should throw for unknown payment')
+    } catch (error) {
+      t.ok(error instanceof PaymentNotFoundError, 'Should throw PaymentNotFoundError')
+      t.is(error.code, 'REQUEST_NOT_FOUND', 'Should map to REQUEST_NOT_FOUND')
+      t.is(error.httpStatusCode, 404, 'Should map to 404')
+    }
+  } catch (error) {
+    t.fail(`Unknown payment status update test failed: ${error.message}`)
+  }
+})
+
+async function createStatusTestPayment (prefix, expiresInSeconds = 3600) {
+  await initializeDatabase()
+
+  const testDomain = `${prefix}${Date.now()}.com`
+  const domainResult = await domainService.createDomain({
+    domain: testDomain,
+    ownerEmail: `admin@${testDomain}`,
+    isDefault: false
+  })
+
+  const userResult = await userService.createUser({
+    username: `testuser_${Date.now()}`,
+    domainId: domainResult.domain._id,
+    displayName: 'Test User'
+  })
+
+  const nonce = `${prefix}-nonce-${Date.now()}`
+  const paymentId = await paymentService.createPaymentRequest(
+    userResult._id,
+    nonce,
+    5000,
+    'USD',
+    'polygon',
+    'USDT_POLYGON',
+    `0x${prefix}`,
+    expiresInSeconds,
+    { domainId: domainResult.domain._id }
+  )
+
+  return { paymentId, nonce }
+}
+
+test('transitionStatus follows the lifecycle with history and audit log', async (t) => {
+  try {
+    const { paymentId, nonce } = await createStatusTestPayment('lifecycle')
+
+    const changes = []
+    const onStatusChanged = (change) => changes.push(change)
+    paymentEvents.on('payment.status_changed', onStatusChanged)
+
+    try {
+      await paymentService.transitionStatus(paymentId, 'sent', { actorType: 'sender_vasp', reason: 'reported' })
+      const paid = await paymentService.transitionStatus(paymentId, 'paid')
+      const refunded = await paymentService.transitionStatus(paymentId, 'refunded', { actorType: 'admin', reason: 'customer request' })
+
+      t.is(paid.status, 'paid', 'Should be paid')
+      t.ok(paid.paid_at instanceof Date, 'Should set paid_at')
+      t.is(refunded.status, 'refunded', 'Should be refunded')
+      t.alike(refunded.status_history.map(entry => entry.to), ['pending', 'sent', 'paid', 'refunded'], 'Should keep the history')
+      t.is(refunded.status_history[3].actor_type, 'admin', 'History should record the actor')
+      t.alike(changes.map(({ from, to }) => `${from}->${to}`), ['pending->sent', 'sent->paid', 'paid->refunded'], 'Should emit each change')
+    } finally {
+      paymentEvents.off('payment.status_changed', onStatusChanged)
+    }
+
+    const db = await getDatabase()
+    const auditEntries = await db.collection('audit_log')
+      .find({ action: 'payment_status_changed', target_id: paymentId.toString() })
+      .toArray()
+    t.is(auditEntries.length, 3, 'Should write every transition to the audit log')
+    t.is(JSON.parse(auditEntries[0].details).nonce, nonce, 'Audit entry should reference the payment')
+
+    try {
+      await paymentService.transitionStatus(paymentId, 'paid')
+      t.fail('Should reject refunded -> paid')
+    } catch (error) {
+      t.ok(error instanceof InvalidPaymentTransitionError, 'Should throw InvalidPaymentTransitionError')
+    }
+
+    try {
+      await paymentService.transitionStatus(paymentId, 'completed')
+      t.fail('Should reject unknown statuses')
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Should throw InvalidInputError')
+    }
+  } catch (error) {
+    t.fail(`Lifecycle test failed: ${error.message}`)
+  }
+})
+
+test('expirePendingPayments expires pending requests past expires_at', async (t) => {
+  try {
+    const { paymentId, nonce } = await createStatusTestPayment('sweeper', -60)
+
+    const expired = await paymentService.expirePendingPayments()
+    t.ok(expired >= 1, 'Should expire at least the overdue payment request')
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.status, 'expired', 'Should mark the payment request expired')
+    t.ok(payment.expired_at instanceof Date, 'Should set expired_at')
+
+    const paid = await paymentService.transitionStatus(paymentId, 'paid', { reason: 'late on-chain payment' })
+    t.is(paid.status, 'paid', 'Expired requests can still be paid')
+  } catch (error) {
+    t.fail(`Expiry sweep test failed: ${error.message}`)
+  }
+})
+
 test('isPaymentExpired detects expired payments', async (t) => {
   const expiredPayment = {
     expires_at: new Date(Date.now() - 1000) // 1 second ago
@@ -278,6 +444,197 @@ test('isPaymentExpired detects expired payments', async (t) => {
   t.pass('Payment expiration detection works')
 })
 
+test('isQuoteExpired uses the locked quote expiry', async (t) => {
+  const expiredQuote = {
+    expires_at: new Date(Date.now() + 3600000),
+    quote: { multiplier: 10000, expires_at: new Date(Date.now() - 1000) }
+  }
+
+  const activeQuote = {
+    quote: { multiplier: 10000, expires_at: new Date(Date.now() + 3600000) }
+  }
+
+  t.ok(paymentService.isQuoteExpired(expiredQuote), 'Expired quote should be detected as expired')
+  t.ok(!paymentService.isQuoteExpired(activeQuote), 'Active quote should not be expired')
+  t.ok(paymentService.isQuoteExpired(activeQuote, new Date(Date.now() + 7200000)), 'Should check the quote at a given time')
+  t.ok(!paymentService.isQuoteExpired({ status: 'pending' }), 'Payment without quote should not be expired')
+})
+
+test('listPaymentRequests filters and pages through the payment requests of a domain', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `paylist${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const domainId = domainResult.domain._id
+
+    const alice = await userService.createUser({ username: `alice_${Date.now()}`, domainId, displayName: 'Alice' })
+    const bob = await userService.createUser({ username: `bob_${Date.now()}`, domainId, displayName: 'Bob' })
+
+    const create = (user, index, currency, settlementLayer, assetIdentifier) => paymentService.createPaymentRequest(
+      user._id, `list-${index}-${testRunId}`, 1000 * (index + 1), currency, settlementLayer, assetIdentifier, `address-${index}`, 3600, { domainId }
+    )
+
+    const ids = []
+    for (let i = 0; i < 5; i++) {
+      ids.push(await create(i % 2 ? bob : alice, i, 'USD', 'polygon', 'USDT_POLYGON'))
+    }
+    ids.push(await create(alice, 5, 'EUR', 'ln', 'BTC'))
+    await paymentService.transitionStatus(ids[0], 'paid')
+
+    const all = await paymentService.listPaymentRequests(domainId)
+    t.is(all.payments.length, 6, 'Should list every payment request of the domain')
+    t.is(all.payments[0]._id.toString(), ids[5].toString(), 'Should list the newest first')
+    t.is(all.nextCursor, null, 'Last page should have no cursor')
+
+    const first = await paymentService.listPaymentRequests(domainId, {}, { limit: 4 })
+    t.is(first.payments.length, 4, 'Should return a page')
+    t.ok(first.nextCursor, 'Should return a cursor to the next page')
+
+    const second = await paymentService.listPaymentRequests(domainId, {}, { limit: 4, cursor: first.nextCursor })
+    t.is(second.payments.length, 2, 'Next page should continue after the cursor')
+    t.alike(
+      [...first.payments, ...second.payments].map(payment => payment._id.toString()),
+      all.payments.map(payment => payment._id.toString()),
+      'Pages should cover every payment request once'
+    )
+
+    const bobs = await paymentService.listPaymentRequests(domainId, { userId: bob._id })
+    t.is(bobs.payments.length, 2, 'Should filter by user')
+
+    const paid = await paymentService.listPaymentRequests(domainId, { status: ['paid', 'refunded'] })
+    t.is(paid.payments.length, 1, 'Should filter by statuses')
+
+    const lightning = await paymentService.listPaymentRequests(domainId, { settlementLayer: 'ln', assetIdentifier: 'BTC', currency: 'EUR' })
+    t.is(lightning.payments.length, 1, 'Should filter by settlement layer, asset and currency')
+
+    const future = await paymentService.listPaymentRequests(domainId, { from: new Date(Date.now() + 60000).toISOString() })
+    t.is(future.payments.length, 0, 'Should filter by date range')
+
+    const invalid = [
+      [{ status: ['settled'] }, {}, 'Invalid payment status'],
+      [{ from: 'yesterday' }, {}, 'from must be an ISO 8601 date'],
+      [{}, { cursor: 'not-a-cursor' }, 'Invalid cursor'],
+      [{}, { limit: 1000 }, 'limit must be between']
+    ]
+    for (const [filters, options, expected] of invalid) {
+      try {
+        await paymentService.listPaymentRequests(domainId, filters, options)
+        t.fail(`Should reject ${expected}`)
+      } catch (error) {
+        t.ok(error instanceof InvalidInputError && error.message.includes(expected), `Should reject with "${expected}"`)
+      }
+    }
+
+    const payment = await paymentService.getDomainPaymentRequest(domainId, `list-2-${testRunId}`)
+    t.is(payment._id.toString(), ids[2].toString(), 'Should get a payment request by nonce')
+    t.is((await paymentService.getDomainPaymentRequest(domainId, ids[2].toString())).nonce, `list-2-${testRunId}`, 'Should get a payment request by ID')
+
+    try {
+      await paymentService.getDomainPaymentRequest(new ObjectId(), ids[2].toString())
+      t.fail('Should not find payment requests of another domain')
+    } catch (error) {
+      t.ok(error instanceof PaymentNotFoundError, 'Other domains should get PaymentNotFoundError')
+    }
+  } catch (error) {
+    t.fail(`Payment listing test failed: ${error.message}`)
+  }
+})
+
+test('exportPaymentRequests exports CSV and NDJSON', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `payexport${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const domainId = domainResult.domain._id
+
+    const user = await userService.createUser({ username: `testuser_${Date.now()}`, domainId, displayName: 'Test User' })
+    await paymentService.createPaymentRequest(
+      user._id, `export-${testRunId}`, 5000, 'USD', 'ln', 'BTC_LN', 'lnbc50n1...', 3600,
+      { domainId, comment: '=HYPERLINK("x"), "quoted"\nsecond line' }
+    )
+
+    const collect = async (lines) => {
+      let output = ''
+      for await (const line of lines) {
+        output += line
+      }
+      return output
+    }
+
+    const csv = await collect(paymentService.exportPaymentRequests(domainId, {}, 'csv'))
+    const [header, row] = csv.split('\r\n')
+    t.ok(header.startsWith('id,nonce,createdAt,status,'), 'Should start with the header row')
+    t.ok(row.includes(`export-${testRunId},`), 'Should export the payment request')
+    t.ok(csv.includes('"\'=HYPERLINK(""x""), ""quoted""\nsecond line"'), 'Should quote fields and defuse formulas')
+
+    const ndjson = await collect(paymentService.exportPaymentRequests(domainId, {}, 'ndjson'))
+    const records = ndjson.trim().split('\n').map(line => JSON.parse(line))
+    t.is(records.length, 1, 'Should export one JSON object per line')
+    t.is(records[0].amount, 5000, 'Should export the amount')
+    t.is(records[0].asset, 'BTC', 'Should export the asset')
+    t.is(records[0].comment, '=HYPERLINK("x"), "quoted"\nsecond line', 'NDJSON should keep the comment as is')
+
+    try {
+      paymentService.exportPaymentRequests(domainId, {}, 'xlsx')
+      t.fail('Should reject unknown formats')
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Unknown formats should throw InvalidInputError')
+    }
+  } catch (error) {
+    t.fail(`Payment export test failed: ${error.message}`)
+  }
+})
+
+test('initializeDatabase backfills the domain of older payment requests', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `paylegacy${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const domainId = domainResult.domain._id
+
+    // Created through the admin route, which stores the domain ID as a string
+    const user = await userService.createUser({ username: `testuser_${Date.now()}`, domainId: domainId.toHexString(), displayName: 'Test User' })
+
+    // Stored the way payment requests were before they had a domain_id
+    const db = await getDatabase()
+    await db.collection('payment_requests').insertOne({
+      user_id: user._id,
+      nonce: `legacy-${testRunId}`,
+      amount_msats: 1000,
+      currency: 'USD',
+      settlement_layer: 'ln',
+      asset_identifier: 'BTC',
+      invoice_or_address: 'lnbc10n1...',
+      status: 'pending',
+      created_at: new Date(),
+      updated_at: new Date()
+    })
+
+    await initializeDatabase()
+
+    const { payments } = await paymentService.listPaymentRequests(domainId)
+    t.is(payments.length, 1, 'Should list the older payment request')
+    t.is(payments[0].nonce, `legacy-${testRunId}`, 'Should backfill the domain from the user')
+  } catch (error) {
+    t.fail(`Payment backfill test failed: ${error.message}`)
+  }
+})
+
 test('cleanup - close database connection', async (t) => {
   await closeDatabase()
   t.pass('Database connection closed')
@@ -1,9 +1,28 @@
 const path = require('path')
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
 const { test } = require('brittle')
+const { ObjectId } = require('mongodb')
 const { initializeDatabase, closeDatabase } = require('../src/db/database')
 const { userService } = require('../src/services/users')
 const { domainService } = require('../src/services/domains')
+const { paymentService } = require('../src/services/payments')
+const { createTestDomain, createTestUser } = require('./helpers')
+
+process.env.API_KEY = process.env.API_KEY || 'test-admin-key'
+const ADMIN_HEADERS = { authorization: `Bearer ${process.env.API_KEY}` }
+const UNKNOWN_DOMAIN_ID = new ObjectId().toHexString()
+
+// Admin routes registered on a fresh Fastify instance, requests go through fastify.inject
+async function createAdminApp () {
+  const app = require('fastify')()
+  await app.register(require('../src/routes/admin'), { prefix: '/api/admin' })
+  return app
+}
+
+async function injectAdmin (app, method, url, payload) {
+  const response = await app.inject({ method, url: `/api/admin${url}`, headers: ADMIN_HEADERS, payload })
+  return { statusCode: response.statusCode, body: response.json() }
+}
 
 // Mock Fastify reply object
 function createMockReply() {
@@ -272,6 +291,271 @@ test('DELETE /domains/:domainId deletes domain', async (t) => {
   }
 })
 
+test('admin routes require the API key', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const response = await app.inject({ method: 'GET', url: `/api/admin/domain/${UNKNOWN_DOMAIN_ID}` })
+    t.is(response.statusCode, 401, 'Should reject requests without a bearer token')
+  } finally {
+    await app.close()
+  }
+})
+
+test('PATCH domain settings map validation and lookup errors to 400 and 404', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const domain = await createTestDomain('routesettings')
+    const domainId = domain._id.toString()
+
+    const payerData = await injectAdmin(app, 'PATCH', `/domain/${domainId}/payer-data`, { name: true, email: false })
+    t.is(payerData.statusCode, 200, 'Should update payer data requirements')
+    t.is((await injectAdmin(app, 'PATCH', `/domain/${UNKNOWN_DOMAIN_ID}/payer-data`, { name: true })).statusCode, 404, 'Unknown domain should be 404')
+    t.is((await injectAdmin(app, 'PATCH', '/domain/not-an-id/payer-data', { name: true })).statusCode, 400, 'Malformed domain ID should be 400')
+
+    const comments = await injectAdmin(app, 'PATCH', `/domain/${domainId}/comments`, { commentAllowed: 140 })
+    t.is(comments.statusCode, 200, 'Should update comment settings')
+    t.is(comments.body.commentAllowed, 140, 'Should return the comment length')
+    t.is((await injectAdmin(app, 'PATCH', `/domain/${UNKNOWN_DOMAIN_ID}/comments`, { commentAllowed: 140 })).statusCode, 404, 'Unknown domain should be 404')
+
+    const zaps = await injectAdmin(app, 'PATCH', `/domain/${domainId}/zaps`, { enabled: true })
+    t.is(zaps.statusCode, 200, 'Should enable zaps')
+    t.is(zaps.body.allowsNostr, true, 'Should report zaps as enabled')
+
+    const successAction = await injectAdmin(app, 'PATCH', `/domain/${domainId}/success-action`, { successAction: { tag: 'message', message: 'Thanks!' } })
+    t.is(successAction.statusCode, 200, 'Should update the success action')
+    const badSuccessAction = await injectAdmin(app, 'PATCH', `/domain/${domainId}/success-action`, { successAction: { tag: 'message', message: '' } })
+    t.is(badSuccessAction.statusCode, 400, 'Invalid success action should be 400')
+    t.is(badSuccessAction.body.error, 'Bad Request', 'Should use the error response shape')
+
+    const settlementAssets = await injectAdmin(app, 'PATCH', `/domain/${domainId}/settlement-assets`, { settlementAssets: ['USDT_POLYGON', 'USDC_POLYGON'] })
+    t.is(settlementAssets.statusCode, 200, 'Should update settlement assets')
+    const badAssets = await injectAdmin(app, 'PATCH', `/domain/${domainId}/settlement-assets`, { settlementAssets: ['DAI_SOLANA'] })
+    t.is(badAssets.statusCode, 400, 'Unknown settlement assets should be 400')
+
+    const feeSchedules = await injectAdmin(app, 'PATCH', `/domain/${domainId}/fee-schedules`, {
+      feeSchedules: [{ settlementLayer: 'polygon', currency: 'USD', fixed: 10, percentage: 1 }]
+    })
+    t.is(feeSchedules.statusCode, 200, 'Should update fee schedules')
+    t.is(feeSchedules.body.feeSchedules.length, 1, 'Should return the fee schedules')
+    const duplicateFees = await injectAdmin(app, 'PATCH', `/domain/${domainId}/fee-schedules`, {
+      feeSchedules: [
+        { settlementLayer: 'polygon', currency: 'USD', fixed: 10 },
+        { settlementLayer: 'polygon', currency: 'USD', fixed: 20 }
+      ]
+    })
+    t.is(duplicateFees.statusCode, 400, 'Duplicate fee schedules should be 400')
+    t.is((await injectAdmin(app, 'PATCH', `/domain/${UNKNOWN_DOMAIN_ID}/fee-schedules`, { feeSchedules: null })).statusCode, 404, 'Unknown domain should be 404')
+
+    const badWallet = await injectAdmin(app, 'PATCH', `/domain/${domainId}/deposit-wallet`, { depositWallet: { xpub: 'not-an-xpub', layers: ['polygon'] } })
+    t.is(badWallet.statusCode, 400, 'Invalid xpub should be 400')
+    t.is((await injectAdmin(app, 'PATCH', `/domain/${UNKNOWN_DOMAIN_ID}/deposit-wallet`, { depositWallet: null })).statusCode, 404, 'Unknown domain should be 404')
+  } catch (error) {
+    t.fail(`Domain settings route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
+test('UMA key routes list, rotate and retire keys', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const domain = await createTestDomain('routekeys')
+    const domainId = domain._id.toString()
+
+    const listed = await injectAdmin(app, 'GET', `/domain/${domainId}/uma-keys`)
+    t.is(listed.statusCode, 200, 'Should list the keys')
+    t.is(listed.body.keys.length, 1, 'Should list the generated key')
+    const [{ keyId }] = listed.body.keys
+    t.is((await injectAdmin(app, 'GET', `/domain/${UNKNOWN_DOMAIN_ID}/uma-keys`)).statusCode, 404, 'Unknown domain should be 404')
+    t.is((await injectAdmin(app, 'GET', '/domain/not-an-id/uma-keys')).statusCode, 400, 'Malformed domain ID should be 400')
+
+    const onlyKey = await injectAdmin(app, 'DELETE', `/domain/${domainId}/uma-keys/${keyId}`)
+    t.is(onlyKey.statusCode, 409, 'Retiring the only usable key should be 409')
+
+    const rotated = await injectAdmin(app, 'POST', `/domain/${domainId}/uma-keys/rotate`, { gracePeriodSeconds: 3600 })
+    t.is(rotated.statusCode, 200, 'Should rotate the keys')
+    t.is(rotated.body.keys.length, 2, 'Should add a pending key')
+
+    const retired = await injectAdmin(app, 'DELETE', `/domain/${domainId}/uma-keys/${keyId}`)
+    t.is(retired.statusCode, 200, 'Should retire the key once replaced')
+    t.is(retired.body.keys.find(key => key.keyId === keyId).status, 'retired', 'Should report the key as retired')
+  } catch (error) {
+    t.fail(`UMA key route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
+test('domain webhook routes create, list and delete endpoints', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const domain = await createTestDomain('routehooks')
+    const domainId = domain._id.toString()
+
+    const invalid = await injectAdmin(app, 'POST', `/domain/${domainId}/webhooks`, { url: 'ftp://example.com/hooks' })
+    t.is(invalid.statusCode, 400, 'Invalid webhook URL should be 400')
+    t.is((await injectAdmin(app, 'POST', `/domain/${UNKNOWN_DOMAIN_ID}/webhooks`, { url: 'https://example.com/hooks' })).statusCode, 404, 'Unknown domain should be 404')
+
+    const created = await injectAdmin(app, 'POST', `/domain/${domainId}/webhooks`, { url: 'https://example.com/hooks', events: ['payment.paid'] })
+    t.ok(created.statusCode < 300, 'Should create the endpoint')
+    const webhookId = created.body.webhook.id
+
+    const listed = await injectAdmin(app, 'GET', `/domain/${domainId}/webhooks`)
+    t.is(listed.body.webhooks.length, 1, 'Should list the endpoint')
+
+    t.ok((await injectAdmin(app, 'DELETE', `/domain/${domainId}/webhooks/${webhookId}`)).statusCode < 300, 'Should delete the endpoint')
+    t.is((await injectAdmin(app, 'DELETE', `/domain/${domainId}/webhooks/${webhookId}`)).statusCode, 404, 'Deleted endpoint should be 404')
+  } catch (error) {
+    t.fail(`Webhook route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
+test('users created through the route trigger user.created webhooks', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const domain = await createTestDomain('routeuserhooks')
+    const domainId = domain._id.toString()
+
+    const created = await injectAdmin(app, 'POST', `/domain/${domainId}/webhooks`, { url: 'https://hooks.example.com/uma', events: ['user.created'] })
+    const webhookId = created.body.webhook.id
+
+    const username = `hooked_${Date.now()}`
+    t.ok((await injectAdmin(app, 'POST', `/users/${domainId}`, { username })).statusCode < 300, 'Should create the user')
+
+    let deliveries = []
+    for (let i = 0; i < 50 && deliveries.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+      deliveries = (await injectAdmin(app, 'GET', `/domain/${domainId}/webhooks/${webhookId}/deliveries`)).body.deliveries
+    }
+
+    t.is(deliveries.length, 1, 'Should queue a delivery for the endpoint')
+    t.is(deliveries[0]?.eventType, 'user.created', 'Should be the user.created event')
+    t.is(deliveries[0]?.payload.data.username, username, 'Should carry the created user')
+  } catch (error) {
+    t.fail(`User webhook route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
+test('user routes do not resolve sub-address tags', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const domain = await createTestDomain('routetags')
+    const domainId = domain._id.toString()
+    const username = `tagged_${Date.now()}`
+    await userService.createUser({ username, domainId: domain._id })
+
+    const tagged = `${username}+anything`
+    t.is((await injectAdmin(app, 'DELETE', `/users/${domainId}/${tagged}`)).statusCode, 404, 'DELETE should not act on the tagged user')
+    t.is((await injectAdmin(app, 'PATCH', `/users/${domainId}/${tagged}/payer-data`, { name: true })).statusCode, 404, 'PATCH should not act on the tagged user')
+    t.is((await injectAdmin(app, 'GET', `/users/${domainId}/${tagged}/payments`)).statusCode, 404, 'GET should not list the tagged user payments')
+
+    const created = await injectAdmin(app, 'POST', `/users/${domainId}`, { username: `${username}+x` })
+    t.is(created.statusCode, 400, 'Should reject tagged usernames as invalid')
+
+    t.ok(await userService.getUserByUsernameAndDomain(username, domain._id), 'The user should still exist')
+  } catch (error) {
+    t.fail(`Sub-address route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
+test('payment routes keep DAI wei amounts exact', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const { domain, user } = await createTestUser('routedai')
+    const nonce = `routedai-${Date.now()}`
+    await paymentService.createPaymentRequest(
+      user._id, nonce, '10200000000000000001', 'USD', 'polygon', 'DAI_POLYGON', 'address-dai', 3600,
+      { domainId: domain._id, quote: { asset: 'DAI', currency: 'USD', multiplier: 10 ** 16, fee: '200000000000000001', amount: '10200000000000000001', converted_amount: '1000' } }
+    )
+
+    const { body } = await injectAdmin(app, 'GET', `/payments/${domain._id}/${nonce}`)
+    t.is(body.payment.amount, '10200000000000000001', 'Should return the amount as sent')
+    t.is(body.payment.asset, 'DAI', 'Should return the asset')
+    t.is(body.payment.quote.amount, '10200000000000000001', 'Should return the quoted amount as sent')
+    t.is(body.payment.quote.fee, '200000000000000001', 'Should return the fee as sent')
+  } catch (error) {
+    t.fail(`DAI payment route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
+test('domain payments routes filter, page and export payment requests', async (t) => {
+  const app = await createAdminApp()
+
+  try {
+    const { domain, user: alice } = await createTestUser('routepayments')
+    const domainId = domain._id.toString()
+    const bob = await userService.createUser({ username: `bob_${Date.now()}`, domainId: domain._id, displayName: 'Bob' })
+
+    const nonces = []
+    for (let i = 0; i < 3; i++) {
+      const nonce = `routepay-${i}-${Date.now()}`
+      await paymentService.createPaymentRequest(
+        (i === 2 ? bob : alice)._id, nonce, 1000 * (i + 1), 'USD', i === 0 ? 'ln' : 'polygon', i === 0 ? 'BTC' : 'USDT_POLYGON', `address-${i}`, 3600, { domainId: domain._id }
+      )
+      nonces.push(nonce)
+    }
+
+    const bobs = await injectAdmin(app, 'GET', `/payments/${domainId}?username=${bob.username}`)
+    t.is(bobs.statusCode, 200, 'Should list the payments')
+    t.alike(bobs.body.payments.map(payment => payment.nonce), [nonces[2]], 'Should filter by username')
+    const lightning = await injectAdmin(app, 'GET', `/payments/${domainId}?settlementLayer=ln&status=pending`)
+    t.alike(lightning.body.payments.map(payment => payment.nonce), [nonces[0]], 'Should filter by settlement layer and status')
+    t.is((await injectAdmin(app, 'GET', `/payments/${domainId}?from=yesterday`)).statusCode, 400, 'Invalid dates should be 400')
+
+    const first = await injectAdmin(app, 'GET', `/payments/${domainId}?limit=2`)
+    t.is(first.body.payments.length, 2, 'Should return a page')
+    const second = await injectAdmin(app, 'GET', `/payments/${domainId}?limit=2&cursor=${first.body.nextCursor}`)
+    t.alike(
+      [...first.body.payments, ...second.body.payments].map(payment => payment.nonce),
+      [...nonces].reverse(),
+      'Pages should cover every payment request once, newest first'
+    )
+    t.is(second.body.nextCursor, null, 'Last page should have no cursor')
+
+    const [time] = JSON.parse(Buffer.from(first.body.nextCursor, 'base64url').toString())
+    const tampered = Buffer.from(JSON.stringify([time, 'not-an-id'])).toString('base64url')
+    t.is((await injectAdmin(app, 'GET', `/payments/${domainId}?cursor=${tampered}`)).statusCode, 400, 'Tampered cursor should be 400')
+    t.is((await injectAdmin(app, 'GET', `/payments/${domainId}?cursor=garbage`)).statusCode, 400, 'Bad cursor should be 400')
+    t.is((await injectAdmin(app, 'GET', '/payments/not-an-id')).statusCode, 400, 'Malformed domain ID should be 400')
+    t.is((await injectAdmin(app, 'GET', `/payments/${UNKNOWN_DOMAIN_ID}`)).statusCode, 404, 'Unknown domain should be 404')
+
+    const payment = await injectAdmin(app, 'GET', `/payments/${domainId}/${nonces[1]}`)
+    t.is(payment.body.payment.nonce, nonces[1], 'Should get a payment request by nonce')
+    t.is((await injectAdmin(app, 'GET', `/payments/${domainId}/${UNKNOWN_DOMAIN_ID}`)).statusCode, 404, 'Unknown payment should be 404')
+
+    const csv = await app.inject({ method: 'GET', url: `/api/admin/payments/${domainId}/export?username=${alice.username}`, headers: ADMIN_HEADERS })
+    t.is(csv.statusCode, 200, 'Should export CSV')
+    t.ok(csv.headers['content-type'].startsWith('text/csv'), 'CSV export should be text/csv')
+    const rows = csv.body.trim().split('\r\n')
+    t.ok(rows[0].startsWith('id,nonce,'), 'CSV should start with the header row')
+    t.is(rows.length, 3, 'CSV should have a row per filtered payment request')
+
+    const ndjson = await app.inject({ method: 'GET', url: `/api/admin/payments/${domainId}/export?format=ndjson`, headers: ADMIN_HEADERS })
+    t.is(ndjson.headers['content-type'], 'application/x-ndjson', 'NDJSON export should be application/x-ndjson')
+    t.alike(ndjson.body.trim().split('\n').map(line => JSON.parse(line).nonce), [...nonces].reverse(), 'NDJSON should have a line per payment request')
+    t.is((await injectAdmin(app, 'GET', `/payments/${domainId}/export?format=xlsx`)).statusCode, 400, 'Unknown formats should be 400')
+  } catch (error) {
+    t.fail(`Payments route test failed: ${error.message}`)
+  } finally {
+    await app.close()
+  }
+})
+
 test('cleanup - close database connection', async (t) => {
   await closeDatabase()
   t.pass('Database connection closed')
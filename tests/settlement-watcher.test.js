@@ -0,0 +1,155 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const { test } = require('brittle')
+const { closeDatabase } = require('../src/db/database')
+const { paymentService } = require('../src/services/payments')
+const { paymentEvents } = require('../src/services/events')
+const { SparkSettlementWatcher } = require('../src/services/settlement-watcher')
+const { SparkWalletAdapter, InMemorySparkWalletAdapter } = require('../src/services/spark-wallet')
+const { createTestUser } = require('./helpers')
+
+async function createLightningTestPayment (prefix, expiresInSeconds = 3600) {
+  const { domain, user } = await createTestUser(prefix)
+
+  const nonce = `${prefix}-nonce-${Date.now()}`
+  const receiveRequestId = `${prefix}-receive-${Date.now()}`
+  await paymentService.createPaymentRequest(
+    user._id,
+    nonce,
+    21000,
+    'SAT',
+    'ln',
+    'BTC_LN',
+    `lnbc210n1${prefix}`,
+    expiresInSeconds,
+    { domainId: domain._id, sparkReceiveRequestId: receiveRequestId, paymentHash: `${prefix}-hash-${Date.now()}` }
+  )
+
+  return { nonce, receiveRequestId }
+}
+
+test('SparkWalletAdapter normalizes Spark receive requests', async (t) => {
+  try {
+    const receiveRequests = {
+      paid: {
+        status: 'TRANSFER_COMPLETED',
+        paymentPreimage: 'ab'.repeat(32),
+        updatedAt: '2026-01-01T00:00:00Z',
+        invoice: { amount: { originalValue: 21, originalUnit: 'SATOSHI' } },
+        transfer: { totalAmount: { originalValue: 20, originalUnit: 'SATOSHI' } }
+      },
+      open: { status: 'INVOICE_CREATED', invoice: { amount: { originalValue: 21, originalUnit: 'SATOSHI' } } },
+      failed: { status: 'TRANSFER_CREATION_FAILED' }
+    }
+    const adapter = new SparkWalletAdapter(async () => ({
+      getLightningReceiveRequest: async (id) => receiveRequests[id] || null
+    }))
+
+    const paid = await adapter.getLightningReceiveRequest('paid')
+    t.is(paid.status, 'paid', 'Should be paid')
+    t.is(paid.amountMsats, 20000, 'Should report the transferred amount in msats')
+    t.is(paid.preimage, 'ab'.repeat(32), 'Should report the preimage')
+    t.is(paid.settledAt.toISOString(), '2026-01-01T00:00:00.000Z', 'Should report when Spark settled it')
+
+    t.is((await adapter.getLightningReceiveRequest('open')).status, 'pending', 'Open invoices should be pending')
+    t.is((await adapter.getLightningReceiveRequest('failed')).status, 'failed', 'Failed transfers should be failed')
+    t.is(await adapter.getLightningReceiveRequest('unknown'), null, 'Unknown receive requests should be null')
+  } catch (error) {
+    t.fail(`Spark adapter test failed: ${error.message}`)
+  }
+})
+
+test('SparkWalletAdapter releases the preimage of held hodl invoices', async (t) => {
+  try {
+    const preimage = 'cd'.repeat(32)
+    const claimed = []
+    let status = 'INVOICE_CREATED'
+    const adapter = new SparkWalletAdapter(async () => ({
+      getLightningReceiveRequest: async () => ({ status, invoice: { amount: { originalValue: 21, originalUnit: 'SATOSHI' } } }),
+      claimHTLC: async (claimedPreimage) => { claimed.push(claimedPreimage) }
+    }))
+
+    t.is((await adapter.getLightningReceiveRequest('held', { preimage })).status, 'pending', 'Open invoices should be pending')
+    t.is(claimed.length, 0, 'Should not release the preimage before the payment arrived')
+
+    status = 'LIGHTNING_PAYMENT_RECEIVED'
+    const paid = await adapter.getLightningReceiveRequest('held', { preimage })
+    t.alike(claimed, [preimage], 'Should release the preimage once the payment arrived')
+    t.is(paid.status, 'paid', 'Should be paid')
+    t.is(paid.preimage, preimage, 'Should report the released preimage')
+
+    status = 'TRANSFER_COMPLETED'
+    await adapter.getLightningReceiveRequest('held', { preimage })
+    t.is(claimed.length, 1, 'Should not release the preimage of completed transfers again')
+  } catch (error) {
+    t.fail(`Spark adapter hodl test failed: ${error.message}`)
+  }
+})
+
+test('SparkSettlementWatcher marks settled invoices paid', async (t) => {
+  try {
+    const wallet = new InMemorySparkWalletAdapter()
+    const watcher = new SparkSettlementWatcher(wallet)
+
+    const open = await createLightningTestPayment('watchopen')
+    const settled = await createLightningTestPayment('watchpaid')
+
+    const settledEvents = []
+    const onSettled = ({ payment }) => settledEvents.push(payment.nonce)
+    paymentEvents.on('payment.settled', onSettled)
+
+    try {
+      const settledAt = new Date(Date.now() - 5000)
+      wallet.settle(settled.receiveRequestId, { amountMsats: 21000, preimage: 'cd'.repeat(32), settledAt })
+
+      t.ok(await watcher.poll() >= 1, 'Should mark the settled invoice paid')
+
+      const payment = await paymentService.getPaymentRequestByNonce(settled.nonce)
+      t.is(payment.status, 'paid', 'Should be paid')
+      t.is(payment.received_amount_msats, 21000, 'Should store the amount received')
+      t.is(payment.preimage, 'cd'.repeat(32), 'Should store the preimage')
+      t.is(payment.settled_at.getTime(), settledAt.getTime(), 'Should store when Spark settled it')
+      t.ok(settledEvents.includes(settled.nonce), 'Should emit payment.settled')
+
+      const openPayment = await paymentService.getPaymentRequestByNonce(open.nonce)
+      t.is(openPayment.status, 'pending', 'Unpaid invoices should stay pending')
+
+      await watcher.poll()
+      t.is(settledEvents.filter(nonce => nonce === settled.nonce).length, 1, 'Should settle only once')
+    } finally {
+      paymentEvents.off('payment.settled', onSettled)
+    }
+  } catch (error) {
+    t.fail(`Settlement watcher test failed: ${error.message}`)
+  }
+})
+
+test('SparkSettlementWatcher settles invoices the expiry sweeper got to first', async (t) => {
+  try {
+    const wallet = new InMemorySparkWalletAdapter()
+    const watcher = new SparkSettlementWatcher(wallet)
+
+    const late = await createLightningTestPayment('watchlate', -60)
+    const failed = await createLightningTestPayment('watchfail')
+
+    await paymentService.expirePendingPayments()
+    wallet.settle(late.receiveRequestId, { amountMsats: 21000, preimage: 'ef'.repeat(32) })
+    wallet.fail(failed.receiveRequestId)
+
+    await watcher.poll()
+
+    const latePayment = await paymentService.getPaymentRequestByNonce(late.nonce)
+    t.is(latePayment.status, 'paid', 'Expired invoices paid before expiry should be paid')
+    t.alike(latePayment.status_history.map(entry => entry.to), ['pending', 'expired', 'paid'], 'Should keep the history')
+
+    const failedPayment = await paymentService.getPaymentRequestByNonce(failed.nonce)
+    t.is(failedPayment.status, 'failed', 'Failed receive requests should fail the payment request')
+  } catch (error) {
+    t.fail(`Late settlement test failed: ${error.message}`)
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
@@ -0,0 +1,222 @@
+const path = require('path')
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') })
+const { test } = require('brittle')
+const { closeDatabase } = require('../src/db/database')
+const { successActionService } = require('../src/services/success-actions')
+const { lnurlService } = require('../src/services/lnurl')
+const { umaService } = require('../src/services/uma')
+const { userService } = require('../src/services/users')
+const { paymentService } = require('../src/services/payments')
+const { domainService } = require('../src/services/domains')
+const { createTestUser } = require('./helpers')
+const { InvalidInputError } = require('../src/errors')
+const { createDecipheriv, createHash, randomBytes } = require('crypto')
+
+const SPARK_PUBLIC_KEY = '02' + 'ab'.repeat(32)
+
+const context = {
+  reference: 'order 42',
+  paymentId: 'payment-1',
+  username: 'alice',
+  domain: 'shop.example',
+  displayName: 'Alice'
+}
+
+test('buildSuccessAction defaults to the payment received message', async (t) => {
+  const action = successActionService.buildSuccessAction(null, context)
+
+  t.alike(action, { tag: 'message', message: 'Payment received! Thank you for paying Alice.' }, 'Should return the default message')
+})
+
+test('buildSuccessAction renders url placeholders', async (t) => {
+  const action = successActionService.buildSuccessAction({
+    tag: 'url',
+    url: 'https://shop.example/orders/{reference}?user={username}',
+    description: 'Order {reference} is ready'
+  }, context)
+
+  t.is(action.tag, 'url', 'Should be a url action')
+  t.is(action.url, 'https://shop.example/orders/order%2042?user=alice', 'Should URL-encode the placeholders')
+  t.is(action.description, 'Order order 42 is ready', 'Should render the description')
+})
+
+test('buildSuccessAction picks the message language from Accept-Language', async (t) => {
+  const config = { tag: 'message', message: { en: 'Thanks {username}!', es: '¡Gracias {username}!' } }
+
+  const spanish = successActionService.buildSuccessAction(config, { ...context, acceptLanguage: 'es-ES,es;q=0.9,en;q=0.8' })
+  t.is(spanish.message, '¡Gracias alice!', 'Should use the preferred language')
+
+  const fallback = successActionService.buildSuccessAction(config, { ...context, acceptLanguage: 'fr-FR' })
+  t.is(fallback.message, 'Thanks alice!', 'Should fall back to English')
+
+  const weighted = successActionService.buildSuccessAction(config, { ...context, acceptLanguage: 'en;q=0.5, es' })
+  t.is(weighted.message, '¡Gracias alice!', 'Should respect quality values')
+})
+
+function decryptAes (action, preimage) {
+  const decipher = createDecipheriv('aes-256-cbc', Buffer.from(preimage, 'hex'), Buffer.from(action.iv, 'base64'))
+  return Buffer.concat([decipher.update(action.ciphertext, 'base64'), decipher.final()]).toString('utf8')
+}
+
+test('buildSuccessAction encrypts aes secrets with the preimage', async (t) => {
+  const config = { tag: 'aes', description: 'Your code for {reference}', plaintext: 'SECRET-CODE' }
+  const preimage = randomBytes(32).toString('hex')
+
+  const action = successActionService.buildSuccessAction(config, { ...context, preimage })
+
+  t.is(action.tag, 'aes', 'Should be an aes action')
+  t.is(action.description, 'Your code for order 42', 'Should render the description')
+  t.is(Buffer.from(action.iv, 'base64').length, 16, 'Should use a 16 byte IV')
+  t.is(decryptAes(action, preimage), 'SECRET-CODE', 'Should decrypt with the preimage')
+  t.absent(JSON.stringify(action).includes('SECRET-CODE'), 'Should not reveal the plaintext')
+})
+
+test('buildSuccessAction sends the aes description as a message without a preimage', async (t) => {
+  const config = { tag: 'aes', description: 'Your code for {reference}', plaintext: 'SECRET-CODE' }
+
+  const action = successActionService.buildSuccessAction(config, context)
+
+  t.alike(action, { tag: 'message', message: 'Your code for order 42' }, 'Should fall back to a message')
+})
+
+test('validateConfig rejects invalid success actions', async (t) => {
+  const invalid = [
+    [{ tag: 'link' }, 'Invalid success action tag'],
+    [{ tag: 'url', url: 'http://shop.example', description: 'Order' }, 'https'],
+    [{ tag: 'url', url: 'https://shop.example/{order}', description: 'Order' }, 'Invalid success action placeholder'],
+    [{ tag: 'url', url: 'https://attacker.example/orders/{reference}', description: 'Order' }, 'must be on shop.example'],
+    [{ tag: 'url', url: 'https://shop.example.attacker.example/orders', description: 'Order' }, 'must be on shop.example'],
+    [{ tag: 'message', message: 'x'.repeat(145) }, 'at most 144'],
+    [{ tag: 'message', message: { EN: 'Thanks' } }, 'Invalid success action message language'],
+    [{ tag: 'aes', description: 'Key' }, 'plaintext'],
+    [{ tag: 'aes', description: 'Key', plaintext: 'x'.repeat(4097) }, 'plaintext']
+  ]
+
+  for (const [config, expected] of invalid) {
+    try {
+      successActionService.validateConfig(config, 'shop.example')
+      t.fail(`Should reject ${JSON.stringify(config)}`)
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Should be an invalid input error')
+      t.ok(error.message.includes(expected), `Should reject with "${expected}"`)
+    }
+  }
+
+  try {
+    successActionService.validateConfig(null, 'shop.example', true)
+    successActionService.validateConfig({ tag: 'url', url: 'https://{domain}/orders/{reference}', description: 'Order' }, 'shop.example')
+    successActionService.validateConfig({ tag: 'url', url: 'https://shop.example/orders/{reference}', description: 'Order' }, 'shop.example')
+    successActionService.validateConfig({ tag: 'aes', description: 'Your code for {reference}', plaintext: 'SECRET' }, 'shop.example')
+    t.pass('Should accept valid success actions')
+  } catch (error) {
+    t.fail(`Valid success action rejected: ${error.message}`)
+  }
+})
+
+test('user success action overrides the domain setting', async (t) => {
+  try {
+    const { domain, user } = await createTestUser('successaction', { sparkPublicKey: SPARK_PUBLIC_KEY })
+
+    const updatedDomain = await domainService.updateSuccessAction(domain._id, {
+      tag: 'url',
+      url: 'https://{domain}/orders/{reference}',
+      description: 'Your order'
+    })
+    t.is(updatedDomain.success_action.tag, 'url', 'Domain should store the success action')
+
+    const domainAction = successActionService.resolveConfig(updatedDomain, user)
+    t.is(domainAction.tag, 'url', 'Users should inherit the domain success action')
+
+    const updatedUser = await userService.updateUser(user._id, {
+      successAction: { tag: 'message', message: 'Thanks from {username}!' }
+    })
+    t.is(successActionService.resolveConfig(updatedDomain, updatedUser).tag, 'message', 'User success action should win')
+
+    try {
+      await userService.updateUser(user._id, {
+        successAction: { tag: 'url', url: 'https://elsewhere.example/orders', description: 'Your order' }
+      })
+      t.fail('Should reject url actions off the user domain')
+    } catch (error) {
+      t.ok(error instanceof InvalidInputError, 'Should reject url actions off the user domain')
+    }
+
+    const clearedUser = await userService.updateUser(user._id, { successAction: null })
+    t.is(successActionService.resolveConfig(updatedDomain, clearedUser).tag, 'url', 'null should fall back to the domain')
+  } catch (error) {
+    t.fail(`Success action override test failed: ${error.message}`)
+  }
+})
+
+test('LNURL pay responses use the configured success action', async (t) => {
+  const generateLightningInvoice = umaService.generateLightningInvoice
+
+  try {
+    const { domain, user } = await createTestUser('successactionpay', { sparkPublicKey: SPARK_PUBLIC_KEY })
+    const updatedDomain = await domainService.updateSuccessAction(domain._id, {
+      tag: 'url',
+      url: 'https://{domain}/orders/{reference}',
+      description: 'Your order'
+    })
+
+    umaService.generateLightningInvoice = async () => ({
+      encodedInvoice: `lnbc100n1pjtest${Date.now()}`,
+      paymentHash: randomBytes(32).toString('hex'),
+      receiveRequestId: `receive-${Date.now()}`
+    })
+
+    const nonce = `success-action-${Date.now()}`
+    const response = await lnurlService.generatePayResponse(user.username, updatedDomain, 10000, nonce)
+
+    t.is(response.successAction.tag, 'url', 'Should return the url action')
+    t.is(response.successAction.url, `https://${domain.domain}/orders/${nonce}`, 'Should reference the payment request')
+  } catch (error) {
+    t.fail(`Success action pay test failed: ${error.message}`)
+  } finally {
+    umaService.generateLightningInvoice = generateLightningInvoice
+  }
+})
+
+test('LNURL pay responses encrypt aes success actions with the invoice preimage', async (t) => {
+  const generateLightningInvoice = umaService.generateLightningInvoice
+
+  try {
+    const { domain, user } = await createTestUser('successactionaes', { sparkPublicKey: SPARK_PUBLIC_KEY })
+    const updatedDomain = await domainService.updateSuccessAction(domain._id, {
+      tag: 'aes',
+      description: 'Your download code',
+      plaintext: 'DOWNLOAD-1234'
+    })
+
+    const preimage = randomBytes(32).toString('hex')
+    let invoiceOptions = null
+    umaService.generateLightningInvoice = async (amountMsats, description, receiverSparkPubkey, options) => {
+      invoiceOptions = options
+      return {
+        encodedInvoice: `lnbc100n1pjtest${Date.now()}`,
+        paymentHash: createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex'),
+        receiveRequestId: `receive-${Date.now()}`,
+        preimage
+      }
+    }
+
+    const nonce = `success-action-aes-${Date.now()}`
+    const response = await lnurlService.generatePayResponse(user.username, updatedDomain, 10000, nonce)
+
+    t.alike(invoiceOptions, { withPreimage: true }, 'Should ask for an invoice with a known preimage')
+    t.is(response.successAction.tag, 'aes', 'Should return the aes action')
+    t.is(decryptAes(response.successAction, preimage), 'DOWNLOAD-1234', 'Should encrypt the secret with the preimage')
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.hodl_preimage, preimage, 'Should store the preimage to release once paid')
+  } catch (error) {
+    t.fail(`aes success action pay test failed: ${error.message}`)
+  } finally {
+    umaService.generateLightningInvoice = generateLightningInvoice
+  }
+})
+
+test('cleanup - close database connection', async (t) => {
+  await closeDatabase()
+  t.pass('Database connection closed')
+})
@@ -5,6 +5,133 @@ const { initializeDatabase } = require('../src/db/database')
 const { umaService } = require('../src/services/uma')
 const { userService } = require('../src/services/users')
 const { domainService } = require('../src/services/domains')
+const { paymentService } = require('../src/services/payments')
+const { marketRates } = require('../src/services/market-rates')
+const { createTestUser } = require('./helpers')
+const { DuplicateNonceError, InvalidSettlementAssetError, InvalidSettlementLayerError, UserNotReadyError } = require('../src/errors')
+const {
+  getSignedLnurlpRequestUrl,
+  getPayRequest,
+  getPostTransactionCallback,
+  verifyUmaLnurlpResponseSignature,
+  verifyPayReqResponseSignature,
+  PayReqResponse,
+  KycStatus,
+  LnurlpResponse,
+  PubKeyResponse,
+  InMemoryNonceValidator,
+  UmaError
+} = require('@uma-sdk/core')
+const secp256k1 = require('secp256k1')
+const { createHash, randomBytes } = require('crypto')
+
+// Helper function to generate a keypair for testing
+const generateKeypair = () => {
+  let privateKey
+  do {
+    privateKey = new Uint8Array(randomBytes(32))
+  } while (!secp256k1.privateKeyVerify(privateKey))
+
+  const publicKey = secp256k1.publicKeyCreate(privateKey, false)
+
+  return {
+    privateKey,
+    publicKey,
+    pubKeyResponse: new PubKeyResponse(
+      undefined,
+      undefined,
+      Buffer.from(publicKey).toString('hex'),
+      Buffer.from(publicKey).toString('hex')
+    )
+  }
+}
+
+// Create a domain, a user and sender/receiver keys for signed lookup tests
+async function setupSignedLookup (prefix, umaVersion) {
+  await initializeDatabase()
+
+  const senderKeys = generateKeypair()
+  const senderVaspDomain = `${prefix}-sender${Date.now()}.com`
+  umaService.publicKeyCache.addPublicKeyForVasp(senderVaspDomain, senderKeys.pubKeyResponse)
+
+  const testDomain = `${prefix}${Date.now()}.com`
+  const domainResult = await domainService.createDomain({
+    domain: testDomain,
+    ownerEmail: `admin@${testDomain}`,
+    isDefault: false
+  })
+
+  const user = await userService.createUser({
+    username: `testuser_${Date.now()}`,
+    domainId: domainResult.domain._id,
+    displayName: 'Test User'
+  })
+
+  const requestUrl = await getSignedLnurlpRequestUrl({
+    signingPrivateKey: senderKeys.privateKey,
+    receiverAddress: `${user.username}@${testDomain}`,
+    senderVaspDomain,
+    isSubjectToTravelRule: true,
+    umaVersionOverride: umaVersion
+  })
+
+  // Receiver keys as counterparties see them at /.well-known/lnurlpubkey
+  const published = domainService.getUmaPubKeyResponse(domainResult.domain)
+  const receiverPubKeys = new PubKeyResponse(undefined, undefined, published.signingPubKey, published.encryptionPubKey)
+
+  return { domain: domainResult.domain, user, requestUrl, receiverPubKeys }
+}
+
+// Create a domain, a user with a polygon address and a signed UMA v1 pay request body
+async function setupSignedPayRequest (prefix, umaMajorVersion = 1) {
+  await initializeDatabase()
+
+  const senderKeys = generateKeypair()
+  const senderVaspDomain = `${prefix}-sender${Date.now()}.com`
+  umaService.publicKeyCache.addPublicKeyForVasp(senderVaspDomain, senderKeys.pubKeyResponse)
+
+  const testDomain = `${prefix}${Date.now()}.com`
+  const domainResult = await domainService.createDomain({
+    domain: testDomain,
+    ownerEmail: `admin@${testDomain}`,
+    isDefault: false
+  })
+
+  const user = await userService.createUser({
+    username: `testuser_${Date.now()}`,
+    domainId: domainResult.domain._id,
+    displayName: 'Test User',
+    addresses: {
+      polygon: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+    }
+  })
+
+  const published = domainService.getUmaPubKeyResponse(domainResult.domain)
+  const receiverPubKeys = new PubKeyResponse(undefined, undefined, published.signingPubKey, published.encryptionPubKey)
+
+  const payerIdentifier = `$alice@${senderVaspDomain}`
+  const payRequest = await getPayRequest({
+    receiverEncryptionPubKey: Buffer.from(published.encryptionPubKey, 'hex'),
+    sendingVaspPrivateKey: senderKeys.privateKey,
+    receivingCurrencyCode: 'USD',
+    amount: 10000,
+    isAmountInReceivingCurrency: false,
+    payerIdentifier,
+    payerKycStatus: KycStatus.Verified,
+    umaMajorVersion,
+    settlement: { layer: 'polygon', assetIdentifier: 'USDT_POLYGON' }
+  })
+
+  return {
+    domain: domainResult.domain,
+    user,
+    senderKeys,
+    senderVaspDomain,
+    payerIdentifier,
+    receiverPubKeys,
+    body: JSON.parse(payRequest.toJsonString())
+  }
+}
 
 test('generateLookupResponse returns null for non-existent user', async (t) => {
   try {
@@ -65,7 +192,7 @@ test('generatePayResponse throws error for duplicate nonce', async (t) => {
       // This might fail for other reasons, but duplicate nonce should fail
     }
 
-    // Second payment with same nonce should fail with DUPLICATE_NONCE
+    // Second payment with same nonce should fail with DuplicateNonceError
     try {
       await umaService.generatePayResponse(
         userResult.username,
@@ -76,9 +203,10 @@ test('generatePayResponse throws error for duplicate nonce', async (t) => {
         'polygon',
         'USDT_POLYGON'
       )
-      t.fail('Should throw DUPLICATE_NONCE error')
+      t.fail('Should throw DuplicateNonceError')
     } catch (error) {
-      t.is(error.message, 'DUPLICATE_NONCE', 'Should throw DUPLICATE_NONCE error')
+      t.ok(error instanceof DuplicateNonceError, 'Should throw DuplicateNonceError')
+      t.is(error.httpStatusCode, 409, 'Should map to 409 Conflict')
     }
 
     t.pass('Duplicate nonce detection works')
@@ -118,7 +246,8 @@ test('generatePayResponse throws error for unsupported settlement layer', async
       )
       t.fail('Should throw address not found error')
     } catch (error) {
-      t.ok(error.message.includes('Address not found for settlement layer'), 'Should throw address not found error')
+      t.ok(error instanceof InvalidSettlementLayerError, 'Should throw InvalidSettlementLayerError')
+      t.is(error.httpStatusCode, 400, 'Should be a client error')
     }
 
     t.pass('Unsupported settlement layer handling works')
@@ -159,6 +288,8 @@ test('generatePayResponse throws error for Lightning without Spark key', async (
       )
       t.fail('Should throw Spark key required error')
     } catch (error) {
+      t.ok(error instanceof UserNotReadyError, 'Should throw UserNotReadyError')
+      t.is(error.code, 'USER_NOT_READY', 'Should map to USER_NOT_READY')
       t.ok(error.message.includes('Lightning payments require a Spark public key'), 'Should throw Spark key required error')
     }
 
@@ -182,6 +313,95 @@ test('generateLightningInvoice throws error when SPARK_SEED is invalid', async (
   }
 })
 
+test('msatsToSats converts whole sats and applies the rounding policy', async (t) => {
+  t.is(umaService.msatsToSats(10000), 10, 'Should convert msats to sats')
+  t.is(umaService.msatsToSats(10001, 'up'), 11, 'Should round converted amounts up')
+
+  for (const amountMsats of [10500, 999]) {
+    try {
+      umaService.msatsToSats(amountMsats)
+      t.fail(`Should reject ${amountMsats} msats`)
+    } catch (error) {
+      t.is(error.code, 'INVALID_INPUT', `Should reject ${amountMsats} msats as INVALID_INPUT`)
+    }
+  }
+
+  try {
+    umaService.msatsToSats(0, 'up')
+    t.fail('Should reject zero amounts')
+  } catch (error) {
+    t.is(error.code, 'INVALID_INPUT', 'Should reject zero amounts as INVALID_INPUT')
+  }
+})
+
+test('generateLightningInvoice commits to the metadata with description_hash', async (t) => {
+  const sparkWallet = umaService.sparkWallet
+
+  try {
+    let invoiceParams
+    umaService.sparkWallet = {
+      createLightningInvoice: async (params) => {
+        invoiceParams = params
+        return { id: 'receive-1', invoice: { encodedInvoice: 'lnbc100n1ptest', paymentHash: 'ab'.repeat(32) } }
+      }
+    }
+
+    const metadata = umaService.buildMetadata('alice', { display_name: 'Alice' }, { domain: 'example.com' })
+    const payerData = { name: 'Bob' }
+    const description = umaService.buildInvoiceDescription(metadata, payerData)
+    t.is(description, metadata + JSON.stringify(payerData), 'Description should append the payer data')
+    t.is(umaService.buildInvoiceDescription(metadata, payerData, '{"name": "Bob"}'), metadata + '{"name": "Bob"}', 'Should keep payer data as sent')
+
+    const invoice = await umaService.generateLightningInvoice(10000, description, '02' + 'ab'.repeat(32))
+
+    t.is(invoiceParams.amountSats, 10, 'Should invoice the amount in sats')
+    t.is(invoiceParams.descriptionHash, createHash('sha256').update(description).digest('hex'), 'Should set description_hash')
+    t.absent(invoiceParams.memo, 'Should not set a memo')
+    t.is(invoiceParams.expirySeconds, umaService.invoiceExpirySeconds, 'Should use the configured expiry')
+    t.is(invoice.receiveRequestId, 'receive-1', 'Should return the receive request id')
+
+    try {
+      await umaService.generateLightningInvoice(10500, description)
+      t.fail('Should reject sub-sat amounts')
+    } catch (error) {
+      t.is(error.code, 'INVALID_INPUT', 'Should reject sub-sat amounts')
+    }
+  } catch (error) {
+    t.fail(`Lightning invoice description hash test failed: ${error.message}`)
+  } finally {
+    umaService.sparkWallet = sparkWallet
+  }
+})
+
+test('generateLightningInvoice creates hodl invoices from a generated preimage', async (t) => {
+  const sparkWallet = umaService.sparkWallet
+
+  try {
+    let hodlParams
+    umaService.sparkWallet = {
+      createLightningInvoice: async () => {
+        throw new Error('Should create a hodl invoice')
+      },
+      createLightningHodlInvoice: async (params) => {
+        hodlParams = params
+        return { id: 'receive-hodl', invoice: { encodedInvoice: 'lnbc100n1phodl', paymentHash: params.paymentHash } }
+      }
+    }
+
+    const invoice = await umaService.generateLightningInvoice(10000, 'hodl-description', null, { withPreimage: true })
+
+    t.ok(/^[0-9a-f]{64}$/.test(invoice.preimage), 'Should return a 32 byte preimage')
+    t.is(hodlParams.paymentHash, createHash('sha256').update(Buffer.from(invoice.preimage, 'hex')).digest('hex'), 'Should create the invoice from the preimage hash')
+    t.is(hodlParams.descriptionHash, createHash('sha256').update('hodl-description').digest('hex'), 'Should set description_hash')
+    t.is(invoice.paymentHash, hodlParams.paymentHash, 'Should return the payment hash')
+    t.is(invoice.receiveRequestId, 'receive-hodl', 'Should return the receive request id')
+  } catch (error) {
+    t.fail(`Hodl invoice test failed: ${error.message}`)
+  } finally {
+    umaService.sparkWallet = sparkWallet
+  }
+})
+
 test('generatePayResponse works with blockchain settlement', async (t) => {
   try {
     await initializeDatabase()
@@ -223,6 +443,508 @@ test('generatePayResponse works with blockchain settlement', async (t) => {
   }
 })
 
+test('generatePayResponse converts currency-denominated amounts', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `currencyamount${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    const userResult = await userService.createUser({
+      username: `testuser_${Date.now()}`,
+      domainId: domainResult.domain._id,
+      displayName: 'Test User',
+      addresses: {
+        polygon: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+      }
+    })
+
+    // 1000.USD - the receiver gets exactly $10
+    const nonce = `currency-amount-nonce-${Date.now()}`
+    const response = await umaService.generatePayResponse(
+      userResult.username,
+      domainResult.domain,
+      1000,
+      nonce,
+      undefined,
+      'polygon',
+      'USDT_POLYGON',
+      { amountCurrency: 'USD' }
+    )
+
+    const { multiplier } = response.converted
+    t.is(response.converted.amount, '1000', 'Receiver should get the requested amount')
+    t.is(response.converted.currencyCode, 'USD', 'Should default the receiving currency to the sending currency')
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.amount_msats, 1000 * multiplier, 'Should invoice the converted amount in the asset smallest unit')
+    t.is(payment.currency, 'USD', 'Should store the receiving currency')
+
+    try {
+      await umaService.generatePayResponse(
+        userResult.username,
+        domainResult.domain,
+        1000,
+        `currency-mismatch-nonce-${Date.now()}`,
+        'USD',
+        'polygon',
+        'USDT_POLYGON',
+        { amountCurrency: 'USDT' }
+      )
+      t.fail('Should reject a sending currency different from the receiving currency')
+    } catch (error) {
+      t.ok(error instanceof UmaError, 'Should throw an UmaError')
+      t.is(error.code, 'INVALID_CURRENCY', 'Should report an invalid currency')
+    }
+  } catch (error) {
+    t.fail(`Currency amount test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse locks the quote until the payment request expires', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `quote${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    const userResult = await userService.createUser({
+      username: `testuser_${Date.now()}`,
+      domainId: domainResult.domain._id,
+      displayName: 'Test User',
+      addresses: {
+        polygon: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+      }
+    })
+
+    const nonce = `quote-nonce-${Date.now()}`
+    const response = await umaService.generatePayResponse(
+      userResult.username,
+      domainResult.domain,
+      1000,
+      nonce,
+      'USD',
+      'polygon',
+      'USDT_POLYGON',
+      { amountCurrency: 'USD' }
+    )
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    const { quote } = payment
+
+    t.ok(quote, 'Should store the quote on the payment request')
+    t.is(quote.asset, 'USDT', 'Should record the settlement asset')
+    t.is(quote.currency, 'USD', 'Should record the receiving currency')
+    t.is(quote.multiplier, response.converted.multiplier, 'Should record the quoted multiplier')
+    t.is(quote.converted_amount, '1000', 'Should record the converted amount')
+    t.is(quote.amount, payment.amount_msats, 'Should record the invoiced amount')
+    t.ok(['test', 'usd_peg'].includes(quote.source), 'Should record the rate source')
+    t.is(quote.expires_at.getTime(), payment.expires_at.getTime(), 'Quote should expire with the payment request')
+
+    t.ok(response.quoteExpiresAt <= Math.floor(payment.expires_at.getTime() / 1000), 'Response should expose the quote expiry')
+    t.ok(response.quoteExpiresAt > Math.floor(Date.now() / 1000), 'Quote should not be expired yet')
+    t.absent(paymentService.isQuoteExpired(payment), 'Quote should still hold')
+  } catch (error) {
+    t.fail(`Quote locking test failed: ${error.message}`)
+  }
+})
+
+test('generateLookupResponse returns signed response for signed UMA request', async (t) => {
+  try {
+    const { domain, user, requestUrl, receiverPubKeys } = await setupSignedLookup('signedlookup')
+
+    const response = await umaService.generateLookupResponse(user.username, domain, requestUrl.toString())
+
+    t.ok(response.compliance, 'Should include compliance data')
+    t.is(response.compliance.receiverIdentifier, `${user.username}@${domain.domain}`, 'Should identify the receiver')
+    t.is(response.payerData.compliance.mandatory, true, 'Payer compliance data should be mandatory')
+    t.is(response.payerData.identifier.mandatory, true, 'Payer identifier should be mandatory')
+
+    const isValid = await verifyUmaLnurlpResponseSignature(
+      LnurlpResponse.parse(response),
+      receiverPubKeys,
+      new InMemoryNonceValidator(Date.now() - 60000)
+    )
+    t.ok(isValid, 'Response signature should verify against the receiver key')
+  } catch (error) {
+    t.fail(`Signed lookup test failed: ${error.message}`)
+  }
+})
+
+test('generateLookupResponse rejects invalid signature', async (t) => {
+  try {
+    const { domain, user, requestUrl } = await setupSignedLookup('badsiglookup')
+    const otherKeys = generateKeypair()
+
+    // Re-sign the same payload with a key the sender never published
+    const forgedUrl = await getSignedLnurlpRequestUrl({
+      signingPrivateKey: otherKeys.privateKey,
+      receiverAddress: `${user.username}@${domain.domain}`,
+      senderVaspDomain: requestUrl.searchParams.get('vaspDomain'),
+      isSubjectToTravelRule: true
+    })
+
+    try {
+      await umaService.generateLookupResponse(user.username, domain, forgedUrl.toString())
+      t.fail('Should reject a forged signature')
+    } catch (error) {
+      t.ok(error instanceof UmaError, 'Should throw UmaError')
+      t.is(error.code, 'INVALID_SIGNATURE', 'Should report invalid signature')
+    }
+  } catch (error) {
+    t.fail(`Invalid signature test failed: ${error.message}`)
+  }
+})
+
+test('generateLookupResponse rejects stale timestamp and replayed nonce', async (t) => {
+  try {
+    const { domain, user, requestUrl } = await setupSignedLookup('stalelookup')
+
+    const staleUrl = new URL(requestUrl.toString())
+    staleUrl.searchParams.set('timestamp', String(Math.floor(Date.now() / 1000) - 3600))
+
+    try {
+      await umaService.generateLookupResponse(user.username, domain, staleUrl.toString())
+      t.fail('Should reject a stale timestamp')
+    } catch (error) {
+      t.is(error.code, 'INVALID_TIMESTAMP', 'Should report invalid timestamp')
+    }
+
+    await umaService.generateLookupResponse(user.username, domain, requestUrl.toString())
+
+    try {
+      await umaService.generateLookupResponse(user.username, domain, requestUrl.toString())
+      t.fail('Should reject a replayed nonce')
+    } catch (error) {
+      t.is(error.code, 'INVALID_NONCE', 'Should report replayed nonce')
+    }
+  } catch (error) {
+    t.fail(`Stale timestamp test failed: ${error.message}`)
+  }
+})
+
+test('parsePayRequest verifies signed UMA v1 pay request and response is signed', async (t) => {
+  try {
+    const { domain, user, payerIdentifier, receiverPubKeys, body } = await setupSignedPayRequest('signedpay')
+
+    const payRequest = await umaService.parsePayRequest(body)
+    t.ok(payRequest.isUma(), 'Should parse as an UMA pay request')
+    t.is(payRequest.amount, 10000, 'Should parse the amount')
+    t.is(payRequest.receivingCurrencyCode, 'USD', 'Should parse the receiving currency')
+
+    const response = await umaService.generatePayResponse(
+      user.username,
+      domain,
+      payRequest.amount,
+      payRequest.payerData.compliance.signatureNonce,
+      payRequest.receivingCurrencyCode,
+      payRequest.settlement.layer,
+      payRequest.settlement.assetIdentifier,
+      { payRequest }
+    )
+
+    const payeeIdentifier = `$${user.username}@${domain.domain}`
+    t.is(response.pr, '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb', 'Should return the blockchain address')
+    t.is(response.payeeData.identifier, payeeIdentifier, 'Should identify the payee')
+
+    const isValid = await verifyPayReqResponseSignature(
+      PayReqResponse.parse(response),
+      payerIdentifier,
+      payeeIdentifier,
+      receiverPubKeys,
+      new InMemoryNonceValidator(Date.now() - 60000)
+    )
+    t.ok(isValid, 'Payee compliance signature should verify against the receiver key')
+  } catch (error) {
+    t.fail(`Signed pay request test failed: ${error.message}`)
+  }
+})
+
+test('parsePayRequest rejects forged and malformed pay requests', async (t) => {
+  try {
+    const { body } = await setupSignedPayRequest('tamperedpay')
+    const { body: otherBody } = await setupSignedPayRequest('otherpay')
+
+    // Signature made by another VASP over a different nonce
+    const tampered = JSON.parse(JSON.stringify(body))
+    tampered.payerData.compliance.signature = otherBody.payerData.compliance.signature
+
+    try {
+      await umaService.parsePayRequest(tampered)
+      t.fail('Should reject a pay request with a forged signature')
+    } catch (error) {
+      t.ok(error instanceof UmaError, 'Should throw an UmaError')
+      t.is(error.code, 'INVALID_SIGNATURE', 'Should report invalid signature')
+    }
+
+    try {
+      await umaService.parsePayRequest({ convert: 'USD' })
+      t.fail('Should reject a pay request without amount')
+    } catch (error) {
+      t.is(error.code, 'PARSE_PAYREQ_REQUEST_ERROR', 'Should report parse error')
+    }
+  } catch (error) {
+    t.fail(`Forged pay request test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse enforces mandatory payer data from domain and user settings', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `mandatorypayer${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const domain = await domainService.updatePayerDataRequirements(domainResult.domain._id, { name: true })
+
+    const userResult = await userService.createUser({
+      username: `testuser_${Date.now()}`,
+      domainId: domain._id,
+      displayName: 'Test User',
+      addresses: {
+        polygon: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+      }
+    })
+    await userService.updateUser(userResult._id, { payerDataRequirements: { email: true } })
+
+    const lookup = await umaService.generateLookupResponse(userResult.username, domain)
+    t.is(lookup.payerData.name.mandatory, true, 'Lookup should advertise domain requirement')
+    t.is(lookup.payerData.email.mandatory, true, 'Lookup should advertise user requirement')
+    t.is(lookup.payerData.identifier.mandatory, false, 'Other fields should stay optional')
+
+    try {
+      await umaService.generatePayResponse(
+        userResult.username,
+        domain,
+        10000,
+        `mandatory-payer-nonce-${Date.now()}`,
+        'USD',
+        'polygon',
+        'USDT_POLYGON',
+        { payerData: { name: 'Alice' } }
+      )
+      t.fail('Should reject pay request without mandatory email')
+    } catch (error) {
+      t.ok(error instanceof UmaError, 'Should throw an UmaError')
+      t.is(error.code, 'MISSING_MANDATORY_PAYER_DATA', 'Should report missing payer data')
+      t.ok(error.message.includes('email'), 'Should name the missing field')
+    }
+
+    const response = await umaService.generatePayResponse(
+      userResult.username,
+      domain,
+      10000,
+      `mandatory-payer-nonce-ok-${Date.now()}`,
+      'USD',
+      'polygon',
+      'USDT_POLYGON',
+      { payerData: { name: 'Alice', email: 'alice@example.com' } }
+    )
+    t.ok(response.pr, 'Should accept pay request with all mandatory payer data')
+  } catch (error) {
+    t.fail(`Mandatory payer data test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse sanitizes comments and enforces the domain limit', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `commenttest${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+    const domain = await domainService.updateCommentAllowed(domainResult.domain._id, 10)
+
+    const userResult = await userService.createUser({
+      username: `testuser_${Date.now()}`,
+      domainId: domain._id,
+      displayName: 'Test User',
+      addresses: {
+        polygon: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb'
+      }
+    })
+
+    const lookup = await umaService.generateLookupResponse(userResult.username, domain)
+    t.is(lookup.commentAllowed, 10, 'Lookup should advertise the domain limit')
+
+    const nonce = `comment-nonce-${Date.now()}`
+    await umaService.generatePayResponse(
+      userResult.username,
+      domain,
+      10000,
+      nonce,
+      'USD',
+      'polygon',
+      'USDT_POLYGON',
+      { comment: '  hi\u0000 \u202Ethere ' }
+    )
+
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.comment, 'hi there', 'Control characters should be stripped')
+
+    try {
+      await umaService.generatePayResponse(
+        userResult.username,
+        domain,
+        10000,
+        `comment-nonce-long-${Date.now()}`,
+        'USD',
+        'polygon',
+        'USDT_POLYGON',
+        { comment: 'this comment is too long' }
+      )
+      t.fail('Should reject a comment over the limit')
+    } catch (error) {
+      t.is(error.code, 'INVALID_INPUT', 'Should report invalid input')
+    }
+  } catch (error) {
+    t.fail(`Comment test failed: ${error.message}`)
+  }
+})
+
+test('handlePostTransactionCallback stores the signed settlement report', async (t) => {
+  try {
+    const { domain, user, senderKeys, senderVaspDomain, body } = await setupSignedPayRequest('utxocallback')
+
+    const payRequest = await umaService.parsePayRequest(body)
+    const nonce = payRequest.payerData.compliance.signatureNonce
+    const response = await umaService.generatePayResponse(
+      user.username,
+      domain,
+      payRequest.amount,
+      nonce,
+      payRequest.receivingCurrencyCode,
+      payRequest.settlement.layer,
+      payRequest.settlement.assetIdentifier,
+      { payRequest }
+    )
+    t.ok(response.payeeData.compliance.utxoCallback.endsWith(`/uma/utxocallback?nonce=${encodeURIComponent(nonce)}`), 'Should advertise the callback URL')
+
+    const otherKeys = generateKeypair()
+    const otherVaspDomain = `other-vasp${Date.now()}.com`
+    umaService.publicKeyCache.addPublicKeyForVasp(otherVaspDomain, otherKeys.pubKeyResponse)
+    const foreignCallback = await getPostTransactionCallback({
+      utxos: [{ utxo: '0xabc:0', amountMsats: 10000 }],
+      vaspDomain: otherVaspDomain,
+      signingPrivateKey: otherKeys.privateKey
+    })
+
+    try {
+      await umaService.handlePostTransactionCallback(foreignCallback, { nonce })
+      t.fail('Should reject reports from another VASP')
+    } catch (error) {
+      t.is(error.code, 'FORBIDDEN', 'Should report forbidden')
+    }
+
+    const callback = await getPostTransactionCallback({
+      utxos: [{ utxo: '0xabc:0', amountMsats: 10000 }],
+      vaspDomain: senderVaspDomain,
+      signingPrivateKey: senderKeys.privateKey
+    })
+
+    // LNURL payment whose LUD-18 payerdata names the VASP, without any signature behind it
+    const legacyNonce = `utxocallback-legacy-${Date.now()}`
+    await paymentService.createPaymentRequest(user._id, legacyNonce, 10000, 'SAT', 'ln', 'BTC_LN', 'lnbc100n1legacy', 3600, {
+      payerData: { identifier: `$alice@${senderVaspDomain}` },
+      domainId: domain._id
+    })
+
+    try {
+      await umaService.handlePostTransactionCallback(callback, { nonce: legacyNonce })
+      t.fail('Should reject reports on payments without an authenticated sending VASP')
+    } catch (error) {
+      t.is(error.code, 'FORBIDDEN', 'Should report forbidden for unauthenticated payments')
+    }
+
+    const payment = await umaService.handlePostTransactionCallback(callback, { nonce })
+    t.is(payment.sender_vasp_domain, senderVaspDomain.toLowerCase(), 'Should record the signing VASP')
+    t.is(payment.status, 'sent', 'Payment should be marked as sent')
+    t.is(payment.settlement_report.utxos[0].utxo, '0xabc:0', 'Reported UTXOs should be stored')
+
+    try {
+      await umaService.handlePostTransactionCallback(callback, { nonce })
+      t.fail('Should reject a replayed callback')
+    } catch (error) {
+      t.is(error.code, 'INVALID_NONCE', 'Should report replayed nonce')
+    }
+  } catch (error) {
+    t.fail(`Post transaction callback test failed: ${error.message}`)
+  }
+})
+
+test('generateLookupResponse negotiates the UMA version with the sender', async (t) => {
+  try {
+    const v0 = await setupSignedLookup('v0lookup', '0.3')
+    const v0Response = await umaService.generateLookupResponse(v0.user.username, v0.domain, v0.requestUrl.toString())
+    t.is(v0Response.umaVersion, '0.3', 'A 0.3 sender should be answered in 0.3')
+    t.ok(v0Response.currencies.every(currency => 'minSendable' in currency && !('convertible' in currency)), 'Currencies should use the v0 format')
+
+    const v1 = await setupSignedLookup('v1lookup', '1.2')
+    const v1Response = await umaService.generateLookupResponse(v1.user.username, v1.domain, v1.requestUrl.toString())
+    t.is(v1Response.umaVersion, '1.0', 'A newer 1.x sender should be answered in 1.0')
+    t.ok(v1Response.currencies.every(currency => 'convertible' in currency), 'Currencies should use the v1 format')
+
+    const unsupported = await setupSignedLookup('v2lookup', '2.0')
+    try {
+      await umaService.generateLookupResponse(unsupported.user.username, unsupported.domain, unsupported.requestUrl.toString())
+      t.fail('Should reject a sender with no common major version')
+    } catch (error) {
+      t.is(error.code, 'UNSUPPORTED_UMA_VERSION', 'Should report the unsupported version')
+      t.is(error.httpStatusCode, 412, 'Should map to 412 Precondition Failed')
+      t.alike(JSON.parse(error.toJSON()).supportedMajorVersions, [1, 0], 'Should list the supported major versions')
+    }
+  } catch (error) {
+    t.fail(`Version negotiation test failed: ${error.message}`)
+  }
+})
+
+test('generatePayResponse answers UMA v0 pay requests in the v0 format', async (t) => {
+  try {
+    const { domain, user, body } = await setupSignedPayRequest('v0pay', 0)
+    t.is(body.currency, 'USD', 'Sender should use the v0 request format')
+
+    const payRequest = await umaService.parsePayRequest(body)
+    t.is(payRequest.umaMajorVersion, 0, 'Should detect a v0 pay request')
+
+    const nonce = payRequest.payerData.compliance.signatureNonce
+    const response = await umaService.generatePayResponse(
+      user.username,
+      domain,
+      payRequest.amount,
+      nonce,
+      payRequest.receivingCurrencyCode,
+      'polygon',
+      'USDT_POLYGON',
+      { payRequest }
+    )
+
+    t.absent(response.converted, 'Should not include the v1 converted field')
+    t.absent(response.payeeData, 'Should not include v1 payee data')
+    t.is(response.paymentInfo.currencyCode, 'USD', 'Should include paymentInfo')
+    t.is(typeof response.paymentInfo.exchangeFeesMillisatoshi, 'number', 'Should report fees as exchangeFeesMillisatoshi')
+    t.ok(response.compliance.utxoCallback.endsWith(`nonce=${encodeURIComponent(nonce)}`), 'Should include the utxo callback')
+
+    const parsed = PayReqResponse.parse(response)
+    t.is(parsed.umaMajorVersion, 0, 'Response should parse as a v0 pay response')
+  } catch (error) {
+    t.fail(`v0 pay response test failed: ${error.message}`)
+  }
+})
+
 test('buildSettlementOptions creates correct options', async (t) => {
   try {
     const chains = {
@@ -257,6 +979,108 @@ test('buildSettlementOptions creates correct options', async (t) => {
   }
 })
 
+test('buildSettlementOptions lists the tokens enabled on each chain', async (t) => {
+  try {
+    const chains = {
+      polygon: { address: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb' },
+      solana: { address: '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV' },
+      plasma: { address: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb' }
+    }
+
+    const settlementOptions = await umaService.buildSettlementOptions(
+      chains,
+      ['USD'],
+      ['USDT_POLYGON', 'USDC_POLYGON', 'DAI_POLYGON', 'USDC_SOLANA']
+    )
+
+    const identifiers = (layer) => settlementOptions
+      .find(opt => opt.settlementLayer === layer)
+      ?.assets.map(asset => asset.identifier)
+
+    t.alike(identifiers('polygon'), ['USDT_POLYGON', 'USDC_POLYGON', 'DAI_POLYGON'], 'Polygon should list USDT, USDC and DAI')
+    t.alike(identifiers('solana'), ['USDC_SOLANA'], 'Solana should only list USDC')
+    t.absent(identifiers('plasma'), 'Chains without enabled tokens should be left out')
+
+    const polygonAssets = settlementOptions.find(opt => opt.settlementLayer === 'polygon').assets
+    t.ok(polygonAssets.every(asset => asset.multipliers.USD > 0), 'Each token should have its own multipliers')
+  } catch (error) {
+    t.fail(`Multiple settlement assets test failed: ${error.message}`)
+  }
+})
+
+test('DAI amounts are converted in wei as decimal strings', async (t) => {
+  const testMode = process.env.TEST_MODE
+
+  try {
+    process.env.TEST_MODE = 'false'
+    t.alike(await marketRates.calculateMultipliers('DAI', ['USD']), { USD: 10 ** 16 }, 'Should price 1 cent at 10^16 wei')
+    process.env.TEST_MODE = testMode
+
+    const feeSchedule = { fixed: 10, percentage: 1, min: 0, max: null }
+
+    const quoted = await umaService.convertPayAmount(1000, 'USD', 'USD', 'DAI', feeSchedule)
+    t.is(quoted.invoiceAmount, '10200000000000000000', 'Should invoice $10.20 in wei without losing precision')
+    t.is(quoted.fee, '200000000000000000', 'Should charge the fee in wei')
+    t.is(quoted.receivingAmount, '1000', 'Receiver should get the requested amount')
+
+    const sent = await umaService.convertPayAmount('10200000000000000001', null, 'USD', 'DAI', feeSchedule)
+    t.is(sent.invoiceAmount, '10200000000000000001', 'Should keep sent wei amounts exact')
+    t.is(sent.fee, '200000000000000000', 'Should take the fee out of sent amounts')
+    t.is(sent.receivingAmount, '1000', 'Receiver should get the sent amount less the fee')
+
+    const usdt = await umaService.convertPayAmount(1000, 'USD', 'USD', 'USDT', feeSchedule)
+    t.is(usdt.invoiceAmount, 10200000, '6-decimal tokens should keep number amounts')
+
+    const { domain: createdDomain, user } = await createTestUser('daipay', { addresses: { polygon: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb' } })
+    const domain = await domainService.updateSettlementAssets(createdDomain._id, ['DAI_POLYGON'])
+    const nonce = `dai-${Date.now()}`
+    const response = await umaService.generatePayResponse(
+      user.username, domain, 1000, nonce, 'USD', 'polygon', 'DAI_POLYGON', { amountCurrency: 'USD' }
+    )
+
+    t.is(response.settlement.assetIdentifier, 'DAI_POLYGON', 'Should settle in DAI')
+    t.is(response.converted.multiplier, 10 ** 16, 'Should quote the DAI multiplier')
+    const payment = await paymentService.getPaymentRequestByNonce(nonce)
+    t.is(payment.amount_msats, '10000000000000000000', 'Should store the wei amount as a decimal string')
+  } catch (error) {
+    t.fail(`DAI conversion test failed: ${error.message}`)
+  } finally {
+    process.env.TEST_MODE = testMode
+  }
+})
+
+test('resolveSettlementAsset only accepts assets offered on the layer', async (t) => {
+  const enabledAssets = ['USDT_POLYGON', 'USDC_POLYGON', 'USDC_SOLANA']
+
+  t.alike(
+    umaService.resolveSettlementAsset('polygon', 'USDC_POLYGON', enabledAssets),
+    { asset: 'USDC', identifier: 'USDC_POLYGON' },
+    'Should resolve the chosen token'
+  )
+  t.alike(
+    umaService.resolveSettlementAsset('polygon', undefined, enabledAssets),
+    { asset: 'USDT', identifier: 'USDT_POLYGON' },
+    'Should default to the first token of the layer'
+  )
+  t.is(umaService.resolveSettlementAsset('ln', undefined, enabledAssets).identifier, 'BTC_LN', 'Lightning should settle in BTC')
+
+  const invalid = [
+    ['polygon', 'USDC_SOLANA', InvalidSettlementAssetError],
+    ['polygon', 'DAI_POLYGON', InvalidSettlementAssetError],
+    ['ln', 'USDT_POLYGON', InvalidSettlementAssetError],
+    ['tron', 'USDT_TRON', InvalidSettlementLayerError]
+  ]
+
+  for (const [layer, assetIdentifier, ErrorClass] of invalid) {
+    try {
+      umaService.resolveSettlementAsset(layer, assetIdentifier, enabledAssets)
+      t.fail(`Should reject ${assetIdentifier} on ${layer}`)
+    } catch (error) {
+      t.ok(error instanceof ErrorClass, `Should reject ${assetIdentifier} on ${layer}`)
+    }
+  }
+})
+
 test('buildSettlementOptions handles unknown chains', async (t) => {
   try {
     const chains = {
@@ -586,3 +586,48 @@ test('isValidUsername validates username format', async (t) => {
 
   t.pass('Username validation works')
 })
+
+test('isValidUsername and parseUsername understand sub-address tags', async (t) => {
+  t.alike(userService.parseUsername('Alice+Order123'), { username: 'alice', tag: 'order123' }, 'Should split off the tag')
+  t.alike(userService.parseUsername('alice'), { username: 'alice', tag: null }, 'Plain usernames have no tag')
+  t.alike(userService.parseUsername('alice+a+b'), { username: 'alice', tag: 'a+b' }, 'Tag starts at the first +')
+
+  t.ok(userService.isValidUsername('alice+order123'), 'Tagged username should pass')
+  t.ok(userService.isValidUsername('alice+inv.2024-01'), 'Tags may contain dots and hyphens')
+  t.ok(!userService.isValidUsername('alice+'), 'Empty tag should fail')
+  t.ok(!userService.isValidUsername('+order123'), 'Empty username should fail')
+  t.ok(!userService.isValidUsername('alice+a+b'), 'Tag with + should fail')
+  t.ok(!userService.isValidUsername('alice+order123', { allowTag: false }), 'Tags can be disallowed')
+})
+
+test('resolveReceiver resolves sub-addresses, admin lookups stay exact', async (t) => {
+  try {
+    await initializeDatabase()
+
+    const testDomain = `subaddress${Date.now()}.com`
+    const domainResult = await domainService.createDomain({
+      domain: testDomain,
+      ownerEmail: `admin@${testDomain}`,
+      isDefault: false
+    })
+
+    const username = `tagged_${Date.now()}`
+    const user = await userService.createUser({ username, domainId: domainResult.domain._id })
+
+    const resolved = await userService.resolveReceiver(`${username}+order123`, domainResult.domain._id)
+    t.is(resolved?.user._id.toString(), user._id.toString(), 'Tagged address should resolve to the user')
+    t.is(resolved?.tag, 'order123', 'Should return the tag')
+
+    t.is(await userService.resolveReceiver(`${username}+bad tag`, domainResult.domain._id), null, 'Invalid tags should not resolve')
+    t.is(await userService.getUserByUsernameAndDomain(`${username}+order123`, domainResult.domain._id), null, 'Admin lookups should not resolve tags')
+
+    try {
+      await userService.createUser({ username: `${username}+order123`, domainId: domainResult.domain._id })
+      t.fail('Should not create users with a tag')
+    } catch (error) {
+      t.ok(error.message.includes('Invalid username format'), 'Should reject tagged usernames on creation')
+    }
+  } catch (error) {
+    t.fail(`Sub-address resolution test failed: ${error.message}`)
+  }
+})